@@ -0,0 +1,311 @@
+// lib/ai-providers.js — JAMARI's model backends and the registry that builds them from config.
+// Kinds: openai (also any OpenAI-compatible base_url: llama.cpp, Ollama, vLLM, scripts/ai-stub.js),
+// anthropic and gemini. Callers can add kinds of their own (server.js adds the rule-based fallback).
+//
+// Provider config (AI_PROVIDERS_FILE / AI_PROVIDERS JSON, or built from the legacy *_API_KEY env):
+//   { name, kind, base_url, model, api_key | api_key_env, headers, temperature, max_tokens,
+//     timeout_ms, idle_ms, tool_rounds, tools, weight, fallback, enabled }
+// Built provider: { name, kind, model, base_url, weight, fallback, tools, configured(),
+//   ask(prompt, system, opts), stream(prompt, system, opts) } with
+//   opts = { signal, tools: { specs, call(name, args) }, onText, onRound, onUsage, facts }.
+
+const fs = require('fs');
+
+const KINDS = {
+  openai:    { base_url: 'https://api.openai.com/v1', model: 'gpt-4o-mini', chat: chatOpenAI },
+  anthropic: { base_url: 'https://api.anthropic.com/v1', model: 'claude-3-haiku-20240307', chat: chatAnthropic },
+  gemini:    { base_url: 'https://generativelanguage.googleapis.com/v1beta', model: 'gemini-1.5-flash', chat: chatGemini },
+};
+const NAME = /^[a-z0-9][a-z0-9_-]{0,31}$/;
+
+// Providers take a prompt string or a conversation [{ role: 'user'|'assistant', content }]
+// that starts and ends with the user; consecutive turns of one role are merged.
+function chatTurns(prompt) {
+  const list = typeof prompt === 'string' ? [{ role: 'user', content: prompt }] : prompt;
+  const out = [];
+  for (const m of list) {
+    if (!m?.content) continue;
+    const role = m.role === 'assistant' ? 'assistant' : 'user';
+    if (!out.length && role !== 'user') continue;
+    if (out.length && out[out.length - 1].role === role) out[out.length - 1].content += `\n\n${m.content}`;
+    else out.push({ role, content: String(m.content) });
+  }
+  return out;
+}
+function parseToolArgs(raw) {
+  if (raw && typeof raw === 'object') return raw;
+  try { return raw ? JSON.parse(raw) : {}; } catch { return null; }
+}
+
+// POST a provider request. Without onEvent resolves to the parsed JSON (cfg.timeout_ms overall);
+// with onEvent calls it for every SSE data payload and gives up after cfg.idle_ms of silence.
+// Throws HTTP_<status>, TIMEOUT, or the AbortError of `signal`.
+async function aiRequest(cfg, url, body, { signal, onEvent, headers = {} } = {}) {
+  const ac = new AbortController();
+  const abort = () => ac.abort();
+  if (signal?.aborted) abort();
+  signal?.addEventListener('abort', abort, { once: true });
+  const wait = onEvent ? cfg.idle_ms : cfg.timeout_ms;
+  let timer = setTimeout(abort, wait);
+  try {
+    const r = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...headers, ...cfg.headers },
+      body: JSON.stringify(body),
+      signal: ac.signal,
+    });
+    if (!r.ok) throw new Error(`HTTP_${r.status}`);
+    if (!onEvent) return await r.json();
+    const dec = new TextDecoder();
+    let buf = '';
+    for await (const chunk of r.body) {
+      clearTimeout(timer);
+      timer = setTimeout(abort, wait);
+      buf += dec.decode(chunk, { stream: true });
+      let i;
+      while ((i = buf.indexOf('\n')) > -1) {
+        const line = buf.slice(0, i).trim();
+        buf = buf.slice(i + 1);
+        if (!line.startsWith('data:')) continue;
+        let evt;
+        try { evt = JSON.parse(line.slice(5)); } catch { continue; } // [DONE], keep-alives
+        onEvent(evt);
+      }
+    }
+  } catch (e) {
+    throw ac.signal.aborted && !signal?.aborted ? new Error('TIMEOUT') : e;
+  } finally {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', abort);
+  }
+}
+
+// chat(cfg, prompt, system, { signal, tools, onText, onRound, onUsage }) -> reply text or null.
+// With tools the model may call them for cfg.tool_rounds rounds, after which it has to answer.
+// onText streams the reply; onRound fires before each round of tool calls runs; onUsage(input, output)
+// gets the token counts the provider reports for each round.
+async function chatOpenAI(cfg, prompt, system, { signal, tools, onText, onRound, onUsage } = {}) {
+  const messages = [{ role:'system', content: system }, ...chatTurns(prompt)];
+  const url = `${cfg.base_url}/chat/completions`;
+  const headers = cfg.api_key ? { 'Authorization': `Bearer ${cfg.api_key}` } : {};
+  for (let round = 0; ; round++) {
+    const final = !tools || round >= cfg.tool_rounds;
+    const body = { model: cfg.model, temperature: cfg.temperature, max_tokens: cfg.max_tokens, messages };
+    if (tools) {
+      body.tools = tools.specs.map(t => ({ type: 'function', function: { name: t.name, description: t.description, parameters: t.parameters } }));
+      body.tool_choice = final ? 'none' : 'auto';
+    }
+    let msg;
+    if (onText) {
+      body.stream = true;
+      // Only OpenAI itself is known to take stream_options; compatible servers may reject it
+      if (cfg.base_url === KINDS.openai.base_url) body.stream_options = { include_usage: true };
+      msg = { content: '', tool_calls: [] };
+      await aiRequest(cfg, url, body, { signal, headers, onEvent: j => {
+        if (j?.usage) onUsage?.(j.usage.prompt_tokens, j.usage.completion_tokens);
+        const d = j?.choices?.[0]?.delta || {};
+        if (d.content) { msg.content += d.content; onText(d.content); }
+        for (const c of d.tool_calls || []) {
+          const t = msg.tool_calls[c.index] ||= { id: '', type: 'function', function: { name: '', arguments: '' } };
+          if (c.id) t.id = c.id;
+          if (c.function?.name) t.function.name += c.function.name;
+          if (c.function?.arguments) t.function.arguments += c.function.arguments;
+        }
+      } });
+    } else {
+      const r = await aiRequest(cfg, url, body, { signal, headers });
+      if (r?.usage) onUsage?.(r.usage.prompt_tokens, r.usage.completion_tokens);
+      msg = r?.choices?.[0]?.message;
+    }
+    const calls = (msg?.tool_calls || []).filter(Boolean);
+    if (final || !calls.length) return msg?.content?.trim() || null;
+    onRound?.();
+    messages.push({ role: 'assistant', content: msg.content || null, tool_calls: calls });
+    for (const c of calls) {
+      const out = await tools.call(c.function.name, c.function.arguments);
+      messages.push({ role: 'tool', tool_call_id: c.id, content: JSON.stringify(out) });
+    }
+  }
+}
+async function chatAnthropic(cfg, prompt, system, { signal, tools, onText, onRound, onUsage } = {}) {
+  const messages = chatTurns(prompt).map(m => ({ role: m.role, content: [{ type:'text', text: m.content }] }));
+  const url = `${cfg.base_url}/messages`;
+  const headers = { 'x-api-key': cfg.api_key, 'anthropic-version': '2023-06-01' };
+  for (let round = 0; ; round++) {
+    const final = !tools || round >= cfg.tool_rounds;
+    const body = { model: cfg.model, temperature: cfg.temperature, max_tokens: cfg.max_tokens, system, messages };
+    if (tools) {
+      body.tools = tools.specs.map(t => ({ name: t.name, description: t.description, input_schema: t.parameters }));
+      body.tool_choice = { type: final ? 'none' : 'auto' };
+    }
+    let content;
+    if (onText) {
+      body.stream = true;
+      content = [];
+      await aiRequest(cfg, url, body, { signal, headers, onEvent: e => {
+        if (e.type === 'message_start' && e.message?.usage) onUsage?.(e.message.usage.input_tokens, 0);
+        if (e.type === 'message_delta' && e.usage) onUsage?.(0, e.usage.output_tokens);
+        if (e.type === 'content_block_start') {
+          content[e.index] = e.content_block.type === 'tool_use' ? { ...e.content_block, input: '' } : { ...e.content_block };
+        } else if (e.type === 'content_block_delta' && content[e.index]) {
+          const block = content[e.index];
+          if (e.delta?.type === 'text_delta') { block.text = (block.text || '') + e.delta.text; onText(e.delta.text); }
+          if (e.delta?.type === 'input_json_delta') block.input += e.delta.partial_json;
+        }
+      } });
+      content = content.filter(Boolean).map(b => (b.type === 'tool_use' ? { ...b, input: parseToolArgs(b.input) || {} } : b));
+    } else {
+      const r = await aiRequest(cfg, url, body, { signal, headers });
+      if (r?.usage) onUsage?.(r.usage.input_tokens, r.usage.output_tokens);
+      content = r?.content || [];
+    }
+    const calls = content.filter(b => b.type === 'tool_use');
+    const text = content.filter(b => b.type === 'text').map(b => b.text).join('').trim();
+    if (final || !calls.length) return text || null;
+    onRound?.();
+    messages.push({ role: 'assistant', content });
+    const results = [];
+    for (const c of calls) {
+      results.push({ type: 'tool_result', tool_use_id: c.id, content: JSON.stringify(await tools.call(c.name, c.input)) });
+    }
+    messages.push({ role: 'user', content: results });
+  }
+}
+async function chatGemini(cfg, prompt, system, { signal, tools, onText, onRound, onUsage } = {}) {
+  const contents = chatTurns(prompt).map(m => ({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] }));
+  const base = `${cfg.base_url}/models/${encodeURIComponent(cfg.model)}`;
+  const key = encodeURIComponent(cfg.api_key);
+  for (let round = 0; ; round++) {
+    const final = !tools || round >= cfg.tool_rounds;
+    const body = {
+      systemInstruction: { parts: [{ text: system }] },
+      contents,
+      generationConfig: { temperature: cfg.temperature, maxOutputTokens: cfg.max_tokens },
+    };
+    if (tools) {
+      body.tools = [{ functionDeclarations: tools.specs.map(t => ({ name: t.name, description: t.description, parameters: geminiSchema(t.parameters) })) }];
+      body.toolConfig = { functionCallingConfig: { mode: final ? 'NONE' : 'AUTO' } };
+    }
+    let parts = [];
+    let usage = null;
+    if (onText) {
+      await aiRequest(cfg, `${base}:streamGenerateContent?alt=sse&key=${key}`, body, { signal, onEvent: j => {
+        usage = j?.usageMetadata || usage; // running totals, the last chunk has the final count
+        for (const p of j?.candidates?.[0]?.content?.parts || []) {
+          if (p.text) onText(p.text);
+          parts.push(p);
+        }
+      } });
+    } else {
+      const r = await aiRequest(cfg, `${base}:generateContent?key=${key}`, body, { signal });
+      usage = r?.usageMetadata;
+      parts = r?.candidates?.[0]?.content?.parts || [];
+    }
+    if (usage) onUsage?.(usage.promptTokenCount, usage.candidatesTokenCount);
+    const calls = parts.filter(p => p.functionCall);
+    const text = parts.map(p => p.text || '').join('').trim();
+    if (final || !calls.length) return text || null;
+    onRound?.();
+    contents.push({ role: 'model', parts });
+    const responses = [];
+    for (const c of calls) {
+      responses.push({ functionResponse: { name: c.functionCall.name, response: { result: await tools.call(c.functionCall.name, c.functionCall.args) } } });
+    }
+    contents.push({ role: 'user', parts: responses });
+  }
+}
+// Gemini takes an OpenAPI subset of JSON Schema
+function geminiSchema(schema) {
+  const keep = ['type', 'description', 'enum', 'required', 'minimum', 'maximum', 'nullable'];
+  const out = Object.fromEntries(Object.entries(schema).filter(([k]) => keep.includes(k)));
+  if (schema.properties) out.properties = Object.fromEntries(Object.entries(schema.properties).map(([k, v]) => [k, geminiSchema(v)]));
+  if (schema.items) out.items = geminiSchema(schema.items);
+  return out;
+}
+// Streaming: resolves to everything that was streamed (all tool rounds), so a stall after
+// some text keeps what the client already has; a failure before any text throws.
+function streamed(ask) {
+  return async (prompt, system, { onText, ...opts }) => {
+    let sent = '';
+    let gap = false;
+    const emit = t => {
+      if (gap && sent && !/\s$/.test(sent)) t = `\n\n${t}`;
+      gap = false;
+      sent += t;
+      onText(t);
+    };
+    try {
+      await ask(prompt, system, { ...opts, onText: emit, onRound: () => { gap = true; } });
+    } catch (e) {
+      if (!sent.trim()) throw e;
+    }
+    return sent.trim() || null;
+  };
+}
+
+// ----------------------- Config --------------------------
+// Provider list from a JSON file ({ providers: [...] } or [...]) or a JSON string.
+function readProviderConfig({ file, json } = {}) {
+  const raw = file ? fs.readFileSync(file, 'utf8') : json;
+  if (!raw) return null;
+  let parsed;
+  try { parsed = JSON.parse(raw); } catch (e) { throw new Error(`AI provider config ${file || 'AI_PROVIDERS'}: ${e.message}`); }
+  const list = Array.isArray(parsed) ? parsed : parsed?.providers;
+  if (!Array.isArray(list)) throw new Error(`AI provider config ${file || 'AI_PROVIDERS'}: expected an array of providers`);
+  return list;
+}
+
+// entries: raw configs; defaults: { temperature, max_tokens, timeout_ms, idle_ms, tool_rounds };
+// kinds: extra kinds as { kind: { chat(cfg, prompt, system, opts), needs_key, fallback } }.
+// Throws on an invalid entry so a bad config fails at startup instead of at the first chat.
+function createProviders(entries, { defaults = {}, kinds = {}, env = process.env } = {}) {
+  const all = { ...KINDS, ...kinds };
+  const seen = new Set();
+  return entries.map((raw, i) => {
+    const where = `AI provider #${i + 1}${raw?.name ? ` (${raw.name})` : ''}`;
+    if (!raw || typeof raw !== 'object') throw new Error(`${where}: must be an object`);
+    const kindName = String(raw.kind || 'openai').toLowerCase().replace(/-compatible$/, '');
+    const kind = all[kindName];
+    if (!kind) throw new Error(`${where}: unknown kind "${raw.kind}" (${Object.keys(all).join(', ')})`);
+    const name = String(raw.name || kindName).toLowerCase();
+    if (!NAME.test(name)) throw new Error(`${where}: name must match ${NAME}`);
+    if (seen.has(name)) throw new Error(`${where}: duplicate name`);
+    seen.add(name);
+    const num = (k, min, max) => {
+      const v = raw[k] ?? defaults[k];
+      if (v == null) return undefined;
+      if (!Number.isFinite(+v) || +v < min || +v > max) throw new Error(`${where}: ${k} must be between ${min} and ${max}`);
+      return +v;
+    };
+
+    const cfg = {
+      name,
+      kind: kindName,
+      base_url: String(raw.base_url || kind.base_url || '').replace(/\/+$/, ''),
+      model: raw.model || kind.model || null,
+      api_key: raw.api_key || (raw.api_key_env ? env[raw.api_key_env] || '' : ''),
+      headers: raw.headers && typeof raw.headers === 'object' ? raw.headers : {},
+      temperature: num('temperature', 0, 2) ?? 0.3,
+      max_tokens: num('max_tokens', 1, 32768) ?? 1024,
+      timeout_ms: num('timeout_ms', 100, 600000) ?? 14000,
+      idle_ms: num('idle_ms', 100, 600000) ?? 14000,
+      tool_rounds: num('tool_rounds', 1, 10) ?? 3,
+      weight: num('weight', 0, 100) ?? 1,
+      tools: raw.tools !== false,
+      fallback: raw.fallback ?? !!kind.fallback,
+      enabled: raw.enabled !== false,
+    };
+    // A custom base_url (local server) may not need a key; the public endpoints do
+    const needsKey = kind.needs_key ?? (cfg.base_url === kind.base_url);
+    const ask = (prompt, system, opts = {}) => kind.chat(cfg, prompt, system, cfg.tools ? opts : { ...opts, tools: undefined });
+    return {
+      name, kind: kindName, model: cfg.model, base_url: kind.base_url === undefined ? null : cfg.base_url,
+      weight: cfg.weight, fallback: cfg.fallback, tools: cfg.tools,
+      configured: () => cfg.enabled && (!needsKey || !!cfg.api_key),
+      ask,
+      stream: streamed(ask),
+    };
+  });
+}
+
+module.exports = { KINDS, chatTurns, parseToolArgs, readProviderConfig, createProviders };
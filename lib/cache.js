@@ -0,0 +1,57 @@
+// lib/cache.js — TTL cache with in-flight coalescing for slow or billed upstream reads.
+//
+//   const cache = createCache({ max: 5000 });
+//   await cache.get(key, () => fetchIt(), { ttl: 60000, tags: ['item-1'], fresh: false })
+//   cache.fetchedAt(value)    // ms when that value was loaded (null if it didn't come through the cache)
+//   cache.invalidate('item-1') // drop entries with that tag; loads already running won't be stored
+//
+// Concurrent gets for one key share a single load; `fresh` skips a cached value but still joins a
+// load that started after the last invalidation. Errors are never cached.
+
+function createCache({ max = 5000, now = Date.now } = {}) {
+  const entries = new Map();  // key -> { value, expires, tags }  (insertion order = eviction order)
+  const inflight = new Map(); // key -> { promise, gens }
+  const gens = new Map();     // tag -> generation, bumped on invalidate
+  const loadedAt = new WeakMap();
+  const stats = { hits: 0, misses: 0, coalesced: 0 };
+
+  const genOf = tags => tags.map(t => gens.get(t) || 0).join(',');
+
+  async function get(key, load, { ttl = 0, tags = [], fresh = false } = {}) {
+    const hit = entries.get(key);
+    if (hit && !fresh && hit.expires > now()) { stats.hits++; return hit.value; }
+    const gen = genOf(tags);
+    const running = inflight.get(key);
+    if (running && running.gen === gen) { stats.coalesced++; return running.promise; }
+
+    stats.misses++;
+    const promise = (async () => {
+      const value = await load();
+      const at = now();
+      if (value && typeof value === 'object') loadedAt.set(value, at);
+      if (ttl > 0 && genOf(tags) === gen) {
+        entries.delete(key);
+        entries.set(key, { value, expires: at + ttl, tags });
+        if (entries.size > max) entries.delete(entries.keys().next().value);
+      }
+      return value;
+    })();
+    const slot = { promise, gen };
+    inflight.set(key, slot);
+    try { return await promise; } finally { if (inflight.get(key) === slot) inflight.delete(key); }
+  }
+
+  function invalidate(tag) {
+    gens.set(tag, (gens.get(tag) || 0) + 1);
+    let dropped = 0;
+    for (const [k, e] of entries) if (e.tags.includes(tag)) { entries.delete(k); dropped++; }
+    return dropped;
+  }
+
+  const fetchedAt = value => (value && typeof value === 'object' ? loadedAt.get(value) ?? null : null);
+  const info = () => ({ entries: entries.size, inflight: inflight.size, ...stats });
+
+  return { get, invalidate, fetchedAt, info };
+}
+
+module.exports = { createCache };
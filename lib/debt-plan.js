@@ -0,0 +1,189 @@
+// lib/debt-plan.js — debt payoff planning over Plaid liabilities and manual debts.
+//
+//   const debts = prepareDebts(plaidDebts(liabilities).concat(manualDebtList(manualDoc)));
+//   planDebts(debts, { strategy: 'avalanche', extra: 200 })  // -> { plan, comparison, recommended, warnings }
+//   simulatePayoff(debts, { strategy: 'snowball', extra: 200 }) // one strategy, month by month
+//
+// Each debt is { id, source, name, type, balance, apr (%), minPayment, dueDate }. The simulation pays a
+// fixed monthly budget (sum of minimums + extra); freed-up minimums roll over to the next target debt.
+
+const { daysAgo, sum, money, firstNum, addMonths } = require('./util');
+
+const PLAN_MAX_MONTHS = 600;
+
+// Lender-style fallback when the minimum isn't known: interest + 1% of principal, at least $25
+function estimateMinPayment(balance, apr) {
+  return money(Math.min(balance, Math.max(25, balance * apr / 1200 + balance * 0.01)));
+}
+function plaidDebts(liab) {
+  const accts = new Map((liab.accounts || []).map(a => [a.account_id, a]));
+  const out = [];
+  const push = (kind, x, balance, apr, min, due) => {
+    const a = accts.get(x.account_id) || {};
+    out.push({
+      id: `plaid:${x.account_id || out.length}`,
+      source: 'plaid',
+      item_id: x.item_id || a.item_id || null,
+      name: a.name || a.official_name || kind,
+      type: kind,
+      balance: money(a.balances?.current ?? balance ?? 0),
+      apr, minPayment: min, dueDate: due || null,
+    });
+  };
+  const L = liab.liabilities || {};
+  (L.credit || []).forEach(x => {
+    const aprs = x.aprs || [];
+    const purchase = aprs.find(r => r.apr_type === 'purchase_apr') || aprs[0];
+    push('credit', x, x.balance?.current ?? x.last_statement_balance, firstNum(purchase?.apr_percentage),
+      firstNum(x.minimum_payment_amount), x.next_payment_due_date);
+  });
+  (L.student || []).forEach(x => push('student', x, x.outstanding_balance,
+    firstNum(x.interest_rate_percentage), firstNum(x.minimum_payment_amount), x.next_payment_due_date));
+  (L.mortgage || []).forEach(x => push('mortgage', x, x.principal_balance,
+    firstNum(x.interest_rate?.percentage), firstNum(x.next_monthly_payment), x.next_payment_due_date));
+  (L.auto || []).forEach(x => push('auto', x, x.outstanding_balance,
+    firstNum(x.interest_rate_percentage, x.interest_rate?.percentage), firstNum(x.minimum_payment_amount, x.next_monthly_payment),
+    x.next_payment_due_date));
+  return out;
+}
+function manualDebtList(md) {
+  return ((md && md.items) || []).map((d, i) => ({
+    id: `manual:${d.id || i}`,
+    source: 'manual',
+    item_id: null,
+    name: d.name || d.label || `Debt ${i + 1}`,
+    type: d.type || 'other',
+    balance: money(+d.balance || 0),
+    apr: firstNum(d.apr, d.interest_rate, d.rate),
+    minPayment: firstNum(d.minimum_payment, d.minPayment, d.min_payment),
+    dueDate: d.due_date || d.dueDate || null,
+  }));
+}
+// Plaid + manual debts -> the planner's list: paid-off debts dropped, a missing APR taken as 0 and a
+// missing minimum estimated, both flagged so the plan can warn about them
+function prepareDebts(debts) {
+  return debts
+    .filter(d => d.balance > 0)
+    .map(d => {
+      const apr = d.apr ?? 0;
+      const estimated = d.minPayment == null || d.minPayment <= 0;
+      return {
+        ...d,
+        apr,
+        aprMissing: d.apr == null,
+        minPayment: estimated ? estimateMinPayment(d.balance, apr) : money(d.minPayment),
+        minPaymentEstimated: estimated,
+      };
+    });
+}
+function orderDebts(debts, strategy, order = []) {
+  const list = debts.slice();
+  if (strategy === 'snowball') return list.sort((a, b) => a.balance - b.balance || b.apr - a.apr);
+  if (strategy === 'custom') {
+    const rank = id => { const i = order.indexOf(id); return i === -1 ? Infinity : i; };
+    return list.sort((a, b) => rank(a.id) - rank(b.id) || b.apr - a.apr);
+  }
+  if (strategy === 'minimum') return list;
+  return list.sort((a, b) => b.apr - a.apr || a.balance - b.balance); // avalanche
+}
+function simulatePayoff(debts, { strategy = 'avalanche', extra = 0, order = [], maxMonths = 360, start = daysAgo(0) } = {}) {
+  const ordered = orderDebts(debts, strategy, order);
+  const state = ordered.map(d => ({ d, balance: d.balance, interest: 0, paid: 0, payoffMonth: null, schedule: [] }));
+  const budget = money(sum(debts.map(d => d.minPayment)) + (strategy === 'minimum' ? 0 : Math.max(0, +extra || 0)));
+  const firstMonth = start.slice(0, 7) + '-01';
+  let month = 0;
+
+  while (month < maxMonths && state.some(s => s.balance > 0.005)) {
+    month++;
+    const date = addMonths(firstMonth, month);
+    let available = budget;
+    const pay = new Map();
+    // 1) accrue interest, 2) minimums on everything, 3) the rest to targets in order
+    for (const s of state) {
+      if (s.balance <= 0.005) continue;
+      const i = s.balance * s.d.apr / 1200;
+      s.balance += i;
+      s.interest += i;
+      s._i = i;
+    }
+    for (const s of state) {
+      if (s.balance <= 0.005) continue;
+      const p = Math.min(s.d.minPayment, s.balance, available);
+      pay.set(s, p);
+      available -= p;
+    }
+    if (strategy !== 'minimum') {
+      for (const s of state) {
+        if (available <= 0.005) break;
+        const room = s.balance - (pay.get(s) || 0);
+        if (room <= 0.005) continue;
+        const p = Math.min(room, available);
+        pay.set(s, (pay.get(s) || 0) + p);
+        available -= p;
+      }
+    }
+    for (const [s, p] of pay) {
+      s.balance -= p;
+      s.paid += p;
+      if (s.balance <= 0.005) { s.balance = 0; if (!s.payoffMonth) s.payoffMonth = month; }
+      s.schedule.push({
+        month, date, payment: money(p), interest: money(s._i), principal: money(p - s._i), balance: money(s.balance),
+      });
+    }
+  }
+
+  const done = state.every(s => s.balance <= 0.005);
+  const totalInterest = money(sum(state.map(s => s.interest)));
+  const months = done ? Math.max(0, ...state.map(s => s.payoffMonth || 0)) : null;
+  return {
+    strategy,
+    monthlyBudget: budget,
+    extra: strategy === 'minimum' ? 0 : Math.max(0, +extra || 0),
+    paidOff: done,
+    months,
+    payoffDate: done ? addMonths(firstMonth, months) : null,
+    totalInterest,
+    totalPaid: money(sum(state.map(s => s.paid))),
+    debts: state.map((s, i) => ({
+      ...s.d,
+      order: i + 1,
+      payoffMonth: s.payoffMonth,
+      payoffDate: s.payoffMonth ? addMonths(firstMonth, s.payoffMonth) : null,
+      totalInterest: money(s.interest),
+      totalPaid: money(s.paid),
+      remainingBalance: money(s.balance),
+      schedule: s.schedule,
+    })),
+  };
+}
+// The plan for opts.strategy, every strategy side by side, the cheapest one and data-quality warnings
+function planDebts(debts, opts = {}) {
+  const strategy = ['avalanche','snowball','custom'].includes(opts.strategy) ? opts.strategy : 'avalanche';
+  const maxMonths = Math.max(1, Math.min(PLAN_MAX_MONTHS, parseInt(opts.maxMonths, 10) || 360));
+  const base = { extra: Math.max(0, +opts.extra || 0), order: opts.order || [], maxMonths };
+
+  const plan = simulatePayoff(debts, { ...base, strategy });
+  const strategies = ['avalanche','snowball', ...(base.order.length ? ['custom'] : []), 'minimum'];
+  const runs = strategies.map(name => (name === strategy ? plan : simulatePayoff(debts, { ...base, strategy: name })));
+  const minimum = runs[runs.length - 1];
+  const comparison = runs.map(r => ({
+    strategy: r.strategy,
+    paidOff: r.paidOff,
+    months: r.months,
+    payoffDate: r.payoffDate,
+    totalInterest: r.totalInterest,
+    interestSavedVsMinimum: minimum.paidOff && r.paidOff ? money(minimum.totalInterest - r.totalInterest) : null,
+    order: r.debts.map(d => d.id),
+  }));
+  const paying = comparison.filter(c => c.paidOff && c.strategy !== 'minimum');
+  const best = paying.sort((a, b) => a.totalInterest - b.totalInterest || a.months - b.months)[0];
+
+  const warnings = [];
+  debts.filter(d => d.aprMissing).forEach(d => warnings.push({ id: d.id, warning: 'APR_UNKNOWN_ASSUMED_0' }));
+  debts.filter(d => d.minPaymentEstimated).forEach(d => warnings.push({ id: d.id, warning: 'MIN_PAYMENT_ESTIMATED' }));
+  if (!plan.paidOff && debts.length) warnings.push({ warning: 'NOT_PAID_OFF_WITHIN_HORIZON', maxMonths });
+
+  return { plan, comparison, recommended: best?.strategy || null, warnings };
+}
+
+module.exports = { PLAN_MAX_MONTHS, plaidDebts, manualDebtList, prepareDebts, simulatePayoff, planDebts };
@@ -0,0 +1,152 @@
+// lib/fusion.js — how JAMARI turns several providers' drafts into one reply, and the per-provider
+// circuit breakers that keep a failing provider out of the rotation.
+//
+//   const breakers = createBreakers({ fails: 3, cooldownS: 60 });
+//   if (breakers.breakerAllows('openai')) { ...call...; breakers.recordOutcome('openai', error || null, ms); }
+//
+//   const { reply, results, meta } = await fuse({
+//     strategy: 'judge', order: ['openai', 'anthropic'], fallbacks: () => ['rules'],
+//     ask: name => callProvider(name, ...),     // -> { name, text, status, latency_ms, error? }, never throws
+//     judge: drafts => callProvider(judge, ...), // -> the same, or null when there is no judge
+//     weightOf: name => 1,
+//   });
+//
+// Strategies:
+//   primary - ask providers one at a time in order, first usable reply wins
+//   judge   - ask all, then judge() reconciles the drafts (falls back to vote)
+//   vote    - ask all, keep the draft that agrees most with the others, scaled by weightOf()
+//   merge   - ask all, first reply plus sentences the others add (the original behaviour)
+// If no model answers, fallbacks() are asked in turn (strategy "fallback").
+
+const { tokenize } = require('./retrieval');
+
+const NO_PROVIDER_REPLY = "I'm ready, but no AI providers responded. Check your AI keys.";
+const JUDGE_SYSTEM = [
+  "Several assistants drafted answers to the user's last message.",
+  "Write the single answer JAMARI should give: keep what the drafts agree on, resolve contradictions",
+  "in favour of the user's live figures and the reference passages, and drop anything unsupported.",
+  "Keep any [n] citations that still apply. Reply with the final answer only, never mention the drafts."
+].join(' ');
+
+// fails failures in a row (errors, timeouts, empty replies) open a provider's breaker for cooldownS;
+// then one trial call decides whether it closes.
+function createBreakers({ fails = 3, cooldownS = 60, now = Date.now, onOpen = () => {} } = {}) {
+  const health = new Map();
+
+  function healthOf(name) {
+    if (!health.has(name)) {
+      health.set(name, { state: 'closed', failures: 0, trial: false, retry_at: 0, calls: 0, errors: 0, last_error: null, last_latency_ms: null });
+    }
+    return health.get(name);
+  }
+  function breakerOpen(name) {
+    const h = healthOf(name);
+    return (h.state === 'open' && now() < h.retry_at) || (h.state === 'half_open' && h.trial);
+  }
+  function breakerAllows(name) {
+    const h = healthOf(name);
+    if (h.state === 'open' && now() >= h.retry_at) h.state = 'half_open';
+    if (h.state === 'half_open') {
+      if (h.trial) return false;
+      h.trial = true;
+    }
+    return h.state !== 'open';
+  }
+  function recordOutcome(name, error, ms) {
+    const h = healthOf(name);
+    h.trial = false;
+    h.calls++;
+    h.last_latency_ms = ms;
+    if (!error) {
+      Object.assign(h, { state: 'closed', failures: 0, last_error: null });
+      return;
+    }
+    h.errors++;
+    h.failures++;
+    h.last_error = error;
+    if (h.state === 'half_open' || h.failures >= fails) {
+      if (h.state !== 'open') onOpen(name, h.failures, error);
+      Object.assign(h, { state: 'open', retry_at: now() + cooldownS * 1000 });
+    }
+  }
+  return { healthOf, breakerOpen, breakerAllows, recordOutcome };
+}
+
+function fuseReplies(replies) {
+  const texts = replies.filter(Boolean).map(s => String(s).trim()).filter(Boolean);
+  if (!texts.length) return NO_PROVIDER_REPLY;
+  return [texts[0], ...fusionExtras(texts[0], texts.slice(1))].join(' ');
+}
+// Up to three sentences from the other replies that the first doesn't already say
+function fusionExtras(first, others) {
+  const seen = new Set(String(first).split(/(?<=\.)\s+/).map(s=>s.trim().toLowerCase()));
+  let extra = [];
+  for (const t of others.filter(Boolean)){
+    const parts = String(t).trim().split(/(?<=\.)\s+/);
+    for (const p of parts){
+      const k = p.trim().toLowerCase();
+      if (k && !seen.has(k)) { extra.push(p.trim()); if (extra.length>=3) break; }
+    }
+    if (extra.length>=3) break;
+  }
+  return extra;
+}
+// Score = own weight x (1 + weighted term overlap with every other draft) -> best draft
+function voteDrafts(drafts, weightOf = () => 1) {
+  const terms = drafts.map(d => new Set(tokenize(d.text)));
+  const overlap = (x, y) => {
+    let n = 0;
+    x.forEach(t => { if (y.has(t)) n++; });
+    return n / ((x.size + y.size - n) || 1);
+  };
+  const scores = drafts.map((d, i) => weightOf(d.name) * (1 + drafts.reduce((sum, o, j) =>
+    (j === i ? sum : sum + weightOf(o.name) * overlap(terms[i], terms[j])), 0)));
+  const best = scores.indexOf(Math.max(...scores));
+  return { draft: drafts[best], scores: Object.fromEntries(drafts.map((d, i) => [d.name, Math.round(scores[i] * 1000) / 1000])) };
+}
+
+// -> { reply (null when nobody answered), results: { name: ask() result }, meta: { strategy, requested, chosen, judge?, scores? } }
+async function fuse({ strategy, order, fallbacks = () => [], ask, judge = async () => null, weightOf }) {
+  const results = {};
+  const meta = { strategy, requested: strategy, chosen: null };
+  let reply = null;
+
+  if (strategy === 'primary') {
+    for (const name of order) {
+      results[name] = await ask(name);
+      if (results[name].text) { reply = results[name].text; meta.chosen = name; break; }
+    }
+  } else {
+    (await Promise.all(order.map(ask))).forEach(r => { results[r.name] = r; });
+    const drafts = order.map(n => results[n]).filter(r => r.text);
+    if (drafts.length < 2) {
+      if (drafts.length) meta.strategy = 'single';
+      reply = drafts[0]?.text || null;
+      meta.chosen = drafts[0]?.name || null;
+    } else if (strategy === 'merge') {
+      reply = fuseReplies(drafts.map(d => d.text));
+      meta.chosen = drafts[0].name;
+    } else {
+      const judged = strategy === 'judge' ? await judge(drafts) : null;
+      if (judged) meta.judge = { provider: judged.name, status: judged.status, latency_ms: judged.latency_ms };
+      if (judged?.text) {
+        reply = judged.text;
+        meta.chosen = 'judge';
+      } else {
+        const vote = voteDrafts(drafts, weightOf);
+        Object.assign(meta, { strategy: 'vote', chosen: vote.draft.name, scores: vote.scores });
+        reply = vote.draft.text;
+      }
+    }
+  }
+  if (!reply) {
+    // Asked after the models so breakers they just tripped are taken into account
+    for (const name of fallbacks()) {
+      results[name] = await ask(name);
+      if (results[name].text) { reply = results[name].text; Object.assign(meta, { strategy: 'fallback', chosen: name }); break; }
+    }
+  }
+  return { reply, results, meta };
+}
+
+module.exports = { NO_PROVIDER_REPLY, JUDGE_SYSTEM, createBreakers, fuseReplies, fusionExtras, voteDrafts, fuse };
@@ -0,0 +1,216 @@
+// lib/households.js — households: one per user, joined by single-use invite codes, with per-member
+// choices of what feeds the combined summary.
+//
+//   const households = createHouseholds({ store, inviteTtlH: 72, summaryOf: userId => buildSummary(userId) });
+//   await households.createInvite(ownerId, { role: 'partner' })  // -> { code, invite }; only the code's hash is stored
+//   await households.acceptInvite(userId, code, { accounts: true })
+//   await households.familySummary(userId)
+//
+// Roles: owner (manages members and invites), partner (sees the per-member breakdown), viewer
+// (household totals only). Nothing is shared until a member opts in. Failures throw httpError().
+
+const crypto = require('crypto');
+const { httpError } = require('./router');
+const { money } = require('./util');
+
+const FAMILY_ROLES  = ['owner', 'partner', 'viewer'];
+const SHARE_SCOPES  = ['accounts', 'investments', 'debts'];
+
+function hashInviteCode(code) {
+  return crypto.createHash('sha256').update(String(code).trim()).digest('hex');
+}
+function sharingOf(m) {
+  return { accounts: !!m.share_accounts, investments: !!m.share_investments, debts: !!m.share_debts };
+}
+// { accounts: true, ... } -> share_* columns (unknown keys ignored, missing keys left out)
+function sharingColumns(share = {}) {
+  const out = {};
+  SHARE_SCOPES.forEach(k => { if (share[k] !== undefined) out[`share_${k}`] = !!share[k]; });
+  return out;
+}
+function memberView(m, me) {
+  return { userId: m.user_id, email: m.email || null, role: m.role, you: m.user_id === me, sharing: sharingOf(m), joinedAt: m.joined_at };
+}
+function inviteView(i) {
+  const status = i.accepted_by ? 'accepted' : i.revoked_at ? 'revoked'
+    : new Date(i.expires_at).getTime() <= Date.now() ? 'expired' : 'pending';
+  return { id: i.id, role: i.role, email: i.email || null, status, expires_at: i.expires_at, accepted_by: i.accepted_by || null, created_at: i.created_at };
+}
+// What one member's summary contributes, limited to the scopes they share
+function sharedKpis(k, sharing) {
+  const out = {};
+  if (sharing.accounts) {
+    Object.assign(out, {
+      totalCash: k.totalCash, checking: k.checking, savings: k.savings, cashOther: k.cashOther,
+      income30: k.income30, spend30: k.spend30, netCashFlow: k.netCashFlow,
+    });
+  }
+  if (sharing.investments) {
+    Object.assign(out, { totalInvestments: k.totalInvestments, plaidInvestments: k.plaidInvestments, manualInvestments: k.manualInvestments });
+  }
+  if (sharing.debts) {
+    Object.assign(out, { totalLiabilities: k.totalLiabilities, plaidLiabilities: k.plaidLiabilities, manualLiabilities: k.manualLiabilities });
+  }
+  out.netWorth = money((out.totalCash || 0) + (out.totalInvestments || 0) - (out.totalLiabilities || 0));
+  return out;
+}
+
+function createHouseholds({ store, inviteTtlH = 72, summaryOf }) {
+  async function membershipOf(userId) {
+    return store.get('household_members', { user_id: userId });
+  }
+  async function householdMembers(householdId) {
+    return store.find('household_members', { household_id: householdId }, { orderBy: [['joined_at', 'asc']] });
+  }
+  async function householdView(userId) {
+    const me = await membershipOf(userId);
+    if (!me) return { householdId: null, name: null, role: null, members: [] };
+    const hh = await store.get('households', { id: me.household_id });
+    const members = await householdMembers(me.household_id);
+    return { householdId: me.household_id, name: hh?.name || null, role: me.role, members: members.map(m => memberView(m, userId)) };
+  }
+  // The caller's membership, which must carry one of `roles`
+  async function requireRole(userId, roles) {
+    const me = await membershipOf(userId);
+    if (!me) throw httpError(404, 'NOT_IN_HOUSEHOLD');
+    if (!roles.includes(me.role)) throw httpError(403, 'FORBIDDEN_ROLE', { role: me.role });
+    return me;
+  }
+
+  async function createInvite(userId, { email, role = 'partner', ttl_hours } = {}) {
+    if (!['partner', 'viewer'].includes(role)) throw httpError(400, 'INVALID_ROLE', { field: 'role' });
+    let me = await membershipOf(userId);
+    if (!me) {
+      // First invite founds the household with the inviter as owner
+      const hh = await store.insert('households', { id: `hh_${crypto.randomUUID()}`, owner_user_id: userId });
+      me = await store.insert('household_members', { household_id: hh.id, user_id: userId, role: 'owner' });
+    }
+    if (me.role !== 'owner') throw httpError(403, 'FORBIDDEN_ROLE', { role: me.role });
+    const hours = Math.max(1, Math.min(24 * 30, +ttl_hours || inviteTtlH));
+    const code = crypto.randomBytes(15).toString('base64url');
+    const invite = await store.insert('household_invites', {
+      id: crypto.randomUUID(),
+      household_id: me.household_id,
+      code_hash: hashInviteCode(code),
+      role,
+      email: email ? String(email).slice(0, 200) : null,
+      created_by: userId,
+      expires_at: new Date(Date.now() + hours * 3600 * 1000).toISOString(),
+    });
+    return { code, invite: inviteView(invite) };
+  }
+  async function acceptInvite(userId, code, share = {}) {
+    if (!code) throw httpError(400, 'MISSING_CODE', { field: 'code' });
+    const invite = await store.get('household_invites', { code_hash: hashInviteCode(code) });
+    if (!invite || invite.revoked_at) throw httpError(404, 'INVITE_NOT_FOUND');
+    if (invite.accepted_by) throw httpError(409, 'INVITE_ALREADY_USED');
+    if (new Date(invite.expires_at).getTime() <= Date.now()) throw httpError(410, 'INVITE_EXPIRED');
+    if (invite.created_by === userId) throw httpError(400, 'CANNOT_ACCEPT_OWN_INVITE');
+    const current = await membershipOf(userId);
+    if (current) throw httpError(409, 'ALREADY_IN_HOUSEHOLD', { householdId: current.household_id });
+
+    // Claim the code first so two people racing on it can't both join
+    const claimed = await store.update('household_invites',
+      { id: invite.id, accepted_by: null, revoked_at: null },
+      { accepted_by: userId, accepted_at: new Date().toISOString() });
+    if (!claimed.length) throw httpError(409, 'INVITE_ALREADY_USED');
+    await store.insert('household_members', {
+      household_id: invite.household_id, user_id: userId, role: invite.role, email: invite.email || null, ...sharingColumns(share),
+    });
+    return householdView(userId);
+  }
+  async function setMemberRole(userId, targetId, role) {
+    const me = await requireRole(userId, ['owner']);
+    if (!FAMILY_ROLES.includes(role)) throw httpError(400, 'INVALID_ROLE', { field: 'role' });
+    const target = await store.get('household_members', { household_id: me.household_id, user_id: targetId });
+    if (!target) throw httpError(404, 'MEMBER_NOT_FOUND');
+    if (targetId === userId) throw httpError(400, 'CANNOT_CHANGE_OWN_ROLE');
+    if (role === 'owner') {
+      // Hand over ownership; the previous owner stays on as a partner
+      await store.update('household_members', { household_id: me.household_id, user_id: userId }, { role: 'partner' });
+      await store.update('households', { id: me.household_id }, { owner_user_id: targetId });
+    }
+    await store.update('household_members', { household_id: me.household_id, user_id: targetId }, { role });
+    return householdView(userId);
+  }
+  // Owner removes someone, or anyone removes themselves (leave). The owner can only leave
+  // once they are alone, which dissolves the household.
+  async function removeMember(userId, targetId) {
+    const me = await membershipOf(userId);
+    if (!me) throw httpError(404, 'NOT_IN_HOUSEHOLD');
+    if (targetId !== userId && me.role !== 'owner') throw httpError(403, 'FORBIDDEN_ROLE', { role: me.role });
+    const members = await householdMembers(me.household_id);
+    if (!members.some(m => m.user_id === targetId)) throw httpError(404, 'MEMBER_NOT_FOUND');
+    if (targetId === userId && me.role === 'owner') {
+      if (members.length > 1) throw httpError(409, 'OWNER_MUST_TRANSFER');
+      await store.remove('household_invites', { household_id: me.household_id });
+      await store.remove('households', { id: me.household_id });
+    }
+    await store.remove('household_members', { household_id: me.household_id, user_id: targetId });
+    return householdView(userId);
+  }
+  // Account deletion: the user leaves their household and the invites they sent or used go too.
+  // An owner's household passes to the longest-standing partner (else member), or is dissolved.
+  async function removeFromHousehold(userId) {
+    const me = await membershipOf(userId);
+    if (me) {
+      const others = (await householdMembers(me.household_id)).filter(m => m.user_id !== userId);
+      if (!others.length) {
+        await store.remove('household_invites', { household_id: me.household_id });
+        await store.remove('households', { id: me.household_id });
+      } else if (me.role === 'owner') {
+        const heir = others.find(m => m.role === 'partner') || others[0];
+        await store.update('household_members', { household_id: me.household_id, user_id: heir.user_id }, { role: 'owner' });
+        await store.update('households', { id: me.household_id }, { owner_user_id: heir.user_id });
+      }
+      await store.remove('household_members', { household_id: me.household_id, user_id: userId });
+    }
+    await store.remove('household_invites', { $or: [{ created_by: userId }, { accepted_by: userId }] });
+  }
+
+  // Household KPIs from consenting members' summaries, plus a per-member breakdown
+  // (hidden from viewers). Members who share nothing are listed but never summarized.
+  async function familySummary(userId) {
+    const me = await membershipOf(userId);
+    if (!me) throw httpError(404, 'NOT_IN_HOUSEHOLD');
+    const members = await householdMembers(me.household_id);
+    const consenting = members.filter(m => SHARE_SCOPES.some(k => sharingOf(m)[k]));
+    const results = await Promise.all(consenting.map(m => summaryOf(m.user_id).then(
+      data => ({ userId: m.user_id, data }),
+      e => ({ userId: m.user_id, data: null, error: e?.error || 'PLAID_ERROR' }))));
+
+    const totals = { totalCash: 0, totalInvestments: 0, totalLiabilities: 0, income30: 0, spend30: 0 };
+    const breakdown = members.map(m => ({ userId: m.user_id, role: m.role, you: m.user_id === userId, sharing: sharingOf(m), kpis: null }));
+    results.forEach(r => {
+      const row = breakdown.find(b => b.userId === r.userId);
+      if (!r.data) { row.error = r.error || 'SUMMARY_FAILED'; return; }
+      row.kpis = sharedKpis(r.data.kpis || {}, row.sharing);
+      Object.keys(totals).forEach(k => { totals[k] += +row.kpis[k] || 0; });
+    });
+
+    Object.keys(totals).forEach(k => { totals[k] = money(totals[k]); });
+    const netCashFlow = money(totals.income30 - totals.spend30);
+    const kpis = {
+      ...totals,
+      netWorth: money(totals.totalCash + totals.totalInvestments - totals.totalLiabilities),
+      netCashFlow,
+      savingsRate: totals.income30 ? Math.max(0, Math.min(1, netCashFlow / totals.income30)) : null,
+      runwayMonths: totals.spend30 ? money(totals.totalCash / totals.spend30) : null,
+    };
+    return {
+      householdId: me.household_id,
+      role: me.role,
+      members: members.length,
+      contributing: consenting.length,
+      kpis,
+      breakdown: me.role === 'viewer' ? undefined : breakdown,
+    };
+  }
+
+  return {
+    membershipOf, householdView, requireRole,
+    createInvite, acceptInvite, setMemberRole, removeMember, removeFromHousehold, familySummary,
+  };
+}
+
+module.exports = { FAMILY_ROLES, SHARE_SCOPES, hashInviteCode, sharingColumns, inviteView, sharedKpis, createHouseholds };
@@ -0,0 +1,87 @@
+// lib/plaid-errors.js — Plaid failures mapped onto the app's own error codes.
+//
+//   const err = normalizePlaidError({ body, status, timedOut, path })
+//   // -> { error: 'ITEM_RELINK_REQUIRED', action: 'relink', http_status: 409, message, retryable,
+//   //      plaid: { error_type, error_code, error_message, display_message, request_id } }
+//
+// Clients branch on `error` and `action` only; Plaid's own codes ride along in `plaid` for support.
+// ERROR_CATALOG is the documented list (GET /plaid/errors).
+
+const ERROR_CATALOG = {
+  ITEM_RELINK_REQUIRED:     { status: 409, action: 'relink', description: 'The bank needs the user to sign in again; open Link in update mode for this Item.' },
+  PRODUCT_CONSENT_REQUIRED: { status: 409, action: 'update_products', description: 'The Item was linked without consent for this product; open Link in update mode with the product.' },
+  ITEM_NOT_FOUND:           { status: 404, action: 'link', description: 'Plaid no longer knows this Item; link the bank again.' },
+  LINK_TOKEN_INVALID:       { status: 400, action: 'link', description: 'The public or Link token is expired or was already used; restart Link.' },
+  PRODUCT_NOT_READY:        { status: 503, action: 'retry_later', description: 'The bank data is still being prepared; try again in a few minutes.' },
+  PRODUCT_NOT_AVAILABLE:    { status: 422, action: 'none', description: 'This bank or Item has no accounts for the product.' },
+  PRODUCT_NOT_ENABLED:      { status: 400, action: 'contact_support', description: 'The product is not enabled for this app.' },
+  INSTITUTION_UNAVAILABLE:  { status: 503, action: 'retry_later', description: 'The bank is down or not responding.' },
+  UPSTREAM_RATE_LIMITED:    { status: 429, action: 'retry_later', description: 'Plaid or the bank is rate limiting requests.' },
+  UPSTREAM_TIMEOUT:         { status: 504, action: 'retry', description: 'Plaid did not answer in time.' },
+  PLAID_UNAVAILABLE:        { status: 503, action: 'retry_later', description: 'Plaid had an internal error or is under maintenance.' },
+  PLAID_CONFIG_ERROR:       { status: 500, action: 'contact_support', description: 'The server\'s Plaid credentials or environment are wrong.' },
+  PLAID_REQUEST_INVALID:    { status: 400, action: 'contact_support', description: 'Plaid rejected the request as malformed.' },
+  PLAID_ERROR:              { status: 502, action: 'retry_later', description: 'Any other Plaid failure.' },
+};
+
+// Plaid error_code -> app code; anything unlisted falls back on error_type
+const BY_CODE = {
+  ITEM_LOGIN_REQUIRED: 'ITEM_RELINK_REQUIRED', INVALID_CREDENTIALS: 'ITEM_RELINK_REQUIRED', INVALID_MFA: 'ITEM_RELINK_REQUIRED',
+  INSUFFICIENT_CREDENTIALS: 'ITEM_RELINK_REQUIRED', ITEM_LOCKED: 'ITEM_RELINK_REQUIRED', USER_SETUP_REQUIRED: 'ITEM_RELINK_REQUIRED',
+  INVALID_UPDATED_USERNAME: 'ITEM_RELINK_REQUIRED', ACCESS_NOT_GRANTED: 'ITEM_RELINK_REQUIRED', USER_PERMISSION_REVOKED: 'ITEM_RELINK_REQUIRED',
+  PENDING_EXPIRATION: 'ITEM_RELINK_REQUIRED',
+  ADDITIONAL_CONSENT_REQUIRED: 'PRODUCT_CONSENT_REQUIRED',
+  ITEM_NOT_FOUND: 'ITEM_NOT_FOUND', INVALID_ACCESS_TOKEN: 'ITEM_NOT_FOUND',
+  INVALID_PUBLIC_TOKEN: 'LINK_TOKEN_INVALID', INVALID_LINK_TOKEN: 'LINK_TOKEN_INVALID',
+  PRODUCT_NOT_READY: 'PRODUCT_NOT_READY',
+  NO_ACCOUNTS: 'PRODUCT_NOT_AVAILABLE', NO_LIABILITY_ACCOUNTS: 'PRODUCT_NOT_AVAILABLE', NO_INVESTMENT_ACCOUNTS: 'PRODUCT_NOT_AVAILABLE',
+  NO_INVESTMENT_AUTH_ACCOUNTS: 'PRODUCT_NOT_AVAILABLE', PRODUCTS_NOT_SUPPORTED: 'PRODUCT_NOT_AVAILABLE', ITEM_NOT_SUPPORTED: 'PRODUCT_NOT_AVAILABLE',
+  INVALID_PRODUCT: 'PRODUCT_NOT_ENABLED', PRODUCTS_NOT_ENABLED: 'PRODUCT_NOT_ENABLED', PRODUCT_NOT_ENABLED: 'PRODUCT_NOT_ENABLED',
+  INSTITUTION_DOWN: 'INSTITUTION_UNAVAILABLE', INSTITUTION_NOT_RESPONDING: 'INSTITUTION_UNAVAILABLE',
+  INSTITUTION_NOT_AVAILABLE: 'INSTITUTION_UNAVAILABLE', INSTITUTION_NO_LONGER_SUPPORTED: 'PRODUCT_NOT_AVAILABLE',
+  RATE_LIMIT_EXCEEDED: 'UPSTREAM_RATE_LIMITED',
+  INTERNAL_SERVER_ERROR: 'PLAID_UNAVAILABLE', PLANNED_MAINTENANCE: 'PLAID_UNAVAILABLE',
+  INVALID_API_KEYS: 'PLAID_CONFIG_ERROR', UNAUTHORIZED_ENVIRONMENT: 'PLAID_CONFIG_ERROR', INVALID_CLIENT_ID: 'PLAID_CONFIG_ERROR',
+  INVALID_SECRET: 'PLAID_CONFIG_ERROR',
+};
+const BY_TYPE = {
+  RATE_LIMIT_EXCEEDED: 'UPSTREAM_RATE_LIMITED',
+  INSTITUTION_ERROR: 'INSTITUTION_UNAVAILABLE',
+  API_ERROR: 'PLAID_UNAVAILABLE',
+  INVALID_REQUEST: 'PLAID_REQUEST_INVALID',
+  INVALID_INPUT: 'PLAID_REQUEST_INVALID',
+};
+// Worth another attempt a moment later
+const TRANSIENT = new Set(['UPSTREAM_TIMEOUT', 'UPSTREAM_RATE_LIMITED', 'INSTITUTION_UNAVAILABLE', 'PLAID_UNAVAILABLE']);
+
+// body: Plaid's JSON error (if any); status: HTTP status; timedOut / network: no usable response at all
+function normalizePlaidError({ body = null, status = null, timedOut = false, network = false, path = null } = {}) {
+  const b = body && typeof body === 'object' ? body : {};
+  let error = BY_CODE[b.error_code] || BY_TYPE[b.error_type];
+  if (!error) error = timedOut ? 'UPSTREAM_TIMEOUT' : network || status >= 500 ? 'PLAID_UNAVAILABLE' : 'PLAID_ERROR';
+  const entry = ERROR_CATALOG[error];
+  return {
+    error,
+    action: entry.action,
+    http_status: entry.status,
+    message: b.display_message || entry.description,
+    retryable: TRANSIENT.has(error),
+    plaid: {
+      error_type: b.error_type || null,
+      error_code: b.error_code || null,
+      error_message: b.error_message || null,
+      display_message: b.display_message || null,
+      request_id: b.request_id || null,
+      status,
+    },
+    path,
+  };
+}
+
+// What a client sees: the app code, its action and Plaid's ids, never the raw upstream object
+function publicPlaidError(err) {
+  const { error_type, error_code, display_message, request_id } = err.plaid || {};
+  return { error: err.error, action: err.action, message: err.message, plaid: { error_type, error_code, display_message, request_id } };
+}
+
+module.exports = { ERROR_CATALOG, normalizePlaidError, publicPlaidError };
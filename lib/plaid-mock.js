@@ -0,0 +1,353 @@
+// lib/plaid-mock.js — an in-process stand-in for the Plaid API (PLAID_ENV=mock), fed by persona fixtures.
+//
+//   const mock = createPlaidMock({ dir: 'data/fixtures/plaid', onWebhook: evt => dispatch(evt) });
+//   await mock.request('/accounts/balance/get', { access_token })  // -> { status, body } | { timeout: true }
+//   mock.simulate({ path: '/link/token/create', error: 'INVALID_PRODUCT', times: 1 })
+//
+// Each <persona>.json holds an institution, accounts (short ids, made unique per Item), transaction
+// templates (fixed or [min, max] amounts, every_days + offset or day_of_month), liabilities, securities,
+// holdings and investment transaction templates. Numbers in *_date fields are days from today.
+//
+// Tokens carry the persona and link time (access-mock-<persona>-<t>-<n>), so Items survive restarts and
+// every read is derived from them: transactions run from 90 days before linking up to today, the last
+// two days pending. Sync cursors record how many were delivered and on which day, so later syncs add the
+// new days and report yesterday's pending transactions as modified.
+//
+// Besides the data endpoints it answers Plaid's sandbox helpers (/sandbox/public_token/create with
+// options.override_username = persona, /sandbox/item/reset_login, /sandbox/item/fire_webhook) and
+// /mock/item/repair. Webhooks go to onWebhook in-process.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DAY_MS = 86400000;
+const HISTORY_DAYS = 90;
+const PENDING_DAYS = 2;
+const ENABLED_PRODUCTS = ['transactions', 'liabilities', 'investments', 'assets', 'auth', 'identity'];
+
+// Plaid-shaped errors the mock can produce: [http status, error_type, error_message]
+const MOCK_ERRORS = {
+  ITEM_LOGIN_REQUIRED: [400, 'ITEM_ERROR', 'the login details of this item have changed (credentials, MFA, or required user action) and a user login is required to update this information.'],
+  INSTITUTION_DOWN: [400, 'INSTITUTION_ERROR', 'this institution is not currently responding to this request. please try again soon'],
+  INSTITUTION_NOT_RESPONDING: [400, 'INSTITUTION_ERROR', 'this institution is not currently responding to this request. please try again soon'],
+  RATE_LIMIT_EXCEEDED: [429, 'RATE_LIMIT_EXCEEDED', 'rate limit exceeded for attempts to access this item. please try again later'],
+  INTERNAL_SERVER_ERROR: [500, 'API_ERROR', 'an unexpected error occurred'],
+  PRODUCT_NOT_READY: [400, 'ITEM_ERROR', 'the requested product is not yet ready. please provide a webhook or try the request again later'],
+  INVALID_PRODUCT: [400, 'INVALID_INPUT', 'client is not authorized to access the following products: ["investments"]'],
+  TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION: [400, 'TRANSACTIONS_ERROR', 'underlying transaction data changed since last page was fetched. please restart pagination from last update.'],
+  USER_PERMISSION_REVOKED: [400, 'ITEM_ERROR', 'the user has revoked access to this item'],
+  NO_LIABILITY_ACCOUNTS: [400, 'ITEM_ERROR', 'the provided item does not have any liability accounts'],
+  NO_INVESTMENT_ACCOUNTS: [400, 'ITEM_ERROR', 'the provided item does not have any investment accounts'],
+  ITEM_NOT_FOUND: [400, 'ITEM_ERROR', 'the Item you requested cannot be found. This Item does not exist, has been previously removed via /item/remove, or has had access removed by the user'],
+  INVALID_ACCESS_TOKEN: [400, 'INVALID_INPUT', 'provided access token is in an invalid format'],
+  INVALID_PUBLIC_TOKEN: [400, 'INVALID_INPUT', 'provided public token is in an invalid format'],
+  INVALID_INSTITUTION: [400, 'INVALID_INPUT', 'invalid institution_id provided'],
+  INVALID_FIELD: [400, 'INVALID_REQUEST', 'one or more of the request fields are invalid'],
+};
+const WEBHOOK_TYPES = {
+  SYNC_UPDATES_AVAILABLE: 'TRANSACTIONS', INITIAL_UPDATE: 'TRANSACTIONS', HISTORICAL_UPDATE: 'TRANSACTIONS', TRANSACTIONS_REMOVED: 'TRANSACTIONS',
+  ERROR: 'ITEM', PENDING_EXPIRATION: 'ITEM', USER_PERMISSION_REVOKED: 'ITEM', LOGIN_REPAIRED: 'ITEM', NEW_ACCOUNTS_AVAILABLE: 'ITEM',
+};
+
+function plaidError(code, message) {
+  const [status, type, text] = MOCK_ERRORS[code];
+  return { status, body: { error_type: type, error_code: code, error_message: message || text, display_message: null, request_id: requestId() } };
+}
+function requestId() { return 'mock-' + crypto.randomBytes(5).toString('hex'); }
+function ok(body) { return { status: 200, body: { ...body, request_id: requestId() } }; }
+
+// Stable pseudo-random fraction in [0, 1) for a seed string
+function unit(seed) { return crypto.createHash('md5').update(seed).digest().readUInt32BE(0) / 2 ** 32; }
+function isoDay(day) { return new Date(day * DAY_MS).toISOString().slice(0, 10); }
+function dayOf(date) { return Math.floor(Date.parse(date) / DAY_MS); }
+function cents(n) { return Math.round(n * 100) / 100; }
+function occurs(t, day) {
+  if (t.day_of_month) return new Date(day * DAY_MS).getUTCDate() === t.day_of_month;
+  return (day + (t.offset || 0)) % (t.every_days || 1) === 0;
+}
+// Numbers in *_date(s) fields are days from today
+function resolveDates(value, today, key = '') {
+  if (Array.isArray(value)) return value.map(v => resolveDates(v, today, key));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, resolveDates(v, today, k)]));
+  }
+  return typeof value === 'number' && /_dates?$/.test(key) ? isoDay(today + value) : value;
+}
+
+function createPlaidMock({ dir, now = Date.now, onWebhook = null, latencyMs = 0 } = {}) {
+  let personas = null;
+  const broken = new Map();  // item_id -> error code, until repaired
+  const removed = new Set(); // item_ids
+  const faults = [];         // { path, item_id, error, remaining, products }
+
+  function load() {
+    if (personas) return personas;
+    personas = {};
+    for (const f of fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort()) {
+      const p = JSON.parse(fs.readFileSync(path.join(dir, f), 'utf8'));
+      personas[p.persona || path.basename(f, '.json')] = p;
+    }
+    return personas;
+  }
+  function productsOf(p) {
+    return ['transactions', ...(p.liabilities ? ['liabilities'] : []), ...((p.holdings || []).length ? ['investments'] : [])];
+  }
+  const today = () => Math.floor(now() / DAY_MS);
+
+  // ----- tokens -> Items -----
+  function mint(kind, persona, linkedAt, nonce) { return `${kind}-mock-${persona}-${linkedAt.toString(36)}-${nonce}`; }
+  function parseToken(token, kind) {
+    const m = String(token || '').match(new RegExp(`^${kind}-mock-([a-z0-9_]+)-([0-9a-z]+)-([0-9a-z]+)$`));
+    if (!m || !load()[m[1]]) return null;
+    const linkedAt = parseInt(m[2], 36);
+    return { persona: m[1], p: personas[m[1]], linkedAt, nonce: m[3], item_id: `mock-${m[1]}-${m[2]}-${m[3]}` };
+  }
+  function itemView(it) {
+    const code = broken.get(it.item_id);
+    return {
+      item_id: it.item_id,
+      institution_id: it.p.institution.institution_id,
+      webhook: '',
+      error: code ? plaidError(code).body : null,
+      available_products: ENABLED_PRODUCTS.filter(x => !productsOf(it.p).includes(x)),
+      billed_products: productsOf(it.p),
+      products: productsOf(it.p),
+      consent_expiration_time: null,
+      update_type: 'background',
+    };
+  }
+  const accountId = (it, id) => `${it.item_id}-${id}`;
+  function accounts(it) {
+    return it.p.accounts.map(a => ({
+      account_id: accountId(it, a.id),
+      name: a.name, official_name: a.official_name || null, mask: a.mask || null, type: a.type, subtype: a.subtype,
+      balances: { available: null, current: null, limit: null, ...a.balances, iso_currency_code: 'USD', unofficial_currency_code: null },
+    }));
+  }
+
+  // ----- generated history -----
+  function transactions(it, until = today()) {
+    const out = [];
+    const templates = it.p.transactions || [];
+    for (let day = Math.floor(it.linkedAt / DAY_MS) - HISTORY_DAYS; day <= until; day++) {
+      templates.forEach((t, i) => {
+        if (!occurs(t, day)) return;
+        const amount = Array.isArray(t.amount)
+          ? cents(t.amount[0] + unit(`${it.item_id}|${i}|${day}`) * (t.amount[1] - t.amount[0]))
+          : t.amount;
+        const [primary, detailed] = t.category || [];
+        out.push({
+          transaction_id: `${it.item_id}-tx-${day}-${i}`,
+          account_id: accountId(it, t.account),
+          amount, iso_currency_code: 'USD', unofficial_currency_code: null,
+          date: isoDay(day), authorized_date: isoDay(day),
+          name: t.name, merchant_name: t.merchant_name || null,
+          payment_channel: t.merchant_name ? 'in store' : 'other',
+          pending: false, pending_transaction_id: null,
+          personal_finance_category: primary ? { primary, detailed: detailed || primary, confidence_level: 'HIGH' } : null,
+          category: null, category_id: null,
+        });
+      });
+    }
+    return out;
+  }
+  const pendingOn = (tx, day) => dayOf(tx.date) > day - PENDING_DAYS;
+  const withPending = (tx, day) => ({ ...tx, pending: pendingOn(tx, day) });
+
+  function investmentTransactions(it, until = today()) {
+    const secs = new Map((it.p.securities || []).map(s => [s.security_id, s]));
+    const out = [];
+    (it.p.investment_transactions || []).forEach((t, i) => {
+      for (let day = Math.floor(it.linkedAt / DAY_MS) - HISTORY_DAYS; day <= until; day++) {
+        if (!occurs(t, day)) continue;
+        const price = t.security_id ? secs.get(t.security_id)?.close_price ?? 0 : 0;
+        const quantity = t.quantity || 0;
+        out.push({
+          investment_transaction_id: `${it.item_id}-itx-${day}-${i}`,
+          account_id: accountId(it, t.account), security_id: t.security_id || null,
+          date: isoDay(day), name: t.name, quantity, price,
+          amount: t.amount ?? cents(quantity * price), fees: 0,
+          type: t.type, subtype: t.subtype, iso_currency_code: 'USD', unofficial_currency_code: null,
+        });
+      }
+    });
+    return out.sort((a, b) => (a.date < b.date ? 1 : a.date > b.date ? -1 : 0));
+  }
+
+  // ----- sync cursors: { n delivered, d day of the last sync } -----
+  const encodeCursor = c => Buffer.from(JSON.stringify(c)).toString('base64url');
+  function decodeCursor(s) {
+    if (!s) return { n: 0, d: null };
+    try { const c = JSON.parse(Buffer.from(s, 'base64url').toString('utf8')); if (Number.isInteger(c.n)) return c; } catch {}
+    return null;
+  }
+
+  function fire(it, webhook_code, webhook_type = WEBHOOK_TYPES[webhook_code] || 'TRANSACTIONS', extra = {}) {
+    const evt = { webhook_type, webhook_code, item_id: it.item_id, environment: 'mock', ...extra };
+    if (webhook_type === 'TRANSACTIONS' && webhook_code === 'SYNC_UPDATES_AVAILABLE') {
+      Object.assign(evt, { initial_update_complete: true, historical_update_complete: true });
+    }
+    if (webhook_code === 'ERROR' && !evt.error) evt.error = plaidError(broken.get(it.item_id) || 'ITEM_LOGIN_REQUIRED').body;
+    if (webhook_code === 'USER_PERMISSION_REVOKED') evt.error = plaidError('USER_PERMISSION_REVOKED').body;
+    if (webhook_code === 'PENDING_EXPIRATION') evt.consent_expiration_time = new Date(now() + 7 * DAY_MS).toISOString();
+    if (onWebhook) setImmediate(() => onWebhook(evt));
+    return evt;
+  }
+
+  // ----- endpoints -----
+  const needsItem = {
+    '/item/get': it => ok({ item: itemView(it), status: { transactions: { last_successful_update: new Date(now()).toISOString() } } }),
+    '/item/remove': it => { removed.add(it.item_id); return ok({}); },
+    '/accounts/get': it => ok({ accounts: accounts(it), item: itemView(it) }),
+    '/accounts/balance/get': it => ok({ accounts: accounts(it), item: itemView(it) }),
+    '/transactions/get'(it, b) {
+      const o = b.options || {};
+      const from = b.start_date || isoDay(today() - 30), to = b.end_date || isoDay(today());
+      const all = transactions(it).filter(t => t.date >= from && t.date <= to && (!o.account_ids || o.account_ids.includes(t.account_id)))
+        .map(t => withPending(t, today())).reverse();
+      const offset = o.offset || 0, count = Math.min(500, o.count || 100);
+      return ok({ accounts: accounts(it), transactions: all.slice(offset, offset + count), total_transactions: all.length, item: itemView(it) });
+    },
+    '/transactions/sync'(it, b) {
+      const c = decodeCursor(b.cursor);
+      if (!c) return plaidError('INVALID_FIELD', 'cursor is not valid');
+      const now_ = today(), all = transactions(it, now_);
+      const count = Math.min(500, b.count || 100);
+      const added = all.slice(c.n, c.n + count).map(t => withPending(t, now_));
+      // Delivered while pending, settled since
+      const modified = c.d == null ? [] : all.slice(0, c.n).filter(t => pendingOn(t, c.d) && !pendingOn(t, now_)).map(t => withPending(t, now_));
+      const n = c.n + added.length;
+      return ok({
+        accounts: accounts(it), added, modified, removed: [],
+        next_cursor: encodeCursor({ n, d: now_ }), has_more: n < all.length,
+        transactions_update_status: 'HISTORICAL_UPDATE_COMPLETE',
+      });
+    },
+    '/liabilities/get'(it) {
+      const L = it.p.liabilities;
+      if (!L) return plaidError('NO_LIABILITY_ACCOUNTS');
+      const kinds = ['credit', 'mortgage', 'student'];
+      const liabilities = Object.fromEntries(kinds.map(k => [k, L[k]
+        ? L[k].map(({ account, ...x }) => ({ account_id: accountId(it, account), ...resolveDates(x, today()) }))
+        : null]));
+      return ok({ accounts: accounts(it), liabilities, item: itemView(it) });
+    },
+    '/investments/holdings/get'(it) {
+      if (!(it.p.holdings || []).length) return plaidError('NO_INVESTMENT_ACCOUNTS');
+      const asOf = isoDay(today());
+      const secs = (it.p.securities || []).map(s => ({ ...s, close_price_as_of: asOf, institution_id: null, is_cash_equivalent: !!s.is_cash_equivalent }));
+      const price = new Map(secs.map(s => [s.security_id, s.close_price]));
+      const holdings = it.p.holdings.map(({ account, ...h }) => ({
+        account_id: accountId(it, account), ...h,
+        institution_price: price.get(h.security_id) ?? 0,
+        institution_price_as_of: asOf,
+        institution_value: cents(h.quantity * (price.get(h.security_id) ?? 0)),
+        iso_currency_code: 'USD', unofficial_currency_code: null,
+      }));
+      return ok({ accounts: accounts(it), holdings, securities: secs, item: itemView(it) });
+    },
+    '/investments/transactions/get'(it, b) {
+      if (!(it.p.holdings || []).length) return plaidError('NO_INVESTMENT_ACCOUNTS');
+      const o = b.options || {};
+      const all = investmentTransactions(it).filter(t => (!b.start_date || t.date >= b.start_date) && (!b.end_date || t.date <= b.end_date));
+      const offset = o.offset || 0, count = Math.min(500, o.count || 100);
+      return ok({
+        accounts: accounts(it), investment_transactions: all.slice(offset, offset + count),
+        total_investment_transactions: all.length, securities: it.p.securities || [], item: itemView(it),
+      });
+    },
+    '/sandbox/item/reset_login'(it) {
+      broken.set(it.item_id, 'ITEM_LOGIN_REQUIRED');
+      fire(it, 'ERROR', 'ITEM');
+      return ok({ reset_login: true });
+    },
+    '/sandbox/item/fire_webhook'(it, b) {
+      if (!b.webhook_code) return plaidError('INVALID_FIELD', 'webhook_code is required');
+      const evt = fire(it, b.webhook_code, b.webhook_type || WEBHOOK_TYPES[b.webhook_code] || 'TRANSACTIONS');
+      return ok({ webhook_fired: true, webhook: evt });
+    },
+    '/mock/item/repair'(it) {
+      const was = broken.delete(it.item_id);
+      if (was) fire(it, 'LOGIN_REPAIRED', 'ITEM');
+      return ok({ repaired: was });
+    },
+  };
+  // Calls that work on a broken (login required) Item
+  const worksWhenBroken = new Set(['/item/get', '/item/remove', '/sandbox/item/reset_login', '/sandbox/item/fire_webhook', '/mock/item/repair']);
+
+  function linkTokenCreate(b) {
+    const asked = [...(b.products || []), ...(b.additional_consented_products || [])];
+    const bad = asked.filter(x => !ENABLED_PRODUCTS.includes(x));
+    if (bad.length) return plaidError('INVALID_PRODUCT', `client is not authorized to access the following products: ${JSON.stringify(bad)}`);
+    if (b.access_token && !parseToken(b.access_token, 'access')) return plaidError('INVALID_ACCESS_TOKEN');
+    return ok({ link_token: `link-mock-${crypto.randomBytes(8).toString('hex')}`, expiration: new Date(now() + 4 * 3600 * 1000).toISOString() });
+  }
+  function publicTokenCreate(b) {
+    load();
+    const persona = b.options?.override_username
+      || Object.keys(personas).find(k => personas[k].institution.institution_id === b.institution_id)
+      || Object.keys(personas)[0];
+    if (!personas[persona]) return plaidError('INVALID_FIELD', `unknown persona "${persona}" (have: ${Object.keys(personas).join(', ')})`);
+    return ok({ public_token: mint('public', persona, now(), crypto.randomBytes(3).toString('hex')) });
+  }
+  function institution(b) {
+    const p = Object.values(load()).find(x => x.institution.institution_id === b.institution_id);
+    if (!p) return plaidError('INVALID_INSTITUTION');
+    return ok({ institution: { ...p.institution, products: productsOf(p), country_codes: ['US'], routing_numbers: [], oauth: false } });
+  }
+
+  function takeFault(p, itemId) {
+    const f = faults.find(x => (!x.path || x.path === p) && (!x.item_id || x.item_id === itemId));
+    if (!f) return null;
+    if (f.remaining != null && --f.remaining <= 0) faults.splice(faults.indexOf(f), 1);
+    return f;
+  }
+
+  async function request(p, body = {}) {
+    if (latencyMs) await new Promise(resolve => setTimeout(resolve, latencyMs));
+    const it = body.access_token ? parseToken(body.access_token, 'access') : null;
+    const fault = takeFault(p, it?.item_id || null);
+    if (fault) {
+      if (fault.error === 'TIMEOUT') return { timeout: true };
+      if (fault.error === 'INVALID_PRODUCT' && fault.products) {
+        return plaidError('INVALID_PRODUCT', `client is not authorized to access the following products: ${JSON.stringify(fault.products)}`);
+      }
+      return plaidError(fault.error);
+    }
+
+    if (p === '/link/token/create') return linkTokenCreate(body);
+    if (p === '/sandbox/public_token/create') return publicTokenCreate(body);
+    if (p === '/institutions/get_by_id') return institution(body);
+    if (p === '/item/public_token/exchange') {
+      const pub = parseToken(body.public_token, 'public');
+      if (!pub) return plaidError('INVALID_PUBLIC_TOKEN');
+      return ok({ access_token: mint('access', pub.persona, pub.linkedAt, pub.nonce), item_id: pub.item_id });
+    }
+    const handler = needsItem[p];
+    if (!handler) return { status: 404, body: { error_type: 'INVALID_REQUEST', error_code: 'NOT_FOUND', error_message: `the mock does not implement ${p}`, request_id: requestId() } };
+    if (!it) return plaidError('INVALID_ACCESS_TOKEN');
+    if (removed.has(it.item_id)) return plaidError('ITEM_NOT_FOUND');
+    if (broken.has(it.item_id) && !worksWhenBroken.has(p)) return plaidError(broken.get(it.item_id));
+    return handler(it, body);
+  }
+
+  // Queue a failure: error is a Plaid error_code (see MOCK_ERRORS) or TIMEOUT; times null = until cleared
+  function simulate({ path: p = null, item_id = null, error, times = 1, products = null }) {
+    if (!error) return faults.splice(0).length;
+    const code = String(error).toUpperCase();
+    if (!MOCK_ERRORS[code] && code !== 'TIMEOUT') throw new Error(`unknown mock error "${error}"`);
+    faults.push({ path: p, item_id, error: code, remaining: times, products });
+    return faults.length;
+  }
+  function listPersonas() {
+    return Object.entries(load()).map(([persona, p]) => ({
+      persona, description: p.description || '', institution: p.institution, products: productsOf(p),
+      accounts: p.accounts.map(a => ({ name: a.name, type: a.type, subtype: a.subtype })),
+    }));
+  }
+
+  return { request, simulate, personas: listPersonas, errors: Object.keys(MOCK_ERRORS).concat('TIMEOUT') };
+}
+
+module.exports = { createPlaidMock };
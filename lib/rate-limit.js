@@ -0,0 +1,94 @@
+// lib/rate-limit.js — token buckets for per-user and per-IP request limits.
+//
+//   const limiter = createRateLimiter({ groups: parseLimits('ai=10/60,plaid=30/60'), pool });
+//   await limiter.take('ai', 'user:u1')   // -> { ok, limit, remaining, retry_after }
+//
+// A group's bucket holds `capacity` tokens and refills them evenly over `per` seconds: bursts up to
+// capacity go through, the sustained rate is capacity/per. Buckets live in process memory, or in
+// Postgres (rate_buckets) when a pool is given, so every instance draws from the same bucket.
+
+// "ai=10/60, plaid=30/60, manual=off" -> { ai: { capacity: 10, per: 60 }, plaid: {...}, manual: null }
+function parseLimits(spec, defaults = {}) {
+  const out = { ...defaults };
+  for (const part of String(spec || '').split(',').map(s => s.trim()).filter(Boolean)) {
+    const m = part.match(/^([a-z_]+)\s*=\s*(?:(off)|(\d+)\s*\/\s*(\d+)s?)$/i);
+    if (!m || (!m[2] && (+m[3] < 1 || +m[4] < 1))) throw new Error(`bad rate limit "${part}" (want group=capacity/seconds or group=off)`);
+    out[m[1].toLowerCase()] = m[2] ? null : { capacity: +m[3], per: +m[4] };
+  }
+  return out;
+}
+
+function memoryBuckets() {
+  const buckets = new Map(); // key -> { tokens, at }
+  const refill = (b, capacity, rate, now) => Math.min(capacity, b.tokens + Math.max(0, now - b.at) / 1000 * rate);
+  return {
+    async take(key, capacity, rate, now) {
+      const b = buckets.get(key) || { tokens: capacity, at: now };
+      b.tokens = refill(b, capacity, rate, now);
+      b.at = Math.max(b.at, now);
+      const ok = b.tokens >= 1;
+      if (ok) b.tokens -= 1;
+      buckets.set(key, b);
+      return { ok, tokens: b.tokens };
+    },
+    async peek(key, capacity, rate, now) {
+      const b = buckets.get(key);
+      return b ? refill(b, capacity, rate, now) : capacity;
+    },
+    async prune(before) {
+      for (const [k, b] of buckets) if (b.at < before) buckets.delete(k);
+    },
+  };
+}
+
+// One statement per take, so concurrent requests on any instance can't both spend the last token
+function postgresBuckets(pool) {
+  const refill = `LEAST($2::double precision, b.tokens + GREATEST(0, $4::bigint - b.updated_ms) * $3::double precision / 1000)`;
+  return {
+    async take(key, capacity, rate, now) {
+      const r = await pool.query(`
+        INSERT INTO rate_buckets AS b (key, tokens, allowed, updated_ms) VALUES ($1, $2::double precision - 1, TRUE, $4::bigint)
+        ON CONFLICT (key) DO UPDATE SET
+          allowed = ${refill} >= 1,
+          tokens = ${refill} - CASE WHEN ${refill} >= 1 THEN 1 ELSE 0 END,
+          updated_ms = GREATEST(b.updated_ms, $4::bigint)
+        RETURNING tokens, allowed`, [key, capacity, rate, now]);
+      return { ok: !!r.rows[0].allowed, tokens: +r.rows[0].tokens };
+    },
+    async peek(key, capacity, rate, now) {
+      const r = await pool.query(`SELECT ${refill} AS tokens FROM rate_buckets b WHERE key = $1`, [key, capacity, rate, now]);
+      return r.rows.length ? +r.rows[0].tokens : capacity;
+    },
+    async prune(before) {
+      await pool.query('DELETE FROM rate_buckets WHERE updated_ms < $1', [before]);
+    },
+  };
+}
+
+function createRateLimiter({ groups = {}, pool = null, now = Date.now } = {}) {
+  const buckets = pool ? postgresBuckets(pool) : memoryBuckets();
+  const rateOf = g => g.capacity / g.per;
+
+  // Unknown or disabled groups always pass (limit: null)
+  async function take(group, key) {
+    const g = groups[group];
+    if (!g) return { ok: true, limit: null };
+    const { ok, tokens } = await buckets.take(`${group}:${key}`, g.capacity, rateOf(g), now());
+    return {
+      ok, limit: g.capacity, remaining: Math.max(0, Math.floor(tokens)),
+      retry_after: ok ? 0 : Math.max(1, Math.ceil((1 - tokens) / rateOf(g))),
+    };
+  }
+  async function state(group, key) {
+    const g = groups[group];
+    if (!g) return null;
+    const tokens = await buckets.peek(`${group}:${key}`, g.capacity, rateOf(g), now());
+    return { limit: g.capacity, per_seconds: g.per, remaining: Math.floor(tokens) };
+  }
+  // Forget buckets idle for longer than maxIdleMs (they would have refilled anyway)
+  const prune = (maxIdleMs = 3600 * 1000) => buckets.prune(now() - maxIdleMs);
+
+  return { groups, backend: pool ? 'postgres' : 'memory', take, state, prune };
+}
+
+module.exports = { createRateLimiter, parseLimits };
@@ -0,0 +1,138 @@
+// lib/recurring.js — finds subscriptions, bills and paychecks in a transaction ledger.
+//
+//   detectRecurring(transactions, today)  // -> streams, largest monthly amount first
+//
+// Transactions are grouped by merchant + direction, each group is split into amount clusters,
+// then a cadence is inferred from the gaps between dates. Pending rows are ignored.
+
+const crypto = require('crypto');
+const { daysAgo, sum, money, addMonths } = require('./util');
+
+const CADENCES = [
+  { name: 'weekly',    days: 7,   tol: 2 },
+  { name: 'biweekly',  days: 14,  tol: 3 },
+  { name: 'monthly',   days: 30.44, tol: 5 },
+  { name: 'quarterly', days: 91.3, tol: 12 },
+  { name: 'annual',    days: 365.25, tol: 25 },
+];
+const RECURRING_LOOKBACK_DAYS = 400;
+const AMOUNT_TOL_PCT = 0.15, AMOUNT_TOL_ABS = 2;
+const PRICE_DRIFT_MAX = 1.5; // max/min amount ratio still treated as one stream (price changes, variable bills)
+
+function merchantKey(t) {
+  return String(t.merchant_name || t.name || '')
+    .toLowerCase()
+    .replace(/\d+/g, ' ')
+    .replace(/[^a-z& ]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+function median(arr) {
+  if (!arr.length) return 0;
+  const a = arr.slice().sort((x, y) => x - y), mid = Math.floor(a.length / 2);
+  return a.length % 2 ? a[mid] : (a[mid - 1] + a[mid]) / 2;
+}
+function dayDiff(a, b) { return Math.round((Date.parse(b) - Date.parse(a)) / 86400000); }
+function addDays(date, n) { return new Date(Date.parse(date) + n * 86400000).toISOString().slice(0, 10); }
+// Candidate streams for one merchant: the whole group when it already recurs on a steady
+// cadence (so a price change stays one stream), otherwise clusters of similar amounts
+function streamCandidates(txs) {
+  const amts = txs.map(t => Math.abs(t.amount));
+  if (txs.length >= 3 && Math.max(...amts) <= Math.min(...amts) * PRICE_DRIFT_MAX) {
+    const dates = txs.map(t => t.date).sort();
+    if (inferCadence(dates)) return [txs];
+  }
+  return amountClusters(txs);
+}
+// Greedy clusters of similar absolute amounts (sorted ascending)
+function amountClusters(txs) {
+  const sorted = txs.slice().sort((a, b) => Math.abs(a.amount) - Math.abs(b.amount));
+  const clusters = [];
+  for (const t of sorted) {
+    const amt = Math.abs(t.amount);
+    const c = clusters[clusters.length - 1];
+    const ref = c && median(c.map(x => Math.abs(x.amount)));
+    if (c && Math.abs(amt - ref) <= Math.max(AMOUNT_TOL_ABS, ref * AMOUNT_TOL_PCT)) c.push(t);
+    else clusters.push([t]);
+  }
+  return clusters;
+}
+function inferCadence(dates) {
+  const gaps = [];
+  for (let i = 1; i < dates.length; i++) gaps.push(dayDiff(dates[i - 1], dates[i]));
+  const g = median(gaps);
+  const cadence = CADENCES.find(c => Math.abs(g - c.days) <= c.tol);
+  if (!cadence) return null;
+  const regular = gaps.filter(x => Math.abs(x - cadence.days) <= cadence.tol * 1.5).length / gaps.length;
+  return regular >= 0.6 ? { ...cadence, regularity: money(regular) } : null;
+}
+function streamId(key, direction, cadence) {
+  return crypto.createHash('sha1').update(`${key}|${direction}|${cadence}`).digest('hex').slice(0, 16);
+}
+function detectRecurring(txs, today = daysAgo(0)) {
+  const groups = new Map();
+  for (const t of txs) {
+    if (t.pending || !t.amount) continue;
+    const key = merchantKey(t);
+    if (!key) continue;
+    const direction = t.amount < 0 ? 'inflow' : 'outflow';
+    const g = `${direction}|${key}`;
+    if (!groups.has(g)) groups.set(g, { key, direction, txs: [] });
+    groups.get(g).txs.push(t);
+  }
+
+  const streams = [];
+  for (const { key, direction, txs: groupTxs } of groups.values()) {
+    for (const cluster of streamCandidates(groupTxs)) {
+      const hist = cluster.slice().sort((a, b) => (a.date < b.date ? -1 : 1));
+      // Annual streams only ever show two hits inside the lookback window
+      if (hist.length < 3 && !(hist.length === 2 && dayDiff(hist[0].date, hist[1].date) > 300)) continue;
+      const cadence = inferCadence(hist.map(t => t.date));
+      if (!cadence) continue;
+
+      const last = hist[hist.length - 1];
+      const lastAmt = Math.abs(last.amount);
+      // Walk back over charges at the current price; a recent step up from the prior level is a price increase
+      const same = t => Math.abs(Math.abs(t.amount) - lastAmt) <= Math.max(0.5, lastAmt * 0.02);
+      let step = hist.length - 1;
+      while (step > 0 && same(hist[step - 1])) step--;
+      const prevAmt = step > 0 ? Math.abs(hist[step - 1].amount) : lastAmt;
+      const nextDate = cadence.name === 'monthly'   ? addMonths(last.date, 1)
+                     : cadence.name === 'quarterly' ? addMonths(last.date, 3)
+                     : cadence.name === 'annual'    ? addMonths(last.date, 12)
+                     : addDays(last.date, cadence.days);
+      const overdue = dayDiff(nextDate, today);
+      const increase = step > 0 && hist.length - step <= 3 && lastAmt > prevAmt;
+      const category = last.category || null;
+
+      streams.push({
+        id: streamId(key, direction, cadence.name),
+        merchant: last.merchant_name || last.name,
+        merchantKey: key,
+        direction,
+        kind: direction === 'inflow' ? (category === 'INCOME' ? 'income' : 'inflow')
+            : (category === 'RENT_AND_UTILITIES' || category === 'LOAN_PAYMENTS' ? 'bill' : 'subscription'),
+        category,
+        cadence: cadence.name,
+        regularity: cadence.regularity,
+        occurrences: hist.length,
+        firstDate: hist[0].date,
+        lastDate: last.date,
+        lastAmount: money(lastAmt),
+        averageAmount: money(sum(hist.map(t => Math.abs(t.amount))) / hist.length),
+        nextDate,
+        nextAmount: money(lastAmt),
+        monthlyAmount: money(lastAmt * 30.44 / cadence.days),
+        status: overdue > Math.max(cadence.tol * 2, cadence.days * 0.5) ? 'stopped' : 'active',
+        priceIncrease: increase
+          ? { from: money(prevAmt), to: money(lastAmt), pct: money((lastAmt - prevAmt) / prevAmt), since: hist[step].date }
+          : null,
+        account_id: last.account_id,
+        transaction_ids: hist.map(t => t.transaction_id),
+      });
+    }
+  }
+  return streams.sort((a, b) => b.monthlyAmount - a.monthlyAmount);
+}
+
+module.exports = { CADENCES, RECURRING_LOOKBACK_DAYS, merchantKey, inferCadence, detectRecurring };
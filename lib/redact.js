@@ -0,0 +1,77 @@
+// lib/redact.js — masks personal details in text bound for an AI provider and coarsens amounts.
+// Placeholders are fixed ([EMAIL], [PHONE], [ACCOUNT], [SSN], [NAME]) so the same text always
+// redacts to the same string.
+
+const RELATIONS = 'wife|husband|partner|spouse|son|daughter|kid|child|mom|mother|dad|father|brother|sister|' +
+  'friend|boss|landlord|roommate|girlfriend|boyfriend|fiance|fiancee|aunt|uncle|cousin|grandma|grandpa|neighbor';
+const CAP = "[A-Z][a-z'-]+";
+
+// [label, pattern, replacement]; order matters (emails before numbers, long numbers before phones)
+const RULES = [
+  ['EMAIL',   /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g, '[EMAIL]'],
+  ['SSN',     /\b\d{3}-\d{2}-\d{4}\b/g, '[SSN]'],
+  ['ACCOUNT', /\b(?:\d[ -]?){11,18}\d\b/g, '[ACCOUNT]'], // card and account numbers, spaced or dashed
+  ['ACCOUNT', /\b((?:account|acct|card|routing|iban|member)\b[^\d\n]{0,15}?)\d{4,17}\b/gi, '$1[ACCOUNT]'],
+  ['PHONE',   /(?:\+?1[ .-]?)?(?:\(\d{3}\)\s?|\b\d{3}[ .-]?)\d{3}[ .-]?\d{4}\b/g, '[PHONE]'],
+  ['NAME',    new RegExp(`\\b(?:Mr|Mrs|Ms|Miss|Dr)\\.?\\s+${CAP}(?:\\s+${CAP})?`, 'g'), '[NAME]'],
+  // Names are only taken when capitalized, so "my friend told me" stays as it is
+  ['NAME',    new RegExp(`\\b((?:[Mm]y name is|[Mm]y name's|[Cc]all me|[Ss]igned|[Rr]egards,?)\\s+)${CAP}(?:\\s+${CAP})?`, 'g'), '$1[NAME]'],
+  ['NAME',    new RegExp(`\\b([Mm]y (?:${RELATIONS})(?:'s)?,?\\s+)${CAP}(?:\\s+${CAP})?`, 'g'), '$1[NAME]'],
+];
+const escapeRe = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// names: extra names to mask wherever they appear (the user's own list).
+// -> { text, counts: { EMAIL: n, ... } }
+function redactText(text, { names = [] } = {}) {
+  let out = String(text ?? '');
+  const counts = {};
+  const apply = (label, re, rep) => {
+    out = out.replace(re, (...m) => {
+      counts[label] = (counts[label] || 0) + 1;
+      return typeof rep === 'string' ? rep.replace(/\$(\d)/g, (_, i) => m[+i] ?? '') : rep;
+    });
+  };
+  for (const [label, re, rep] of RULES) apply(label, re, rep);
+  const listed = names.map(n => String(n).trim()).filter(n => n.length > 1).sort((x, y) => y.length - x.length);
+  if (listed.length) apply('NAME', new RegExp(`\\b(?:${listed.map(escapeRe).join('|')})\\b`, 'gi'), '[NAME]');
+  return { text: out, counts };
+}
+
+// Redact every string in a JSON value (tool results); keys and numbers are left alone
+function redactValue(value, opts, counts = {}) {
+  const walk = v => {
+    if (typeof v === 'string') {
+      const r = redactText(v, opts);
+      for (const [k, n] of Object.entries(r.counts)) counts[k] = (counts[k] || 0) + n;
+      return r.text;
+    }
+    if (Array.isArray(v)) return v.map(walk);
+    if (v && typeof v === 'object') return Object.fromEntries(Object.entries(v).map(([k, x]) => [k, walk(x)]));
+    return v;
+  };
+  return { value: walk(value), counts };
+}
+
+// mode: exact ($12,345.67) | round (two significant figures: $12,000) | bucket ($10k–$25k, 1-2.5-5 steps)
+function amountText(n, mode = 'round') {
+  n = +n || 0;
+  const sign = n < 0 ? '-' : '';
+  const a = Math.abs(n);
+  const fmt = x => `$${x.toLocaleString('en-US', { maximumFractionDigits: 2 })}`;
+  if (mode === 'exact' || a === 0) return sign + fmt(Math.round(a * 100) / 100);
+  if (mode === 'round') {
+    const step = 10 ** Math.max(0, Math.floor(Math.log10(a)) - 1);
+    return sign + fmt(Math.round(a / step) * step);
+  }
+  const short = x => (x >= 1e6 ? `$${x / 1e6}M` : x >= 1e3 ? `$${x / 1e3}k` : `$${x}`);
+  let lo = 0;
+  for (let p = 1; ; p *= 10) {
+    for (const m of [1, 2.5, 5]) {
+      const hi = m * p;
+      if (a < hi) return `${sign}${short(lo)}–${short(hi)}`;
+      lo = hi;
+    }
+  }
+}
+
+module.exports = { redactText, redactValue, amountText };
@@ -0,0 +1,93 @@
+// lib/retrieval.js — offline BM25 over plain-text books, so JAMARI can quote passages
+// without an embedding service. Books are split into overlapping word windows that
+// respect paragraph breaks; each window is one searchable passage.
+
+const STOPWORDS = new Set((
+  'a an and are as at be been but by can could did do does for from had has have how i if in into is it its ' +
+  'just me my no not of on or our so than that the their them then there these they this to too was we were ' +
+  'what when where which who why will with would you your'
+).split(' '));
+
+// Lowercase words, minus stopwords, with plural/verb endings trimmed so "budgets" finds "budgeting"
+function tokenize(text) {
+  return (String(text).toLowerCase().match(/[a-z0-9][a-z0-9'-]*/g) || [])
+    .map(w => w.replace(/'s$|'/g, ''))
+    .filter(w => w.length > 1 && !STOPWORDS.has(w))
+    .map(stem);
+}
+function stem(w) {
+  if (w.length > 5 && w.endsWith('ing')) return w.slice(0, -3);
+  if (w.length > 4 && w.endsWith('ies')) return w.slice(0, -3) + 'y';
+  if (w.length > 4 && w.endsWith('ed')) return w.slice(0, -2);
+  if (w.length > 3 && w.endsWith('s') && !w.endsWith('ss')) return w.slice(0, -1);
+  return w;
+}
+
+// -> [{ passage, text }], passages numbered from 1 in reading order
+function chunkText(text, { words = 180, overlap = 40 } = {}) {
+  const paragraphs = String(text).replace(/\r\n/g, '\n').split(/\n\s*\n/)
+    .map(p => p.replace(/\s+/g, ' ').trim()).filter(Boolean);
+  const out = [];
+  let cur = [];
+  const flush = () => {
+    if (!cur.length) return;
+    out.push({ passage: out.length + 1, text: cur.join(' ') });
+    cur = overlap ? cur.slice(-overlap) : [];
+  };
+  for (const p of paragraphs) {
+    const w = p.split(' ');
+    // Close the window at a paragraph boundary when the next paragraph would overflow it
+    if (cur.length > overlap && cur.length + w.length > words) flush();
+    for (const x of w) {
+      cur.push(x);
+      if (cur.length >= words) flush();
+    }
+  }
+  if (cur.length > overlap || !out.length) flush();
+  return out;
+}
+
+// docs: [{ book, title, text }]. Passages under minWords tokens (placeholders, headings) are skipped.
+function buildIndex(docs, { words, overlap, minWords = 8 } = {}) {
+  const chunks = [];
+  const df = new Map();
+  for (const d of docs) {
+    for (const c of chunkText(d.text, { words, overlap })) {
+      const terms = tokenize(c.text);
+      if (terms.length < minWords) continue;
+      const tf = new Map();
+      terms.forEach(t => tf.set(t, (tf.get(t) || 0) + 1));
+      tf.forEach((_, t) => df.set(t, (df.get(t) || 0) + 1));
+      chunks.push({ book: d.book, title: d.title, passage: c.passage, text: c.text, len: terms.length, tf });
+    }
+  }
+  const avgdl = chunks.length ? chunks.reduce((a, c) => a + c.len, 0) / chunks.length : 0;
+  return { chunks, df, avgdl };
+}
+
+// Top-k passages for a query, best first: [{ book, title, passage, score, text }]
+function search(index, query, { k = 4, k1 = 1.2, b = 0.75, minScore = 0 } = {}) {
+  const terms = Array.from(new Set(tokenize(query)));
+  const N = index.chunks.length;
+  if (!terms.length || !N) return [];
+  const idf = new Map(terms.map(t => {
+    const n = index.df.get(t) || 0;
+    return [t, Math.log(1 + (N - n + 0.5) / (n + 0.5))];
+  }));
+  const scored = [];
+  for (const c of index.chunks) {
+    let score = 0;
+    for (const t of terms) {
+      const f = c.tf.get(t);
+      if (!f) continue;
+      score += idf.get(t) * (f * (k1 + 1)) / (f + k1 * (1 - b + b * c.len / (index.avgdl || 1)));
+    }
+    if (score > minScore) scored.push({ c, score });
+  }
+  return scored
+    .sort((x, y) => y.score - x.score)
+    .slice(0, k)
+    .map(({ c, score }) => ({ book: c.book, title: c.title, passage: c.passage, score: Math.round(score * 1000) / 1000, text: c.text }));
+}
+
+module.exports = { tokenize, chunkText, buildIndex, search };
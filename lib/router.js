@@ -0,0 +1,183 @@
+// lib/router.js — declarative routes for the HTTP server, and the OpenAPI document built from them.
+//
+//   const router = createRouter({ validate, send, auth: { user: ctx => userId, admin: ctx => {} }, bodyLimit });
+//   router.use(mw)                                  // mw(ctx) runs before every route, in order
+//   router.post('/things/:id', {
+//     summary, tags, auth: 'user' | 'admin' | false, // default 'user'; sets ctx.userId
+//     params, query, body,                          // JSON schemas (lib: server's validateSchema)
+//     raw: true,                                    // ctx.body is the unparsed string (webhook signatures)
+//     use: [mw],                                    // after auth, parsing and validation
+//     responses: { 200: 'description', 404: '...' },
+//   }, async ctx => result)                         // a returned value is sent as 200 JSON
+//
+// ctx = { req, res, method, path, route, params, query, body, userId, ... }. Middleware and handlers
+// stop a request by throwing httpError(); the caller turns { http_status, ...body } into the response.
+// Query strings are coerced to the schema's number/integer/boolean types before validation.
+
+// Thrown from helpers and middleware; the server answers http_status with the remaining fields as the body
+function httpError(status, error, extra = {}) { return { http_status: status, error, ...extra }; }
+
+// Body is buffered once on the request so auth and the route handler can both read it
+function readBody(req, limit = 1024 * 1024) {
+  if (req._rawBody) return req._rawBody;
+  req._rawBody = new Promise((resolve, reject) => {
+    let data = '';
+    let size = 0;
+    const onData = chunk => {
+      size += chunk.length;
+      if (size <= limit) { data += chunk; return; }
+      // Stop buffering but keep draining, so the 413 can still be written
+      req.off('data', onData);
+      req.resume();
+      reject(httpError(413, 'PAYLOAD_TOO_LARGE', { limit }));
+    };
+    req.on('data', onData);
+    req.on('end', () => resolve(data));
+    req.on('error', reject);
+  });
+  return req._rawBody;
+}
+async function readJSONBody(req, limit) {
+  const data = await readBody(req, limit);
+  if (!data.trim()) return {};
+  try { return JSON.parse(data); } catch { throw httpError(400, 'INVALID_JSON'); }
+}
+
+function compilePath(path) {
+  const names = [];
+  const re = path.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/:(\w+)/g, (_, n) => { names.push(n); return '([^/]+)'; });
+  return { re: new RegExp(`^${re}$`), names };
+}
+function coerceQuery(query, schema) {
+  const out = { ...query };
+  for (const [k, sub] of Object.entries(schema?.properties || {})) {
+    const v = out[k];
+    if (typeof v !== 'string' || v === '') continue;
+    if ((sub.type === 'number' || sub.type === 'integer') && Number.isFinite(+v)) out[k] = +v;
+    if (sub.type === 'boolean' && /^(1|true|0|false)$/.test(v)) out[k] = v === '1' || v === 'true';
+  }
+  return out;
+}
+
+// OpenAPI 3.0 has no type arrays: ['string', 'null'] -> nullable, several types -> oneOf
+function toOpenApi(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+  if (Array.isArray(schema)) return schema.map(toOpenApi);
+  const out = Object.fromEntries(Object.entries(schema).map(([k, v]) => [k, k === 'enum' ? v : toOpenApi(v)]));
+  if (out.properties) out.properties = Object.fromEntries(Object.entries(schema.properties).map(([k, v]) => [k, toOpenApi(v)]));
+  if (Array.isArray(schema.type)) {
+    const types = schema.type.filter(t => t !== 'null');
+    delete out.type;
+    if (types.length < schema.type.length) out.nullable = true;
+    if (types.length === 1) out.type = types[0];
+    else out.oneOf = types.map(type => ({ type }));
+  }
+  return out;
+}
+
+function createRouter({ validate, send, auth = {}, bodyLimit = 1024 * 1024 } = {}) {
+  const routes = [];
+  const before = [];
+
+  function add(method, path, meta, handler) {
+    if (typeof meta === 'function') [meta, handler] = [{}, meta];
+    routes.push({ method, path, ...compilePath(path), meta: { auth: 'user', ...meta }, handler });
+    return router;
+  }
+
+  async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const path = url.pathname;
+    const candidates = routes.map(r => ({ r, m: path.match(r.re) })).filter(x => x.m);
+    const hit = candidates.find(x => x.r.method === req.method);
+    if (!hit) {
+      if (!candidates.length) throw httpError(404, 'NOT_FOUND');
+      res.setHeader('Allow', [...new Set(candidates.map(x => x.r.method))].join(','));
+      throw httpError(405, 'METHOD_NOT_ALLOWED');
+    }
+    const { r, m } = hit;
+    const params = {};
+    try {
+      r.names.forEach((n, i) => { params[n] = decodeURIComponent(m[i + 1]); });
+    } catch { throw httpError(400, 'INVALID_PATH'); }
+    const ctx = { req, res, method: req.method, path, route: r.meta, params, query: Object.fromEntries(url.searchParams) };
+
+    for (const mw of before) await mw(ctx);
+    if (r.meta.auth) {
+      const check = auth[r.meta.auth];
+      if (!check) throw new Error(`no auth handler for "${r.meta.auth}" (${req.method} ${r.path})`);
+      const id = await check(ctx);
+      if (r.meta.auth === 'user') ctx.userId = id;
+    }
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      ctx.body = r.meta.raw ? await readBody(req, bodyLimit) : await readJSONBody(req, bodyLimit);
+      if (!r.meta.raw && (ctx.body === null || typeof ctx.body !== 'object')) throw httpError(400, 'INVALID_JSON', { message: 'body must be a JSON object' });
+    }
+    if (r.meta.query) ctx.query = coerceQuery(ctx.query, r.meta.query);
+    if (validate) {
+      const fields = [];
+      for (const where of ['params', 'query', 'body']) {
+        if (!r.meta[where] || (where === 'body' && r.meta.raw)) continue;
+        fields.push(...validate(ctx[where] ?? {}, r.meta[where]).map(f => ({ in: where, ...f })));
+      }
+      if (fields.length) throw httpError(400, 'VALIDATION_ERROR', { fields });
+    }
+    for (const mw of r.meta.use || []) await mw(ctx);
+
+    const out = await r.handler(ctx);
+    if (out !== undefined && !res.headersSent && !res.writableEnded) send(res, 200, out);
+    return true;
+  }
+
+  // OpenAPI 3.0 document for every route not marked hidden
+  function openapi({ title = 'API', version = '1.0.0', description } = {}) {
+    const paths = {};
+    for (const r of routes) {
+      if (r.meta.hidden) continue;
+      const p = r.path.replace(/:(\w+)/g, '{$1}');
+      const parameters = [
+        ...r.names.map(n => ({ name: n, in: 'path', required: true, schema: toOpenApi(r.meta.params?.properties?.[n] || { type: 'string' }) })),
+        ...Object.entries(r.meta.query?.properties || {}).map(([n, s]) => ({
+          name: n, in: 'query', required: (r.meta.query.required || []).includes(n), schema: toOpenApi(s),
+          ...(s.description ? { description: s.description } : {}),
+        })),
+      ];
+      const responses = Object.fromEntries(Object.entries({ 200: 'OK', ...(r.meta.responses || {}) })
+        .map(([code, d]) => [code, { description: d }]));
+      if (r.meta.query || r.meta.params || r.meta.body) {
+        const v = 'VALIDATION_ERROR: { fields: [{ in, path, message }] }';
+        responses[400] = { description: responses[400] ? `${responses[400].description}; ${v}` : v };
+      }
+      if (r.meta.auth) responses[401] = responses[401] || { description: 'Not authenticated' };
+      const op = {
+        operationId: `${r.method.toLowerCase()}${p.replace(/\{(\w+)\}/g, 'By_$1').replace(/[^A-Za-z0-9]+(\w)?/g, (_, c) => (c || '').toUpperCase())}`,
+        tags: r.meta.tags || [p.split('/')[1] || 'root'],
+        ...(r.meta.summary ? { summary: r.meta.summary } : {}),
+        ...(parameters.length ? { parameters } : {}),
+        ...(r.meta.body || (r.meta.raw && r.method !== 'GET') ? {
+          requestBody: { required: !!r.meta.body?.required?.length, content: { 'application/json': { schema: toOpenApi(r.meta.body || {}) } } },
+        } : {}),
+        responses,
+        security: r.meta.auth === 'admin' ? [{ adminToken: [] }] : r.meta.auth ? [{ bearerAuth: [] }] : [],
+      };
+      (paths[p] = paths[p] || {})[r.method.toLowerCase()] = op;
+    }
+    return {
+      openapi: '3.0.3',
+      info: { title, version, ...(description ? { description } : {}) },
+      paths,
+      components: {
+        securitySchemes: {
+          bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' },
+          adminToken: { type: 'apiKey', in: 'header', name: 'X-Admin-Token' },
+        },
+      },
+    };
+  }
+
+  const router = { routes, handle, openapi, use: mw => { before.push(mw); return router; } };
+  for (const m of ['get', 'post', 'put', 'patch', 'delete']) router[m] = (path, meta, handler) => add(m.toUpperCase(), path, meta, handler);
+  return router;
+}
+
+module.exports = { createRouter, httpError, readBody, readJSONBody };
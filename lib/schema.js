@@ -0,0 +1,353 @@
+// lib/schema.js — table descriptors for the storage adapters plus the numbered migrations.
+// Add a migration for every schema change; never edit one that has shipped.
+
+const crypto = require('crypto');
+
+const now = () => new Date().toISOString();
+
+// key: row identity (and default upsert conflict target); unique: the table's other UNIQUE column sets;
+// json: JSONB columns; serial: auto-increment column; defaults: what the SQL DEFAULTs give non-Postgres backends.
+const TABLES = {
+  schema_migrations:   { key: ['id'] },
+  tokens:              { key: ['user_id', 'item_id'], defaults: { created_at: now } },
+  manual_holdings:     { key: ['user_id'], json: ['data'], defaults: { version: 0, updated_at: now } },
+  manual_debts:        { key: ['user_id'], json: ['data'], defaults: { version: 0, updated_at: now } },
+  manual_history:      { key: ['id'], serial: 'id', json: ['data'], defaults: { created_at: now } },
+  family_links:        { key: ['owner_user_id', 'invited_user_id'], defaults: { status: 'pending', created_at: now } },
+  transactions:        { key: ['transaction_id'], json: ['data'], defaults: { pending: false, updated_at: now } },
+  transaction_cursors: { key: ['item_id'] },
+  item_status:         { key: ['item_id'], defaults: { status: 'healthy', needs_relink: false, new_accounts_available: false, updated_at: now } },
+  category_rules:      { key: ['id'], defaults: { priority: 0, match_field: 'any', created_at: now } },
+  budgets:             { key: ['id'], unique: [['user_id', 'category']], defaults: { created_at: now, updated_at: now } },
+  recurring_dismissed: { key: ['user_id', 'stream_id'], defaults: { created_at: now } },
+  kpi_snapshots:       { key: ['user_id', 'date'], json: ['kpis'], defaults: { taken_at: now } },
+  quote_cache:         { key: ['symbol'], defaults: { fetched_at: now } },
+  households:          { key: ['id'], defaults: { created_at: now } },
+  household_members:   { key: ['household_id', 'user_id'], unique: [['user_id']], defaults: { share_accounts: false, share_investments: false, share_debts: false, joined_at: now } },
+  household_invites:   { key: ['id'], unique: [['code_hash']], defaults: { created_at: now } },
+  chat_threads:        { key: ['id'], defaults: { summarized_through: 0, created_at: now, updated_at: now } },
+  chat_messages:       { key: ['id'], serial: 'id', json: ['citations'], defaults: { created_at: now } },
+  ai_settings:         { key: ['user_id'], json: ['opt_out', 'mask_names'], defaults: { updated_at: now } },
+  ai_audit:            { key: ['id'], serial: 'id', json: ['redactions'], defaults: { created_at: now } },
+  usage_daily:         { key: ['user_id', 'day'], defaults: { ai_calls: 0, ai_tokens_in: 0, ai_tokens_out: 0 } },
+  rate_buckets:        { key: ['key'] },
+};
+
+// The first ten mirror the CREATE/ALTER ... IF NOT EXISTS bootstrap that used to run at
+// startup, so databases created by it adopt the numbering without changes.
+const MIGRATIONS = [
+  {
+    id: 1, name: 'initial',
+    sql: [`
+      CREATE TABLE IF NOT EXISTS tokens (
+        user_id TEXT NOT NULL,
+        item_id TEXT,
+        access_token TEXT NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `, `
+      CREATE TABLE IF NOT EXISTS manual_holdings (
+        user_id TEXT PRIMARY KEY,
+        data JSONB NOT NULL,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `, `
+      CREATE TABLE IF NOT EXISTS manual_debts (
+        user_id TEXT PRIMARY KEY,
+        data JSONB NOT NULL,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `, `
+      CREATE TABLE IF NOT EXISTS family_links (
+        owner_user_id   TEXT NOT NULL,
+        invited_user_id TEXT NOT NULL,
+        status          TEXT NOT NULL DEFAULT 'pending',
+        created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (owner_user_id, invited_user_id)
+      );
+    `],
+  },
+  {
+    id: 2, name: 'multi_item_tokens',
+    sql: [`
+      ALTER TABLE tokens
+        ADD COLUMN IF NOT EXISTS label            TEXT,
+        ADD COLUMN IF NOT EXISTS institution_id   TEXT,
+        ADD COLUMN IF NOT EXISTS institution_name TEXT;
+    `],
+  },
+  {
+    id: 3, name: 'item_status',
+    sql: [`
+      CREATE TABLE IF NOT EXISTS item_status (
+        item_id                 TEXT PRIMARY KEY,
+        user_id                 TEXT NOT NULL,
+        status                  TEXT NOT NULL DEFAULT 'healthy',
+        needs_relink            BOOLEAN NOT NULL DEFAULT FALSE,
+        error_code              TEXT,
+        error_message           TEXT,
+        consent_expiration_time TEXT,
+        new_accounts_available  BOOLEAN NOT NULL DEFAULT FALSE,
+        last_webhook            TEXT,
+        holdings_updated_at     TIMESTAMPTZ,
+        liabilities_updated_at  TIMESTAMPTZ,
+        updated_at              TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `],
+  },
+  {
+    id: 4, name: 'transactions_ledger',
+    sql: [`
+      CREATE TABLE IF NOT EXISTS transactions (
+        transaction_id    TEXT PRIMARY KEY,
+        user_id           TEXT NOT NULL,
+        item_id           TEXT NOT NULL,
+        account_id        TEXT,
+        date              TEXT NOT NULL,
+        authorized_date   TEXT,
+        name              TEXT,
+        merchant_name     TEXT,
+        amount            NUMERIC(14,2) NOT NULL,
+        iso_currency_code TEXT,
+        pending           BOOLEAN NOT NULL DEFAULT FALSE,
+        category          TEXT,
+        data              JSONB NOT NULL,
+        updated_at        TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `,
+    `CREATE INDEX IF NOT EXISTS transactions_user_date ON transactions (user_id, date DESC);`,
+    `
+      CREATE TABLE IF NOT EXISTS transaction_cursors (
+        item_id   TEXT PRIMARY KEY,
+        user_id   TEXT NOT NULL,
+        cursor    TEXT,
+        synced_at TIMESTAMPTZ
+      );
+    `],
+  },
+  {
+    id: 5, name: 'token_encryption',
+    sql: [`
+      ALTER TABLE tokens
+        ADD COLUMN IF NOT EXISTS key_id      TEXT,
+        ADD COLUMN IF NOT EXISTS wrapped_key TEXT;
+    `],
+  },
+  {
+    id: 6, name: 'categories_and_budgets',
+    sql: [
+      `ALTER TABLE transactions ADD COLUMN IF NOT EXISTS category_source TEXT;`,
+      `
+      CREATE TABLE IF NOT EXISTS category_rules (
+        id          TEXT PRIMARY KEY,
+        user_id     TEXT NOT NULL,
+        priority    INT  NOT NULL DEFAULT 0,
+        match_field TEXT NOT NULL DEFAULT 'any',
+        pattern     TEXT,
+        min_amount  NUMERIC(14,2),
+        max_amount  NUMERIC(14,2),
+        account_id  TEXT,
+        category    TEXT NOT NULL,
+        created_at  TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `, `
+      CREATE TABLE IF NOT EXISTS budgets (
+        id         TEXT PRIMARY KEY,
+        user_id    TEXT NOT NULL,
+        category   TEXT NOT NULL,
+        amount     NUMERIC(14,2) NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        UNIQUE (user_id, category)
+      );
+    `],
+  },
+  {
+    id: 7, name: 'recurring_dismissed',
+    sql: [`
+      CREATE TABLE IF NOT EXISTS recurring_dismissed (
+        user_id    TEXT NOT NULL,
+        stream_id  TEXT NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (user_id, stream_id)
+      );
+    `],
+  },
+  {
+    id: 8, name: 'kpi_snapshots',
+    sql: [`
+      CREATE TABLE IF NOT EXISTS kpi_snapshots (
+        user_id  TEXT NOT NULL,
+        date     TEXT NOT NULL,
+        taken_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        kpis     JSONB NOT NULL,
+        PRIMARY KEY (user_id, date)
+      );
+    `],
+  },
+  {
+    id: 9, name: 'quote_cache',
+    sql: [`
+      CREATE TABLE IF NOT EXISTS quote_cache (
+        symbol     TEXT PRIMARY KEY,
+        price      NUMERIC(18,6) NOT NULL,
+        currency   TEXT,
+        as_of      TIMESTAMPTZ NOT NULL,
+        provider   TEXT NOT NULL,
+        fetched_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `],
+  },
+  {
+    id: 10, name: 'manual_versions_and_history',
+    sql: [
+      `ALTER TABLE manual_holdings ADD COLUMN IF NOT EXISTS version INT NOT NULL DEFAULT 0;`,
+      `ALTER TABLE manual_debts ADD COLUMN IF NOT EXISTS version INT NOT NULL DEFAULT 0;`,
+      `
+      CREATE TABLE IF NOT EXISTS manual_history (
+        id         BIGSERIAL PRIMARY KEY,
+        user_id    TEXT NOT NULL,
+        kind       TEXT NOT NULL,
+        version    INT  NOT NULL,
+        data       JSONB NOT NULL,
+        op         TEXT NOT NULL,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `,
+    `CREATE INDEX IF NOT EXISTS manual_history_user ON manual_history (user_id, kind, id DESC);`],
+  },
+  {
+    // Households replace family_links. Accepted links become a household owned by the inviter;
+    // nothing is shared until each member opts in. Pending links had guessable codes and are dropped.
+    id: 11, name: 'households',
+    sql: [`
+      CREATE TABLE IF NOT EXISTS households (
+        id            TEXT PRIMARY KEY,
+        owner_user_id TEXT NOT NULL,
+        name          TEXT,
+        created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `, `
+      CREATE TABLE IF NOT EXISTS household_members (
+        household_id      TEXT NOT NULL,
+        user_id           TEXT NOT NULL UNIQUE,
+        role              TEXT NOT NULL,
+        email             TEXT,
+        share_accounts    BOOLEAN NOT NULL DEFAULT FALSE,
+        share_investments BOOLEAN NOT NULL DEFAULT FALSE,
+        share_debts       BOOLEAN NOT NULL DEFAULT FALSE,
+        joined_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (household_id, user_id)
+      );
+    `, `
+      CREATE TABLE IF NOT EXISTS household_invites (
+        id           TEXT PRIMARY KEY,
+        household_id TEXT NOT NULL,
+        code_hash    TEXT NOT NULL UNIQUE,
+        role         TEXT NOT NULL,
+        email        TEXT,
+        created_by   TEXT NOT NULL,
+        expires_at   TIMESTAMPTZ NOT NULL,
+        accepted_by  TEXT,
+        accepted_at  TIMESTAMPTZ,
+        revoked_at   TIMESTAMPTZ,
+        created_at   TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `],
+    up: async (store) => {
+      for (const l of await store.find('family_links', { status: 'accepted' })) {
+        const taken = new Set((await store.find('household_members', { user_id: { in: [l.owner_user_id, l.invited_user_id] } })).map(m => m.user_id));
+        let hh = await store.get('households', { owner_user_id: l.owner_user_id });
+        if (!hh && taken.has(l.owner_user_id)) continue; // owner already belongs to someone else's household
+        if (!hh) {
+          hh = await store.insert('households', { id: `hh_${crypto.randomUUID()}`, owner_user_id: l.owner_user_id });
+          await store.insert('household_members', { household_id: hh.id, user_id: l.owner_user_id, role: 'owner' });
+        }
+        if (!taken.has(l.invited_user_id)) {
+          await store.insert('household_members', { household_id: hh.id, user_id: l.invited_user_id, role: 'partner' });
+        }
+      }
+    },
+  },
+  {
+    // summary folds every message with id <= summarized_through
+    id: 12, name: 'jamari_threads',
+    sql: [`
+      CREATE TABLE IF NOT EXISTS chat_threads (
+        id                 TEXT PRIMARY KEY,
+        user_id            TEXT NOT NULL,
+        title              TEXT,
+        summary            TEXT,
+        summarized_through BIGINT NOT NULL DEFAULT 0,
+        created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at         TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `,
+    `CREATE INDEX IF NOT EXISTS chat_threads_user ON chat_threads (user_id, updated_at DESC);`,
+    `
+      CREATE TABLE IF NOT EXISTS chat_messages (
+        id         BIGSERIAL PRIMARY KEY,
+        thread_id  TEXT NOT NULL,
+        user_id    TEXT NOT NULL,
+        role       TEXT NOT NULL,
+        content    TEXT NOT NULL,
+        citations  JSONB,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `,
+    `CREATE INDEX IF NOT EXISTS chat_messages_thread ON chat_messages (thread_id, id);`],
+  },
+  {
+    // ai_audit is append-only: one row per provider request, holding a hash of the redacted prompt, never the text
+    id: 13, name: 'ai_privacy',
+    sql: [`
+      CREATE TABLE IF NOT EXISTS ai_settings (
+        user_id    TEXT PRIMARY KEY,
+        opt_out    JSONB,
+        mask_names JSONB,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `, `
+      CREATE TABLE IF NOT EXISTS ai_audit (
+        id               BIGSERIAL PRIMARY KEY,
+        user_id          TEXT NOT NULL,
+        provider         TEXT NOT NULL,
+        model            TEXT,
+        purpose          TEXT NOT NULL,
+        prompt_hash      TEXT NOT NULL,
+        tokens_in        INTEGER,
+        tokens_out       INTEGER,
+        tokens_estimated BOOLEAN NOT NULL DEFAULT FALSE,
+        latency_ms       INTEGER,
+        outcome          TEXT NOT NULL,
+        error            TEXT,
+        redactions       JSONB,
+        created_at       TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `,
+    `CREATE INDEX IF NOT EXISTS ai_audit_user ON ai_audit (user_id, id DESC);`],
+  },
+  {
+    id: 14, name: 'rate_limits',
+    sql: [`
+      CREATE TABLE IF NOT EXISTS usage_daily (
+        user_id       TEXT NOT NULL,
+        day           TEXT NOT NULL,
+        ai_calls      INTEGER NOT NULL DEFAULT 0,
+        ai_tokens_in  INTEGER NOT NULL DEFAULT 0,
+        ai_tokens_out INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (user_id, day)
+      );
+    `, `
+      CREATE TABLE IF NOT EXISTS rate_buckets (
+        key        TEXT PRIMARY KEY,
+        tokens     DOUBLE PRECISION NOT NULL,
+        allowed    BOOLEAN NOT NULL DEFAULT TRUE,
+        updated_ms BIGINT NOT NULL
+      );
+    `,
+    `CREATE INDEX IF NOT EXISTS rate_buckets_updated ON rate_buckets (updated_ms);`],
+  },
+];
+
+module.exports = { TABLES, MIGRATIONS };
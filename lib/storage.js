@@ -0,0 +1,375 @@
+// lib/storage.js — one small table API over three backends, picked by STORAGE:
+//   postgres  DATABASE_URL (schema from numbered SQL migrations)
+//   file      a JSON document on disk (STORAGE_FILE), for local development without a database
+//   memory    process memory only (tests, throwaway runs)
+//
+// Rows are plain objects. Every backend understands the same `where`:
+//   { col: value }                     equality (null -> IS NULL)
+//   { col: { in: [..] } }              membership
+//   { col: { ne, gt, gte, lt, lte } }  comparisons (ne is null-safe)
+//   { col: { contains: 'txt' } }       case-insensitive substring
+//   { $or: [where, where] }
+// and the same options: { orderBy: [['col', 'desc'], ...], limit, offset }.
+// increment(table, keyRow, { col: n }) adds to counters atomically, creating the row at zero.
+// A table's `unique` column sets (lib/schema TABLES) are enforced by every backend (code 23505).
+
+const fs   = require('fs');
+const path = require('path');
+
+const IDENT = /^[a-z_][a-z0-9_]*$/;
+function ident(name) {
+  if (!IDENT.test(name)) throw new Error(`bad identifier: ${name}`);
+  return name;
+}
+const nowIso = () => new Date().toISOString();
+
+// ----------------------- Postgres ------------------------
+function createPostgresStore({ url, ssl, tables }) {
+  const { Pool } = require('pg');
+  const pool = new Pool({ connectionString: url, ssl });
+  const OPS = { gt: '>', gte: '>=', lt: '<', lte: '<=' };
+
+  // JSONB columns are serialized here; node-postgres would turn JS arrays into Postgres arrays
+  const encode = (table, col, v) => ((tables[table]?.json || []).includes(col) && v != null ? JSON.stringify(v) : v);
+
+  function whereSql(where, params) {
+    const parts = [];
+    for (const [col, cond] of Object.entries(where || {})) {
+      if (col === '$or') {
+        parts.push(`(${cond.map(w => whereSql(w, params) || 'TRUE').join(' OR ')})`);
+        continue;
+      }
+      const c = ident(col);
+      const p = v => { params.push(v); return `$${params.length}`; };
+      if (cond === null || cond === undefined) parts.push(`${c} IS NULL`);
+      else if (typeof cond === 'object' && !(cond instanceof Date)) {
+        for (const [op, v] of Object.entries(cond)) {
+          if (op === 'in') parts.push(v.length ? `${c} IN (${v.map(p).join(', ')})` : 'FALSE');
+          else if (op === 'ne') parts.push(`${c} IS DISTINCT FROM ${p(v)}`);
+          else if (op === 'contains') parts.push(`${c} ILIKE ${p(`%${String(v).replace(/[\\%_]/g, '\\$&')}%`)}`);
+          else if (OPS[op]) parts.push(`${c} ${OPS[op]} ${p(v)}`);
+          else throw new Error(`bad operator: ${op}`);
+        }
+      } else parts.push(`${c} = ${p(cond)}`);
+    }
+    return parts.join(' AND ');
+  }
+  const whereClause = (where, params) => {
+    const w = whereSql(where, params);
+    return w ? ` WHERE ${w}` : '';
+  };
+
+  return {
+    kind: 'postgres',
+    pool,
+    // Migration DDL: all statements of one migration commit or roll back together
+    async exec(statements) {
+      const client = await pool.connect();
+      try {
+        await client.query('BEGIN');
+        for (const s of [].concat(statements)) await client.query(s);
+        await client.query('COMMIT');
+      } catch (e) {
+        await client.query('ROLLBACK').catch(() => {});
+        throw e;
+      } finally {
+        client.release();
+      }
+    },
+    async find(table, where = {}, opts = {}) {
+      const params = [];
+      let q = `SELECT * FROM ${ident(table)}${whereClause(where, params)}`;
+      if (opts.orderBy?.length) q += ` ORDER BY ${opts.orderBy.map(([c, dir]) => `${ident(c)} ${dir === 'desc' ? 'DESC' : 'ASC'}`).join(', ')}`;
+      if (opts.limit != null) q += ` LIMIT ${Math.max(0, parseInt(opts.limit, 10) || 0)}`;
+      if (opts.offset) q += ` OFFSET ${Math.max(0, parseInt(opts.offset, 10) || 0)}`;
+      return (await pool.query(q, params)).rows;
+    },
+    async get(table, where) {
+      return (await this.find(table, where, { limit: 1 }))[0] || null;
+    },
+    async count(table, where = {}) {
+      const params = [];
+      const r = await pool.query(`SELECT COUNT(*)::int AS n FROM ${ident(table)}${whereClause(where, params)}`, params);
+      return +r.rows[0].n;
+    },
+    async insert(table, row) {
+      const cols = Object.keys(row).filter(c => row[c] !== undefined);
+      const r = await pool.query(
+        `INSERT INTO ${ident(table)} (${cols.map(ident).join(', ')}) VALUES (${cols.map((_, i) => `$${i + 1}`).join(', ')}) RETURNING *`,
+        cols.map(c => encode(table, c, row[c])));
+      return r.rows[0];
+    },
+    // on: conflict columns (defaults to the table key); update: columns to overwrite on conflict
+    // (defaults to every other column); ignore: keep the existing row and return null
+    async upsert(table, row, { on, update, ignore = false } = {}) {
+      const conflict = on || tables[table].key;
+      const cols = Object.keys(row).filter(c => row[c] !== undefined);
+      const updates = update || cols.filter(c => !conflict.includes(c));
+      const action = ignore || !updates.length
+        ? 'DO NOTHING'
+        : `DO UPDATE SET ${updates.map(c => `${ident(c)}=EXCLUDED.${ident(c)}`).join(', ')}`;
+      const r = await pool.query(
+        `INSERT INTO ${ident(table)} (${cols.map(ident).join(', ')}) VALUES (${cols.map((_, i) => `$${i + 1}`).join(', ')})
+         ON CONFLICT (${conflict.map(ident).join(', ')}) ${action} RETURNING *`,
+        cols.map(c => encode(table, c, row[c])));
+      return r.rows[0] || null;
+    },
+    async increment(table, row, by) {
+      const key = tables[table].key;
+      const cols = [...Object.keys(row), ...Object.keys(by)];
+      const r = await pool.query(
+        `INSERT INTO ${ident(table)} (${cols.map(ident).join(', ')}) VALUES (${cols.map((_, i) => `$${i + 1}`).join(', ')})
+         ON CONFLICT (${key.map(ident).join(', ')}) DO UPDATE SET ${Object.keys(by).map(c => `${ident(c)}=${ident(table)}.${ident(c)}+EXCLUDED.${ident(c)}`).join(', ')}
+         RETURNING *`,
+        [...Object.values(row), ...Object.values(by).map(n => +n || 0)]);
+      return r.rows[0];
+    },
+    // Returns the updated rows (empty when nothing matched)
+    async update(table, where, patch) {
+      const cols = Object.keys(patch).filter(c => patch[c] !== undefined);
+      const params = cols.map(c => encode(table, c, patch[c]));
+      const set = cols.map((c, i) => `${ident(c)}=$${i + 1}`).join(', ');
+      const r = await pool.query(`UPDATE ${ident(table)} SET ${set}${whereClause(where, params)} RETURNING *`, params);
+      return r.rows;
+    },
+    async remove(table, where) {
+      const params = [];
+      const r = await pool.query(`DELETE FROM ${ident(table)}${whereClause(where, params)}`, params);
+      return r.rowCount;
+    },
+    close: () => pool.end(),
+  };
+}
+
+// ----------------------- Memory --------------------------
+function createMemoryStore({ tables, onChange = () => {} }) {
+  const data = new Map(); // table -> Map(key -> row)
+  const seq = new Map();  // table -> last serial id
+  const rowsOf = table => {
+    if (!data.has(table)) data.set(table, new Map());
+    return data.get(table);
+  };
+  const def = table => tables[table] || { key: ['id'] };
+  const keyOf = (table, row) => JSON.stringify(def(table).key.map(k => row[k] ?? null));
+  const clone = row => (row ? structuredClone(row) : row);
+  // Same shape a database would hand back: own copies, ISO strings for timestamps, no undefined
+  const normalize = row => {
+    const out = {};
+    for (const [k, v] of Object.entries(row)) if (v !== undefined) out[k] = v instanceof Date ? v.toISOString() : structuredClone(v);
+    return out;
+  };
+  const withDefaults = (table, row) => {
+    const out = { ...row };
+    for (const [k, v] of Object.entries(def(table).defaults || {})) {
+      if (out[k] === undefined) out[k] = typeof v === 'function' ? v() : v;
+    }
+    const serial = def(table).serial;
+    if (serial && out[serial] == null) {
+      seq.set(table, (seq.get(table) || 0) + 1);
+      out[serial] = seq.get(table);
+    } else if (serial) seq.set(table, Math.max(seq.get(table) || 0, +out[serial] || 0));
+    return out;
+  };
+
+  const same = (a, b) => (a == null || b == null ? a == null && b == null : String(a) === String(b));
+  // Nulls sort after every value (last ascending, first descending), as in Postgres
+  const cmp = (a, b) => {
+    if (a == null || b == null) return a == null ? (b == null ? 0 : 1) : -1;
+    if (typeof a === 'number' && typeof b === 'number') return a - b;
+    if (typeof a === 'number' || typeof b === 'number') return (+a) - (+b);
+    return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+  };
+  function matches(row, where) {
+    for (const [col, cond] of Object.entries(where || {})) {
+      if (col === '$or') {
+        if (!cond.some(w => matches(row, w))) return false;
+        continue;
+      }
+      const v = row[col];
+      if (cond === null || cond === undefined) { if (v != null) return false; continue; }
+      if (typeof cond !== 'object' || cond instanceof Date) {
+        if (!same(v, cond instanceof Date ? cond.toISOString() : cond)) return false;
+        continue;
+      }
+      for (const [op, x] of Object.entries(cond)) {
+        if (op === 'in' && !x.some(y => same(v, y))) return false;
+        if (op === 'ne' && same(v, x)) return false;
+        if (op === 'contains' && !String(v ?? '').toLowerCase().includes(String(x).toLowerCase())) return false;
+        if (['gt', 'gte', 'lt', 'lte'].includes(op)) {
+          if (v == null) return false;
+          const c = cmp(v, x);
+          if ((op === 'gt' && !(c > 0)) || (op === 'gte' && !(c >= 0)) || (op === 'lt' && !(c < 0)) || (op === 'lte' && !(c <= 0))) return false;
+        }
+      }
+    }
+    return true;
+  }
+  const select = (table, where) => Array.from(rowsOf(table).values()).filter(r => matches(r, where));
+  const duplicate = table => Object.assign(new Error(`duplicate key in ${table}`), { code: '23505' });
+  // Other UNIQUE column sets, checked as Postgres does: a null in the set never clashes
+  const clashes = (table, row, except = []) => (def(table).unique || []).some(cols =>
+    cols.every(c => row[c] != null)
+    && Array.from(rowsOf(table).values()).some(x => !except.includes(x) && cols.every(c => same(x[c], row[c]))));
+
+  const store = {
+    kind: 'memory',
+    async exec() {},
+    async find(table, where = {}, opts = {}) {
+      let rows = select(table, where);
+      if (opts.orderBy?.length) {
+        rows.sort((a, b) => {
+          for (const [c, dir] of opts.orderBy) {
+            const d = cmp(a[c], b[c]);
+            if (d) return dir === 'desc' ? -d : d;
+          }
+          return 0;
+        });
+      }
+      const offset = Math.max(0, parseInt(opts.offset, 10) || 0);
+      rows = rows.slice(offset, opts.limit != null ? offset + Math.max(0, parseInt(opts.limit, 10) || 0) : undefined);
+      return rows.map(clone);
+    },
+    async get(table, where) {
+      return (await store.find(table, where, { limit: 1 }))[0] || null;
+    },
+    async count(table, where = {}) {
+      return select(table, where).length;
+    },
+    async insert(table, row) {
+      const next = withDefaults(table, normalize(row));
+      const k = keyOf(table, next);
+      if (rowsOf(table).has(k) || clashes(table, next)) throw duplicate(table);
+      rowsOf(table).set(k, next);
+      onChange();
+      return clone(next);
+    },
+    async upsert(table, row, { on, update, ignore = false } = {}) {
+      const conflict = on || def(table).key;
+      const r = normalize(row);
+      const existing = Array.from(rowsOf(table).values()).find(x => conflict.every(c => same(x[c], r[c])));
+      if (existing) {
+        if (ignore) return null;
+        const updates = Object.fromEntries(Object.entries(r).filter(([c]) => (update ? update.includes(c) : !conflict.includes(c))));
+        const merged = { ...existing, ...updates };
+        if (clashes(table, merged, [existing])) throw duplicate(table);
+        rowsOf(table).delete(keyOf(table, existing));
+        rowsOf(table).set(keyOf(table, merged), merged);
+        onChange();
+        return clone(merged);
+      }
+      return store.insert(table, r);
+    },
+    async increment(table, row, by) {
+      const k = keyOf(table, row);
+      const cur = rowsOf(table).get(k) || withDefaults(table, normalize(row));
+      for (const [c, n] of Object.entries(by)) cur[c] = (+cur[c] || 0) + (+n || 0);
+      rowsOf(table).set(k, cur);
+      onChange();
+      return clone(cur);
+    },
+    async update(table, where, patch) {
+      const p = normalize(patch);
+      const hits = select(table, where);
+      if (hits.some(row => clashes(table, { ...row, ...p }, hits))) throw duplicate(table);
+      for (const row of hits) {
+        rowsOf(table).delete(keyOf(table, row));
+        Object.assign(row, p);
+        rowsOf(table).set(keyOf(table, row), row);
+      }
+      if (hits.length) onChange();
+      return hits.map(clone);
+    },
+    async remove(table, where) {
+      const hits = select(table, where);
+      hits.forEach(row => rowsOf(table).delete(keyOf(table, row)));
+      if (hits.length) onChange();
+      return hits.length;
+    },
+    async close() {},
+    dump() {
+      const out = { tables: {}, seq: Object.fromEntries(seq) };
+      for (const [t, rows] of data) out.tables[t] = Array.from(rows.values());
+      return out;
+    },
+    load(dump) {
+      data.clear();
+      seq.clear();
+      for (const [t, n] of Object.entries(dump?.seq || {})) seq.set(t, +n || 0);
+      for (const [t, rows] of Object.entries(dump?.tables || {})) {
+        const m = rowsOf(t);
+        rows.forEach(r => m.set(keyOf(t, r), r));
+      }
+    },
+  };
+  return store;
+}
+
+// ----------------------- File ----------------------------
+// The memory store, loaded from and written back to one JSON file. Writes are debounced and
+// atomic (temp file + rename); fine for a single local process, not for shared deployments.
+function createFileStore({ file, tables }) {
+  let timer = null;
+  const save = () => {
+    timer = null;
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(store.dump()));
+    fs.renameSync(tmp, file);
+  };
+  const store = createMemoryStore({
+    tables,
+    onChange: () => { if (!timer) timer = setTimeout(save, 50); },
+  });
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  if (fs.existsSync(file)) store.load(JSON.parse(fs.readFileSync(file, 'utf8') || '{}'));
+  process.on('exit', () => { if (timer) { clearTimeout(timer); save(); } });
+  return Object.assign(store, {
+    kind: 'file',
+    file,
+    async close() { if (timer) { clearTimeout(timer); save(); } },
+  });
+}
+
+// ----------------------- Migrations ----------------------
+// Each migration: { id, name, sql?: [statements] (Postgres only), up?: async (store) => {} (any backend) }.
+// Applied ids are recorded in schema_migrations; migrations must be safe to re-run
+// (IF NOT EXISTS etc.) because the record is written after the migration commits.
+async function migrate(store, migrations, log = () => {}) {
+  if (store.kind === 'postgres') {
+    await store.exec(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        id         INT PRIMARY KEY,
+        name       TEXT NOT NULL,
+        applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+  }
+  const done = new Set((await store.find('schema_migrations')).map(r => +r.id));
+  const applied = [];
+  for (const m of [...migrations].sort((a, b) => a.id - b.id)) {
+    if (done.has(m.id)) continue;
+    if (store.kind === 'postgres' && m.sql) await store.exec(m.sql);
+    if (m.up) await m.up(store);
+    await store.upsert('schema_migrations', { id: m.id, name: m.name, applied_at: nowIso() }, { ignore: true });
+    applied.push(m.id);
+    log(`migration ${String(m.id).padStart(3, '0')} ${m.name} applied`);
+  }
+  return applied;
+}
+async function migrationStatus(store, migrations) {
+  const rows = await store.find('schema_migrations').catch(() => []);
+  const byId = new Map(rows.map(r => [+r.id, r]));
+  return [...migrations].sort((a, b) => a.id - b.id).map(m => ({
+    id: m.id,
+    name: m.name,
+    applied: byId.has(m.id),
+    applied_at: byId.get(m.id)?.applied_at || null,
+  }));
+}
+
+function createStore({ backend, databaseUrl, ssl, file, tables }) {
+  if (backend === 'postgres') return createPostgresStore({ url: databaseUrl, ssl, tables });
+  if (backend === 'file') return createFileStore({ file, tables });
+  return createMemoryStore({ tables });
+}
+
+module.exports = { createStore, createMemoryStore, migrate, migrationStatus };
@@ -0,0 +1,26 @@
+// lib/util.js — money and calendar helpers shared by server.js and the lib/ planners.
+// Dates are ISO days (YYYY-MM-DD) in UTC.
+
+function daysAgo(n) {
+  const d = new Date(Date.now() - n*24*3600*1000);
+  return d.toISOString().slice(0,10);
+}
+function sum(arr){ return (arr||[]).reduce((a,b)=>a+(+b||0),0); }
+function money(n){ return Math.round((+n||0)*100)/100; }
+// First argument that reads as a number, else null
+function firstNum(...vals) {
+  for (const v of vals) if (v !== undefined && v !== null && v !== '' && !isNaN(+v)) return +v;
+  return null;
+}
+// Calendar months later, clamped to the month's last day (Jan 31 + 1 -> Feb 28/29)
+function addMonths(date, n) {
+  const d = new Date(date + 'T00:00:00Z');
+  const day = d.getUTCDate();
+  d.setUTCDate(1);
+  d.setUTCMonth(d.getUTCMonth() + n);
+  const last = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth() + 1, 0)).getUTCDate();
+  d.setUTCDate(Math.min(day, last));
+  return d.toISOString().slice(0, 10);
+}
+
+module.exports = { daysAgo, sum, money, firstNum, addMonths };
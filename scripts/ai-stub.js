@@ -0,0 +1,62 @@
+// scripts/ai-stub.js — a tiny OpenAI-compatible chat server, so JAMARI (and anything else that speaks
+// /v1/chat/completions) can be run and tested offline without keys. Replies are deterministic:
+// "[stub <model>] <the last user message, trimmed>" — plain JSON, or SSE with stream: true.
+//
+//   node scripts/ai-stub.js [--port 11435] [--reply "fixed text"] [--delay 0]
+//   OPENAI_BASE_URL=http://localhost:11435/v1 npm start
+//     -> or list it in AI_PROVIDERS: [{ "name": "local", "kind": "openai", "base_url": "http://localhost:11435/v1" }]
+
+const http = require('http');
+
+function arg(name, fallback) {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > -1 ? process.argv[i + 1] : fallback;
+}
+const PORT  = +arg('port', 11435);
+const FIXED = arg('reply', '');
+const DELAY = +arg('delay', 0);
+
+function replyFor(body) {
+  if (FIXED) return FIXED;
+  const last = [...(body.messages || [])].reverse().find(m => m.role === 'user');
+  const text = typeof last?.content === 'string' ? last.content
+    : (last?.content || []).map(p => p.text || '').join(' ');
+  // JAMARI puts the live context first; answer the question at the end
+  const asked = text.split('\nUser: ').pop().replace(/\s+/g, ' ').trim();
+  return `[stub ${body.model || 'model'}] ${asked.slice(0, 200) || 'Hello.'}`;
+}
+
+function send(res, code, obj) {
+  res.writeHead(code, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(obj));
+}
+
+const server = http.createServer((req, res) => {
+  const path = req.url.split('?')[0].replace(/^\/v1/, '');
+  if (req.method === 'GET' && path === '/models') {
+    return send(res, 200, { object: 'list', data: [{ id: 'stub', object: 'model', owned_by: 'local' }] });
+  }
+  if (req.method !== 'POST' || path !== '/chat/completions') return send(res, 404, { error: { message: 'not found' } });
+  let raw = '';
+  req.on('data', c => { raw += c; });
+  req.on('end', async () => {
+    let body;
+    try { body = JSON.parse(raw); } catch { return send(res, 400, { error: { message: 'invalid JSON' } }); }
+    const id = `chatcmpl-stub-${Date.now()}`;
+    const text = replyFor(body);
+    if (DELAY) await new Promise(r => setTimeout(r, DELAY));
+    if (!body.stream) {
+      return send(res, 200, {
+        id, object: 'chat.completion', model: body.model,
+        choices: [{ index: 0, message: { role: 'assistant', content: text }, finish_reason: 'stop' }],
+      });
+    }
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+    const chunk = delta => res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', model: body.model, choices: [{ index: 0, delta }] })}\n\n`);
+    chunk({ role: 'assistant' });
+    for (const w of text.match(/\S+\s*/g) || []) chunk({ content: w });
+    res.end('data: [DONE]\n\n');
+  });
+});
+
+server.listen(PORT, () => console.log(`AI stub on http://localhost:${PORT}/v1`));
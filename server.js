@@ -1,10 +1,11 @@
 // server.js — ACTIV backend (Plaid + JAMARI AI Fusion + Manual Wealth/Debt + Family)
-// Node 18+ (built-in fetch). Works on Heroku. Uses Postgres if DATABASE_URL present.
+// Node 18+ (built-in fetch). Works on Heroku. Storage: Postgres (DATABASE_URL), a local JSON file or memory (see Storage).
 // CORS safe. Production timeouts. No auth/identity product requests. Frontend-compatible.
+// Every data route needs a signed bearer session (see Auth); AUTH_MODE=dev eases local testing.
 
 // ----------------------- CORE REQS -----------------------
 const http = require('http');
-const url  = require('url');
+const crypto = require('crypto');
 
 // ----------------------- ENV -----------------------------
 const PORT = process.env.PORT || 3000;
@@ -28,91 +29,180 @@ const BASES = {
   production:  'https://production.plaid.com',
 };
 const BASE = BASES[PLAID_ENV] || BASES.production;
+// PLAID_ENV=mock: no network or credentials; Plaid calls are answered in-process from the persona
+// fixtures in PLAID_MOCK_DIR (lib/plaid-mock), each delayed by PLAID_MOCK_LATENCY_MS.
+const PLAID_MOCK            = PLAID_ENV === 'mock';
+const PLAID_MOCK_DIR        = process.env.PLAID_MOCK_DIR || 'data/fixtures/plaid';
+const PLAID_MOCK_LATENCY_MS = +process.env.PLAID_MOCK_LATENCY_MS || 0;
+
+// Env alias detection (first non-empty wins)
+function envPick(names){ for (const n of names){ if (process.env[n]) return process.env[n]; } return ''; }
 
 const WEBHOOK_URL        = process.env.WEBHOOK_URL || '';
+// Webhook verification: on unless explicitly disabled outside production.
+// PLAID_WEBHOOK_KEYS = JSON JWK or array of JWKs trusted in addition to Plaid's (local fixtures).
+const WEBHOOK_VERIFY     = !(process.env.PLAID_WEBHOOK_VERIFY === 'false' && PLAID_ENV !== 'production');
+const WEBHOOK_MAX_AGE_S  = +process.env.PLAID_WEBHOOK_MAX_AGE_S || 300;
+// Plaid's verification keys are re-fetched after PLAID_WEBHOOK_KEY_TTL_S, so an expired_at set later is seen;
+// unknown key ids and failed lookups are remembered for PLAID_WEBHOOK_KEY_MISS_TTL_S.
+const WEBHOOK_KEY_TTL_S      = +process.env.PLAID_WEBHOOK_KEY_TTL_S || 3600;
+const WEBHOOK_KEY_MISS_TTL_S = +process.env.PLAID_WEBHOOK_KEY_MISS_TTL_S || 60;
+
+// Plaid calls: PLAID_TIMEOUT_MS per attempt; timeouts, rate limits and outages are retried PLAID_RETRIES
+// times with exponential backoff from PLAID_RETRY_BASE_MS, plus jitter.
+const PLAID_TIMEOUT_MS     = +process.env.PLAID_TIMEOUT_MS || 12000;
+const PLAID_RETRIES        = Math.max(0, parseInt(process.env.PLAID_RETRIES ?? '2', 10) || 0);
+const PLAID_RETRY_BASE_MS  = +process.env.PLAID_RETRY_BASE_MS || 250;
+
+// Plaid read cache, seconds per product: PLAID_CACHE_TTL="balance=60,transactions=0" (0 = always live).
+// Products: balance, liabilities, investments, investment_transactions, transactions, item.
+const PLAID_CACHE_TTL = { balance: 300, liabilities: 6 * 3600, investments: 3600, investment_transactions: 3600, transactions: 900, item: 3600 };
+(process.env.PLAID_CACHE_TTL || '').split(',').map(s => s.trim()).filter(Boolean).forEach(part => {
+  const [k, v] = part.split('=').map(s => s.trim());
+  if (!(k in PLAID_CACHE_TTL) || !/^\d+$/.test(v || '')) throw new Error(`bad PLAID_CACHE_TTL entry "${part}"`);
+  PLAID_CACHE_TTL[k] = +v;
+});
+
+// Auth: HS256 bearer tokens signed with AUTH_SECRET (sub = user id).
+// AUTH_MODE=dev additionally accepts X-User-Id / ?userId= / body userId (never in NODE_ENV=production).
+const AUTH_SECRET   = envPick(['AUTH_SECRET','JWT_SECRET']) || '';
+const AUTH_ISSUER   = process.env.AUTH_ISSUER || '';
+const AUTH_AUDIENCE = process.env.AUTH_AUDIENCE || '';
+const AUTH_TTL_S    = +process.env.AUTH_TTL_S || 7 * 24 * 3600;
+const AUTH_DEV      = (process.env.AUTH_MODE || '').toLowerCase() === 'dev' && process.env.NODE_ENV !== 'production';
+
+// Access-token encryption keyring: TOKEN_KEYS="kid1:<base64 32 bytes>,kid2:<...>".
+// New rows are sealed under TOKEN_KEY_ID (default: last key listed); older kids stay for decrypt/rotation.
+const TOKEN_KEYRING = new Map(
+  (process.env.TOKEN_KEYS || '').split(',').map(s => s.trim()).filter(Boolean).map(pair => {
+    const i = pair.indexOf(':');
+    return [pair.slice(0, i), Buffer.from(pair.slice(i + 1), 'base64')];
+  }).filter(([kid, key]) => kid && key.length === 32)
+);
+const TOKEN_KEY_ID = process.env.TOKEN_KEY_ID || Array.from(TOKEN_KEYRING.keys()).pop() || '';
+
+// KPI snapshots: taken on every /summary and once a day (UTC, after SNAPSHOT_HOUR) for every user.
+const SNAPSHOT_DAILY = (process.env.SNAPSHOT_SCHEDULE || 'daily').toLowerCase() !== 'off';
+const SNAPSHOT_HOUR  = +process.env.SNAPSHOT_HOUR || 6;
+
+// Market quotes for manual holdings: QUOTE_PROVIDER=file|http|none.
+// file: QUOTES_FILE (JSON { SYMBOL: price | { price, currency, asOf } }).
+// http: QUOTES_HTTP_URL with a {symbols} placeholder, optional QUOTES_HTTP_KEY (Bearer).
+const QUOTE_PROVIDER    = (process.env.QUOTE_PROVIDER || (process.env.QUOTES_HTTP_URL ? 'http' : process.env.QUOTES_FILE ? 'file' : 'none')).toLowerCase();
+const QUOTES_FILE       = process.env.QUOTES_FILE || 'data/fixtures/quotes.json';
+const QUOTES_HTTP_URL   = process.env.QUOTES_HTTP_URL || '';
+const QUOTES_HTTP_KEY   = process.env.QUOTES_HTTP_KEY || '';
+const QUOTE_REFRESH_MIN = +process.env.QUOTE_REFRESH_MIN || 60;
+const ADMIN_TOKEN  = process.env.ADMIN_TOKEN || '';
 const PLAID_REDIRECT_URI = process.env.PLAID_REDIRECT_URI || '';
+// Largest accepted request body (JSON or webhook), in KB; bigger ones answer 413 PAYLOAD_TOO_LARGE
+const BODY_LIMIT = Math.max(1, +process.env.BODY_LIMIT_KB || 1024) * 1024;
 
 // AI keys (alias detection)
-function envPick(names){ for (const n of names){ if (process.env[n]) return process.env[n]; } return ''; }
 const OPENAI_API_KEY    = envPick(['OPENAI_API_KEY','OPEN_API_KEY']) || '';
 const OPENAI_MODEL      = process.env.OPENAI_MODEL || 'gpt-4o-mini';
 const ANTHROPIC_API_KEY = envPick(['ANTHROPIC_API_KEY','CLAUDE_API_KEY']) || '';
 const ANTHROPIC_MODEL   = process.env.ANTHROPIC_MODEL || 'claude-3-haiku-20240307';
 const GEMINI_API_KEY    = envPick(['GEMINI_API_KEY','GOOGLE_API_KEY','GOOGLE_GEMINI_API_KEY']) || '';
 const GEMINI_MODEL      = process.env.GEMINI_MODEL || 'gemini-1.5-flash';
+const OPENAI_BASE_URL   = process.env.OPENAI_BASE_URL || ''; // OpenAI-compatible server (llama.cpp, Ollama, ...)
 
-// ----------------------- DB (optional Postgres) ----------
-let pgPool = null;
-const { Pool } = (() => { try { return require('pg'); } catch { return {}; } })();
+// Provider registry (lib/ai-providers.js): AI_PROVIDERS_FILE or AI_PROVIDERS (JSON list of providers)
+// replaces the keys above. AI_TEMPERATURE / AI_MAX_TOKENS are the defaults for every provider.
+// The rule-based "rules" provider answers when no model does, unless JAMARI_FALLBACK=off.
+const AI_PROVIDERS_FILE  = process.env.AI_PROVIDERS_FILE || '';
+const AI_PROVIDERS_JSON  = process.env.AI_PROVIDERS || '';
+const AI_TEMPERATURE     = process.env.AI_TEMPERATURE ?? 0.3;
+const AI_MAX_TOKENS      = +process.env.AI_MAX_TOKENS || 1024;
+const JAMARI_FALLBACK_ON = (process.env.JAMARI_FALLBACK || 'on').toLowerCase() !== 'off';
 
-if (Pool && process.env.DATABASE_URL) {
-  pgPool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: (process.env.DATABASE_SSL === 'false') ? false : { rejectUnauthorized: false }
-  });
+// Privacy (lib/redact.js): emails, phones, account numbers and names are masked in everything sent to a
+// provider. AI_AMOUNTS=exact|round|bucket is how KPI amounts are shown to it (round: two significant figures).
+const AI_AMOUNTS = ['exact', 'round', 'bucket'].includes((process.env.AI_AMOUNTS || '').toLowerCase())
+  ? process.env.AI_AMOUNTS.toLowerCase() : 'round';
 
-  // Bootstrap tables
-  (async () => {
-    try {
-      await pgPool.query(`
-        CREATE TABLE IF NOT EXISTS tokens (
-          user_id TEXT NOT NULL,
-          item_id TEXT,
-          access_token TEXT NOT NULL,
-          created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-        );
-      `);
-      await pgPool.query(`
-        CREATE TABLE IF NOT EXISTS manual_holdings (
-          user_id TEXT PRIMARY KEY,
-          data JSONB NOT NULL,
-          updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-        );
-      `);
-      await pgPool.query(`
-        CREATE TABLE IF NOT EXISTS manual_debts (
-          user_id TEXT PRIMARY KEY,
-          data JSONB NOT NULL,
-          updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
-        );
-      `);
-      await pgPool.query(`
-        CREATE TABLE IF NOT EXISTS family_links (
-          owner_user_id   TEXT NOT NULL,
-          invited_user_id TEXT NOT NULL,
-          status          TEXT NOT NULL DEFAULT 'pending',
-          created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
-          PRIMARY KEY (owner_user_id, invited_user_id)
-        );
-      `);
-      console.log('DB ready');
-    } catch (e) {
-      console.error('DB init error:', e);
-    }
-  })();
-}
+// Rate limits (token buckets): RATE_LIMITS="group=capacity/seconds,..." for the route groups ai (JAMARI
+// chat), plaid (live Plaid reads, /summary), manual (wealth/debt documents) and ip (every request, per
+// client address); "group=off" disables one. RATE_LIMIT_STORE=postgres shares buckets across instances.
+// TRUST_PROXY=1 takes the client address from X-Forwarded-For (Heroku's router appends it last).
+// AI_DAILY_QUOTA: provider calls per user per UTC day, 0 = unlimited (see GET /usage).
+const RATE_LIMITS      = process.env.RATE_LIMITS || '';
+const RATE_LIMIT_STORE = (process.env.RATE_LIMIT_STORE || 'memory').toLowerCase();
+const TRUST_PROXY      = Math.max(0, parseInt(process.env.TRUST_PROXY, 10) || 0);
+const AI_DAILY_QUOTA   = Math.max(0, parseInt(process.env.AI_DAILY_QUOTA ?? '200', 10) || 0);
 
-// Fallback in-memory cache if no DB
-const memTokens = new Map();
+// JAMARI grounding: plain-text books in BOOKS_DIR, RAG_TOP_K passages per message
+const BOOKS_DIR     = process.env.BOOKS_DIR || 'data/books';
+const RAG_TOP_K     = Math.max(0, +(process.env.RAG_TOP_K ?? 4));
+const RAG_MIN_SCORE = +process.env.RAG_MIN_SCORE || 1;
+
+// JAMARI threads: past turns replayed to the providers are capped at JAMARI_HISTORY_TOKENS
+// (~4 chars per token); older turns are folded into a running summary.
+const JAMARI_HISTORY_TOKENS = Math.max(500, +process.env.JAMARI_HISTORY_TOKENS || 3000);
+
+// /jamari/chat/stream: JAMARI_PRIMARY streams token by token (default: first provider with a key);
+// a stream that sends nothing for JAMARI_STREAM_IDLE_MS is cut off.
+const JAMARI_PRIMARY        = (process.env.JAMARI_PRIMARY || '').toLowerCase();
+const JAMARI_STREAM_IDLE_MS = +process.env.JAMARI_STREAM_IDLE_MS || 14000;
+
+// Fusion of provider replies: JAMARI_FUSION=judge|vote|primary|merge (see AI fusion below).
+// JAMARI_WEIGHTS="openai:1,anthropic:1.5" scales votes and the fallback order; JAMARI_JUDGE reconciles drafts.
+// A provider failing JAMARI_BREAKER_FAILS calls in a row is skipped for JAMARI_BREAKER_COOLDOWN_S.
+const JAMARI_FUSION = ['primary', 'judge', 'vote', 'merge'].includes((process.env.JAMARI_FUSION || '').toLowerCase())
+  ? process.env.JAMARI_FUSION.toLowerCase() : 'judge';
+const JAMARI_WEIGHTS = Object.fromEntries((process.env.JAMARI_WEIGHTS || '').split(',')
+  .map(s => s.split(':').map(x => x.trim())).filter(([n, w]) => n && Number.isFinite(+w) && +w >= 0)
+  .map(([n, w]) => [n.toLowerCase(), +w]));
+const JAMARI_JUDGE              = (process.env.JAMARI_JUDGE || '').toLowerCase();
+const JAMARI_BREAKER_FAILS      = Math.max(1, +process.env.JAMARI_BREAKER_FAILS || 3);
+const JAMARI_BREAKER_COOLDOWN_S = +process.env.JAMARI_BREAKER_COOLDOWN_S || 60;
+const AI_TIMEOUT_MS             = +process.env.AI_TIMEOUT_MS || 14000;
+
+// JAMARI tools (transactions, debts, holdings, what-ifs): the model gets JAMARI_TOOL_ROUNDS rounds
+// of calls and JAMARI_TOOL_MAX_CALLS calls per provider per reply. JAMARI_TOOLS=off disables them.
+const JAMARI_TOOLS_ON       = (process.env.JAMARI_TOOLS || 'on').toLowerCase() !== 'off';
+const JAMARI_TOOL_ROUNDS    = Math.max(1, +process.env.JAMARI_TOOL_ROUNDS || 3);
+const JAMARI_TOOL_MAX_CALLS = Math.max(1, +process.env.JAMARI_TOOL_MAX_CALLS || 8);
+
+// ----------------------- Storage -------------------------
+// STORAGE=postgres|file|memory (default: postgres when DATABASE_URL is set, else memory).
+// The schema comes from lib/schema.js migrations, applied on startup or with `npm run migrate`.
+const { createStore, migrate, migrationStatus } = require('./lib/storage');
+const { TABLES, MIGRATIONS } = require('./lib/schema');
+const STORAGE = (process.env.STORAGE || (process.env.DATABASE_URL ? 'postgres' : 'memory')).toLowerCase();
+const STORAGE_FILE = process.env.STORAGE_FILE || 'data/local-store.json';
+if (!['postgres', 'file', 'memory'].includes(STORAGE)) throw new Error(`Unknown STORAGE=${STORAGE}`);
+if (STORAGE === 'postgres' && !process.env.DATABASE_URL) throw new Error('STORAGE=postgres needs DATABASE_URL');
+
+const store = createStore({
+  backend: STORAGE,
+  databaseUrl: process.env.DATABASE_URL,
+  ssl: (process.env.DATABASE_SSL === 'false') ? false : { rejectUnauthorized: false },
+  file: require('path').resolve(__dirname, STORAGE_FILE),
+  tables: TABLES,
+});
+// Routes and jobs await this before touching storage
+const dbReady = migrate(store, MIGRATIONS, msg => console.log(msg))
+  .then(() => console.log(`Storage ready (${STORAGE})`))
+  .catch(e => { console.error('Storage migration error:', e); throw e; });
+dbReady.catch(() => {}); // surfaced per request as STORAGE_UNAVAILABLE
 
 // ----------------------- Helpers -------------------------
+const { createRouter, httpError, readJSONBody } = require('./lib/router');
+const { daysAgo, sum, money, firstNum } = require('./lib/util');
 function cors(res) {
   res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization');
+  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,PATCH,DELETE,OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type,Authorization,X-User-Id,If-Match');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag,Retry-After,X-RateLimit-Limit,X-RateLimit-Remaining');
 }
 function json(res, code, obj) {
   cors(res);
   res.writeHead(code, { 'Content-Type': 'application/json' });
   res.end(JSON.stringify(obj));
 }
-function readJSON(req) {
-  return new Promise((resolve) => {
-    let data = '';
-    req.on('data', chunk => (data += chunk));
-    req.on('end', () => { try { resolve(JSON.parse(data || '{}')); } catch { resolve({}); } });
-  });
-}
+// Same buffered body the router parses; malformed JSON is a 400, not {}
+function readJSON(req) { return readJSONBody(req, BODY_LIMIT); }
 function fetchWithTimeout(resource, options = {}, ms = 12000) {
   const controller = new AbortController();
   const t = setTimeout(() => controller.abort(), ms);
@@ -126,51 +216,231 @@ function cleanProducts(list) {
 function parseInvalidProducts(err) {
   const m = (err?.error_message || '').match(/\[([^\]]+)\]/);
   if (!m) return [];
-  return m[1].split(',').map(s => s.trim().toLowerCase());
+  return m[1].split(',').map(s => s.trim().replace(/^["']|["']$/g, '').toLowerCase());
+}
+
+async function storeToken(userId, accessToken, itemId, meta = {}) {
+  const sealed = sealToken(userId, accessToken);
+  // Relinking the same Item replaces its row instead of stacking duplicates
+  if (itemId) await store.remove('tokens', { user_id: userId, item_id: itemId });
+  invalidatePlaidCache(itemId);
+  await store.insert('tokens', {
+    user_id: userId,
+    item_id: itemId || null,
+    ...sealed,
+    label: meta.label || null,
+    institution_id: meta.institution_id || null,
+    institution_name: meta.institution_name || null,
+    created_at: new Date().toISOString(),
+  });
+}
+// All linked Items for a user, newest first (access_token decrypted)
+async function itemsForUser(userId) {
+  const rows = await store.find('tokens', { user_id: userId }, { orderBy: [['created_at', 'desc']] });
+  return rows.map(({ user_id, ...r }) => openTokenRow(userId, r));
+}
+async function itemForUser(userId, itemId) {
+  const items = await itemsForUser(userId);
+  return items.find(t => t.item_id === itemId) || null;
+}
+async function latestTokenForUser(userId) {
+  const items = await itemsForUser(userId);
+  return items[0]?.access_token || null;
 }
-function daysAgo(n) {
-  const d = new Date(Date.now() - n*24*3600*1000);
-  return d.toISOString().slice(0,10);
+async function updateItemMeta(userId, itemId, meta) {
+  const patch = {};
+  ['label', 'institution_id', 'institution_name'].forEach(k => { if (meta[k] != null) patch[k] = meta[k]; });
+  if (Object.keys(patch).length) await store.update('tokens', { user_id: userId, item_id: itemId }, patch);
+}
+// Drop one Item (itemId) or every Item for the user (no itemId)
+async function removeItems(userId, itemId) {
+  if (itemId) {
+    invalidatePlaidCache(itemId);
+    await store.remove('tokens', { user_id: userId, item_id: itemId });
+    await clearItemStatus(userId, itemId);
+    return purgeLedger(userId, itemId);
+  }
+  (await store.find('tokens', { user_id: userId })).forEach(t => invalidatePlaidCache(t.item_id));
+  await store.remove('tokens', { user_id: userId });
+  await clearItemStatus(userId);
+  return purgeLedger(userId);
+}
+// Account deletion: Items and ledger, household membership, JAMARI threads, then every other
+// row keyed by user_id (see lib/schema.js TABLES)
+const USER_TABLES = ['manual_holdings', 'manual_debts', 'manual_history', 'category_rules', 'budgets',
+  'recurring_dismissed', 'kpi_snapshots', 'ai_settings', 'ai_audit', 'usage_daily'];
+async function purgeUser(userId) {
+  await removeItems(userId);
+  await removeFromHousehold(userId);
+  for (const t of await store.find('chat_threads', { user_id: userId })) await deleteThread(userId, t.id);
+  for (const table of USER_TABLES) await store.remove(table, { user_id: userId });
+  await store.remove('family_links', { $or: [{ owner_user_id: userId }, { invited_user_id: userId }] });
+}
+// Public view of an Item (never leak access_token to the client)
+function itemView(t) {
+  return {
+    item_id: t.item_id,
+    label: t.label || null,
+    institution_id: t.institution_id || null,
+    institution_name: t.institution_name || null,
+    created_at: t.created_at,
+  };
 }
-function sum(arr){ return (arr||[]).reduce((a,b)=>a+(+b||0),0); }
-function money(n){ return Math.round((+n||0)*100)/100; }
 
-// DB helpers
-async function dbOne(q, params=[]) {
-  if (!pgPool) return null;
-  const r = await pgPool.query(q, params);
-  return r.rows[0] || null;
+// ----------------------- Auth ----------------------------
+function b64url(buf) { return Buffer.from(buf).toString('base64url'); }
+function signSession(userId, ttlS = AUTH_TTL_S) {
+  const now = Math.floor(Date.now() / 1000);
+  const claims = { sub: String(userId), iat: now, exp: now + ttlS };
+  if (AUTH_ISSUER) claims.iss = AUTH_ISSUER;
+  if (AUTH_AUDIENCE) claims.aud = AUTH_AUDIENCE;
+  const head = b64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const body = b64url(JSON.stringify(claims));
+  const sig  = crypto.createHmac('sha256', AUTH_SECRET).update(`${head}.${body}`).digest('base64url');
+  return `${head}.${body}.${sig}`;
 }
-async function dbAny(q, params=[]) {
-  if (!pgPool) return [];
-  const r = await pgPool.query(q, params);
-  return r.rows;
+// Returns the verified claims or throws an error code string
+function verifySession(token) {
+  if (!AUTH_SECRET) throw 'AUTH_NOT_CONFIGURED';
+  const parts = String(token).split('.');
+  if (parts.length !== 3) throw 'INVALID_TOKEN';
+  let header, claims;
+  try {
+    header = JSON.parse(Buffer.from(parts[0], 'base64url').toString('utf8'));
+    claims = JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+  } catch { throw 'INVALID_TOKEN'; }
+  if (header.alg !== 'HS256') throw 'INVALID_TOKEN';
+  const expected = crypto.createHmac('sha256', AUTH_SECRET).update(`${parts[0]}.${parts[1]}`).digest();
+  const given    = Buffer.from(parts[2], 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) throw 'INVALID_TOKEN';
+  const now = Math.floor(Date.now() / 1000);
+  if (claims.exp && now > claims.exp + 30) throw 'TOKEN_EXPIRED';
+  if (claims.nbf && now + 30 < claims.nbf) throw 'INVALID_TOKEN';
+  if (AUTH_ISSUER && claims.iss !== AUTH_ISSUER) throw 'INVALID_TOKEN';
+  if (AUTH_AUDIENCE && ![].concat(claims.aud || []).includes(AUTH_AUDIENCE)) throw 'INVALID_TOKEN';
+  if (!claims.sub) throw 'INVALID_TOKEN';
+  return claims;
 }
-async function storeToken(userId, accessToken, itemId) {
-  memTokens.set(userId, accessToken);
-  if (pgPool) {
-    await pgPool.query(
-      `INSERT INTO tokens (user_id, item_id, access_token) VALUES ($1,$2,$3)`,
-      [userId, itemId || null, accessToken]
-    );
+// Resolve the caller: { ok, userId, via } or { ok:false, error }
+async function authenticate(req, parsed) {
+  const h = req.headers['authorization'] || '';
+  const m = h.match(/^Bearer\s+(.+)$/i);
+  if (m) {
+    try { return { ok:true, userId: String(verifySession(m[1].trim()).sub), via: 'token' }; }
+    catch (code) { return { ok:false, error: typeof code === 'string' ? code : 'INVALID_TOKEN' }; }
+  }
+  if (AUTH_DEV) {
+    let id = req.headers['x-user-id'] || parsed.query.userId;
+    if (!id && req.method !== 'GET') {
+      const body = await readJSON(req);
+      id = body.userId || body.user_id;
+    }
+    if (id) return { ok:true, userId: String(id), via: 'dev' };
   }
+  return { ok:false, error: 'UNAUTHENTICATED' };
 }
-async function latestTokenForUser(userId) {
-  if (pgPool) {
-    const row = await dbOne(
-      `SELECT access_token FROM tokens WHERE user_id=$1 ORDER BY created_at DESC LIMIT 1`,
-      [userId]
-    );
-    if (row?.access_token) return row.access_token;
+// Operator endpoints authenticate with X-Admin-Token (ADMIN_TOKEN), not a user session
+function isAdmin(req) {
+  const given = Buffer.from(String(req.headers['x-admin-token'] || ''));
+  const want  = Buffer.from(ADMIN_TOKEN);
+  return !!ADMIN_TOKEN && given.length === want.length && crypto.timingSafeEqual(given, want);
+}
+
+// ----------------------- Token encryption ----------------
+// Envelope encryption: each access_token gets its own random data key (AES-256-GCM),
+// and that data key is wrapped with the keyring key named by key_id. The user id is bound
+// in as AAD so a ciphertext can't be replayed under another user. Rotation only re-wraps data keys.
+function gcmSeal(key, plain, aad) {
+  const iv = crypto.randomBytes(12);
+  const c = crypto.createCipheriv('aes-256-gcm', key, iv);
+  if (aad) c.setAAD(Buffer.from(aad));
+  const ct = Buffer.concat([c.update(plain), c.final()]);
+  return [iv, c.getAuthTag(), ct].map(b => b.toString('base64url')).join('.');
+}
+function gcmOpen(key, sealed, aad) {
+  const [iv, tag, ct] = String(sealed).split('.').map(p => Buffer.from(p, 'base64url'));
+  const d = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  if (aad) d.setAAD(Buffer.from(aad));
+  d.setAuthTag(tag);
+  return Buffer.concat([d.update(ct), d.final()]);
+}
+function kek(kid) {
+  const key = TOKEN_KEYRING.get(kid);
+  if (!key) throw new Error(`TOKEN_KEY_UNKNOWN: ${kid}`);
+  return key;
+}
+// -> { access_token, key_id, wrapped_key }; plaintext passthrough when no keyring is configured
+function sealToken(userId, plain) {
+  if (!TOKEN_KEY_ID) return { access_token: plain, key_id: null, wrapped_key: null };
+  const dek = crypto.randomBytes(32);
+  return {
+    access_token: 'enc:v1:' + gcmSeal(dek, Buffer.from(plain, 'utf8'), userId),
+    key_id: TOKEN_KEY_ID,
+    wrapped_key: gcmSeal(kek(TOKEN_KEY_ID), dek, userId),
+  };
+}
+function openToken(userId, row) {
+  if (!row.key_id) return row.access_token; // legacy plaintext row
+  const dek = gcmOpen(kek(row.key_id), row.wrapped_key, userId);
+  return gcmOpen(dek, row.access_token.replace(/^enc:v1:/, ''), userId).toString('utf8');
+}
+function openTokenRow(userId, row) {
+  const { key_id, wrapped_key, ...rest } = row;
+  return { ...rest, access_token: openToken(userId, row) };
+}
+// Re-key one row under the active key: re-wrap the data key, or seal a legacy plaintext row
+function rekeyToken(userId, row) {
+  if (!row.key_id) return sealToken(userId, row.access_token);
+  const dek = gcmOpen(kek(row.key_id), row.wrapped_key, userId);
+  return { access_token: row.access_token, key_id: TOKEN_KEY_ID, wrapped_key: gcmSeal(kek(TOKEN_KEY_ID), dek, userId) };
+}
+// Re-key every token not already under TOKEN_KEY_ID. Returns counts.
+async function rotateTokenKeys() {
+  if (!TOKEN_KEY_ID) throw new Error('TOKEN_KEYS_NOT_CONFIGURED');
+  let rotated = 0, failed = 0;
+  await dbReady;
+  for (const row of await store.find('tokens', { key_id: { ne: TOKEN_KEY_ID } })) {
+    try {
+      const next = rekeyToken(row.user_id, row);
+      await store.update('tokens', { user_id: row.user_id, item_id: row.item_id, access_token: row.access_token }, next);
+      rotated++;
+    } catch (e) {
+      failed++;
+      console.error('token rotate failed', row.user_id, row.item_id, e.message);
+    }
   }
-  return memTokens.get(userId) || null;
+  return { key_id: TOKEN_KEY_ID, rotated, failed };
 }
 
 // ----------------------- Plaid wrapper -------------------
-async function plaidPost(path, body) {
-  const started = Date.now();
+// Failures reject with a normalized error (lib/plaid-errors): { error, action, http_status, message, plaid }.
+const { ERROR_CATALOG: PLAID_ERROR_CATALOG, normalizePlaidError, publicPlaidError } = require('./lib/plaid-errors');
+// A timed-out exchange may have gone through; retrying would burn the single-use public_token
+const PLAID_NO_BLIND_RETRY = new Set(['/item/public_token/exchange']);
+
+const plaidMock = PLAID_MOCK ? require('./lib/plaid-mock').createPlaidMock({
+  dir: require('path').resolve(__dirname, PLAID_MOCK_DIR),
+  latencyMs: PLAID_MOCK_LATENCY_MS,
+  onWebhook: evt => dispatchWebhook(evt)
+    .then(r => console.log('mock webhook:', evt.webhook_type, evt.webhook_code, r))
+    .catch(e => console.error('mock webhook failed:', e?.message || e)),
+}) : null;
+
+const backoffCeilingMs = attempt => Math.min(8000, PLAID_RETRY_BASE_MS * 2 ** attempt);
+function backoffMs(attempt) {
+  const ceiling = backoffCeilingMs(attempt);
+  return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+async function plaidAttempt(path, body) {
+  if (plaidMock) {
+    const m = await plaidMock.request(path, body);
+    if (m.timeout) throw normalizePlaidError({ timedOut: true, path });
+    if (m.status >= 400) throw normalizePlaidError({ body: m.body, status: m.status, path });
+    return m.body;
+  }
+  let r;
   try {
-    const r = await fetchWithTimeout(`${BASE}${path}`, {
+    r = await fetchWithTimeout(`${BASE}${path}`, {
       method: 'POST',
       headers: {
         'Content-Type': 'application/json',
@@ -178,142 +448,904 @@ async function plaidPost(path, body) {
         'PLAID-SECRET': PLAID_SECRET,
       },
       body: JSON.stringify(body),
-    }, 12000);
-
-    const text = await r.text();
-    let data;
-    try { data = text ? JSON.parse(text) : {}; } catch { data = { raw: text }; }
-    if (!r.ok) {
-      const err = data || {};
-      err.http_status = r.status;
+    }, PLAID_TIMEOUT_MS);
+  } catch (e) {
+    const timedOut = e?.name === 'AbortError' || e?.message === 'The operation was aborted';
+    throw normalizePlaidError({ timedOut, network: !timedOut, path });
+  }
+  const text = await r.text();
+  let data;
+  try { data = text ? JSON.parse(text) : {}; } catch { data = { raw: text }; }
+  if (!r.ok) throw normalizePlaidError({ body: data, status: r.status, path });
+  return data;
+}
+async function plaidPost(path, body) {
+  const started = Date.now();
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await plaidAttempt(path, body);
+    } catch (err) {
+      if (!err?.plaid) throw err; // not a Plaid answer (a bug, an unreadable fixture): surface it as is
+      const blind = err.plaid.status == null;
+      const retry = err.retryable && attempt < PLAID_RETRIES && !(blind && PLAID_NO_BLIND_RETRY.has(path));
+      err.attempts = attempt + 1;
       err.ms = Date.now() - started;
-      throw err;
+      console.error(`plaidPost fail${retry ? ' (retrying)' : ''}:`, { path, error: err.error, plaid: err.plaid.error_code, attempts: err.attempts, ms: err.ms });
+      if (!retry) throw err;
+      await new Promise(resolve => setTimeout(resolve, backoffMs(attempt)));
     }
-    return data;
-  } catch (e) {
-    const isAbort = (e && (e.name === 'AbortError' || e.message === 'The operation was aborted'));
-    const out = {
-      error: isAbort ? 'UPSTREAM_TIMEOUT' : (e?.error_code || e?.error || 'PLAID_ERROR'),
-      details: e,
-      ms: Date.now() - started,
-      path,
-    };
-    console.error('plaidPost fail:', out);
-    throw out;
   }
 }
-function safePlaid(res, fn) {
-  return fn().catch(err => {
-    console.error('Plaid error:', err);
-    const code = err?.error || err?.error_code || 'PLAID_ERROR';
-    const status = (err?.http_status >= 400 && err?.http_status <= 599) ? err.http_status : 500;
-    json(res, status, { error: code, details: err });
-  });
+// Route glue: a Plaid failure becomes an httpError carrying the public body; anything else passes through.
+// Transient failures also carry retry_after (the next backoff step, seconds), sent as Retry-After.
+async function safePlaid(fn) {
+  try {
+    return await fn();
+  } catch (err) {
+    if (!err?.plaid) throw err;
+    const { error, ...body } = publicPlaidError(err);
+    if (err.retryable) body.retry_after = Math.max(1, Math.ceil(backoffCeilingMs(err.attempts || 0) / 1000));
+    throw httpError(err.http_status, error, body);
+  }
 }
 
 // ----------------------- Plaid helpers -------------------
-async function getAccounts(token) {
-  try { return await plaidPost('/accounts/balance/get', { access_token: token }); }
-  catch { return null; }
+// Reads go through a per-Item cache (PLAID_CACHE_TTL per product); concurrent identical reads share one
+// request. Webhooks, relinks and unlinks invalidate the Item; { fresh: true } (?fresh=1) skips the cache.
+const { createCache } = require('./lib/cache');
+const plaidCache = createCache();
+const PLAID_READS = {
+  balance: '/accounts/balance/get',
+  liabilities: '/liabilities/get',
+  investments: '/investments/holdings/get',
+  investment_transactions: '/investments/transactions/get',
+  transactions: '/transactions/get',
+  item: '/item/get',
+};
+
+function cachedPlaid(item, product, body = {}, { fresh = false } = {}) {
+  const key = `${product}:${item.item_id}:${JSON.stringify(body)}`;
+  const load = () => plaidPost(PLAID_READS[product], { access_token: item.access_token, ...body }).catch(async e => {
+    await noteItemError(item.item_id, e).catch(err => console.error('item status error', err));
+    throw e;
+  });
+  return plaidCache.get(key, load, {
+    ttl: PLAID_CACHE_TTL[product] * 1000, tags: [item.item_id, `${product}:${item.item_id}`], fresh,
+  });
+}
+// Drop cached reads for an Item: every product, or just the ones listed
+function invalidatePlaidCache(itemId, products) {
+  if (!itemId) return;
+  if (!products) plaidCache.invalidate(itemId);
+  else products.forEach(p => plaidCache.invalidate(`${p}:${itemId}`));
 }
-async function getLiabilities(token) {
-  try { return await plaidPost('/liabilities/get', { access_token: token }); }
-  catch { return null; }
+// When a Plaid response was fetched (ISO), for the asOf fields
+function plaidAsOf(data) {
+  const at = plaidCache.fetchedAt(data);
+  return at ? new Date(at).toISOString() : null;
 }
-async function getInvestmentsHoldings(token) {
-  try { return await plaidPost('/investments/holdings/get', { access_token: token }); }
-  catch { return null; }
+
+// These throw on Plaid errors; callers run them through fanOut, which records the error per Item
+function getAccounts(item, opts)            { return cachedPlaid(item, 'balance', {}, opts); }
+function getLiabilities(item, opts)         { return cachedPlaid(item, 'liabilities', {}, opts); }
+function getInvestmentsHoldings(item, opts) { return cachedPlaid(item, 'investments', {}, opts); }
+function getTransactions(item, start, end, opts) {
+  return cachedPlaid(item, 'transactions', { start_date: start, end_date: end, options: { count: 250, offset: 0 } }, opts);
 }
-async function getTransactions(token, start, end) {
+async function fetchInstitution(token) {
   try {
-    return await plaidPost('/transactions/get', {
-      access_token: token, start_date: start, end_date: end, options: { count: 250, offset: 0 }
-    });
-  } catch { return null; }
+    const it = await plaidPost('/item/get', { access_token: token });
+    const institution_id = it?.item?.institution_id || null;
+    if (!institution_id) return {};
+    const inst = await plaidPost('/institutions/get_by_id', { institution_id, country_codes: COUNTRY_CODES });
+    return { institution_id, institution_name: inst?.institution?.name || null };
+  } catch { return {}; }
+}
+
+// ----------------------- Multi-Item fan-out --------------
+// Run fn(item) for every Item concurrently; one failing bank never sinks the rest.
+async function fanOut(items, fn) {
+  return Promise.all(items.map(async item => {
+    try { return { item, data: await fn(item), error: null }; }
+    catch (e) { return { item, data: null, error: e?.error || 'PLAID_ERROR', action: e?.action || null }; }
+  }));
+}
+// Concatenate array fields across per-Item responses, tagging rows with their item_id.
+// `dedupe` maps a key to the id field used to collapse duplicates (e.g. securities).
+function mergeItemResults(results, keys, dedupe = {}) {
+  const out = { items: [], errors: [] };
+  keys.forEach(k => { out[k] = []; });
+  const seen = {};
+  for (const r of results) {
+    if (!r.data) {
+      out.errors.push({ item_id: r.item.item_id, error: r.error || 'PLAID_ERROR', action: r.action || null });
+      continue;
+    }
+    out.items.push({ ...itemView(r.item), ...(r.data.item ? { item: r.data.item } : {}), asOf: plaidAsOf(r.data) });
+    for (const k of keys) {
+      for (const row of (r.data[k] || [])) {
+        const idKey = dedupe[k];
+        if (idKey) {
+          seen[k] = seen[k] || new Set();
+          if (seen[k].has(row[idKey])) continue;
+          seen[k].add(row[idKey]);
+          out[k].push(row);
+        } else {
+          out[k].push({ ...row, item_id: r.item.item_id });
+        }
+      }
+    }
+  }
+  return out;
+}
+function mergeLiabilities(results) {
+  const out = mergeItemResults(results, ['accounts']);
+  out.liabilities = { credit: [], student: [], mortgage: [], auto: [] };
+  for (const r of results) {
+    const L = r.data?.liabilities;
+    if (!L) continue;
+    for (const k of Object.keys(L)) {
+      out.liabilities[k] = (out.liabilities[k] || []).concat((L[k] || []).map(x => ({ ...x, item_id: r.item.item_id })));
+    }
+  }
+  return out;
+}
+// Resolve the Items a /plaid/* request targets: one Item when item_id is given, otherwise all.
+async function targetItems(userId, itemId) {
+  if (itemId) {
+    const one = await itemForUser(userId, itemId);
+    return one ? [one] : [];
+  }
+  return itemsForUser(userId);
+}
+
+// ----------------------- Transactions ledger -------------
+// Server-side copy of every Item's transactions, kept current via /transactions/sync.
+// Each Item's cursor is stored so we only ever pull deltas.
+const TX_SYNC_STALE_MS = (+process.env.TX_SYNC_STALE_MIN || 360) * 60 * 1000;
+const TX_SYNC_MAX_PAGES = 50;
+const syncInFlight = new Map(); // item_id -> Promise (coalesce concurrent syncs)
+
+function txRecord(userId, itemId, t, rules = []) {
+  const rec = {
+    transaction_id: t.transaction_id,
+    user_id: userId,
+    item_id: itemId,
+    account_id: t.account_id || null,
+    date: t.date,
+    authorized_date: t.authorized_date || null,
+    name: t.name || null,
+    merchant_name: t.merchant_name || null,
+    amount: +t.amount || 0,
+    iso_currency_code: t.iso_currency_code || t.unofficial_currency_code || 'USD',
+    pending: !!t.pending,
+    data: t,
+  };
+  return Object.assign(rec, categorize(rec, rules));
+}
+function txView(r) {
+  return {
+    transaction_id: r.transaction_id,
+    item_id: r.item_id,
+    account_id: r.account_id,
+    date: r.date,
+    authorized_date: r.authorized_date,
+    name: r.name,
+    merchant_name: r.merchant_name,
+    amount: +r.amount || 0,
+    iso_currency_code: r.iso_currency_code,
+    pending: !!r.pending,
+    category: r.category,
+    category_source: r.category_source || null,
+    personal_finance_category: r.data?.personal_finance_category || null,
+  };
+}
+
+async function getCursor(itemId) {
+  return store.get('transaction_cursors', { item_id: itemId });
+}
+async function saveCursor(userId, itemId, cursor) {
+  await store.upsert('transaction_cursors', { item_id: itemId, user_id: userId, cursor, synced_at: new Date().toISOString() });
+}
+async function upsertTransactions(userId, itemId, list) {
+  if (!list.length) return;
+  const rules = compileRules(await listRules(userId));
+  const updatedAt = new Date().toISOString();
+  for (const r of list.map(t => txRecord(userId, itemId, t, rules))) {
+    await store.upsert('transactions', { ...r, updated_at: updatedAt });
+  }
+}
+async function deleteTransactions(userId, ids) {
+  if (!ids.length) return;
+  await store.remove('transactions', { user_id: userId, transaction_id: { in: ids } });
+}
+// Forget ledger rows + cursors for one Item, or for every Item of the user
+async function purgeLedger(userId, itemId) {
+  if (itemId) {
+    await store.remove('transactions', { user_id: userId, item_id: itemId });
+    await store.remove('transaction_cursors', { item_id: itemId });
+  } else {
+    await store.remove('transactions', { user_id: userId });
+    await store.remove('transaction_cursors', { user_id: userId });
+  }
+}
+
+// Pull every page of deltas for one Item and apply them. Returns counts.
+async function syncItemTransactions(userId, item) {
+  if (syncInFlight.has(item.item_id)) return syncInFlight.get(item.item_id);
+  const run = (async () => {
+    const start = (await getCursor(item.item_id))?.cursor || null;
+    let attempts = 0;
+    while (true) {
+      attempts++;
+      let cursor = start, pages = 0, hasMore = true;
+      const added = [], modified = [], removed = [];
+      try {
+        while (hasMore && pages < TX_SYNC_MAX_PAGES) {
+          pages++;
+          const data = await plaidPost('/transactions/sync', { access_token: item.access_token, cursor, count: 500 });
+          added.push(...(data.added || []));
+          modified.push(...(data.modified || []));
+          removed.push(...(data.removed || []).map(r => r.transaction_id));
+          cursor = data.next_cursor;
+          hasMore = !!data.has_more;
+        }
+      } catch (e) {
+        // Plaid asks us to restart the whole pagination from the original cursor
+        if (e?.plaid?.error_code === 'TRANSACTIONS_SYNC_MUTATION_DURING_PAGINATION' && attempts < 3) continue;
+        await noteItemError(item.item_id, e).catch(err => console.error('item status error', err));
+        throw e;
+      }
+      await upsertTransactions(userId, item.item_id, added.concat(modified));
+      await deleteTransactions(userId, removed);
+      await saveCursor(userId, item.item_id, cursor);
+      return { item_id: item.item_id, added: added.length, modified: modified.length, removed: removed.length, has_more: hasMore };
+    }
+  })();
+  syncInFlight.set(item.item_id, run);
+  try { return await run; } finally { syncInFlight.delete(item.item_id); }
+}
+async function syncUserTransactions(userId, { onlyStale = false } = {}) {
+  const items = await itemsForUser(userId);
+  const due = [];
+  for (const t of items) {
+    if (onlyStale) {
+      const c = await getCursor(t.item_id);
+      if (c?.synced_at && Date.now() - new Date(c.synced_at).getTime() < TX_SYNC_STALE_MS) continue;
+    }
+    due.push(t);
+  }
+  const results = await fanOut(due, t => syncItemTransactions(userId, t));
+  return results.map(r => r.data || { item_id: r.item.item_id, error: r.error, action: r.action });
+}
+
+// Filtered, paginated read of the ledger (newest first)
+async function queryTransactions(userId, f = {}) {
+  const limit  = Math.max(1, Math.min(500, parseInt(f.limit, 10) || 100));
+  const offset = Math.max(0, parseInt(f.offset, 10) || 0);
+  const minAmt = f.min_amount != null && f.min_amount !== '' ? +f.min_amount : null;
+  const maxAmt = f.max_amount != null && f.max_amount !== '' ? +f.max_amount : null;
+  const q = (f.q || '').toString().trim();
+
+  const where = { user_id: userId };
+  const date = {};
+  if (f.start) date.gte = f.start;
+  if (f.end)   date.lte = f.end;
+  if (f.start || f.end) where.date = date;
+  if (f.account_id) where.account_id = f.account_id;
+  if (f.item_id)    where.item_id = f.item_id;
+  if (f.category)   where.category = normCategory(f.category);
+  const amount = {};
+  if (minAmt != null && !isNaN(minAmt)) amount.gte = minAmt;
+  if (maxAmt != null && !isNaN(maxAmt)) amount.lte = maxAmt;
+  if (Object.keys(amount).length) where.amount = amount;
+  if (q) where.$or = [{ name: { contains: q } }, { merchant_name: { contains: q } }];
+
+  const total = await store.count('transactions', where);
+  const rows = await store.find('transactions', where, {
+    orderBy: [['date', 'desc'], ['transaction_id', 'asc']], limit, offset,
+  });
+  return { transactions: rows.map(txView), total, limit, offset };
+}
+// Every ledger row in a date range (no paging) for KPIs and analytics
+async function ledgerTransactions(userId, start, end) {
+  const out = [];
+  for (let offset = 0; ; offset += 500) {
+    const page = await queryTransactions(userId, { start, end, limit: 500, offset });
+    out.push(...page.transactions);
+    if (out.length >= page.total || !page.transactions.length) return out;
+  }
+}
+
+// ----------------------- Categories & budgets ------------
+// Effective category = first matching user rule (by priority), else Plaid's
+// personal_finance_category.primary. The ledger stores the effective category so
+// filters, budgets and analytics all agree; rule changes recategorize the ledger.
+const RULE_FIELDS = new Set(['any','merchant','name']);
+const NON_SPENDING = new Set(['INCOME','TRANSFER_IN','TRANSFER_OUT']);
+
+function normCategory(c) {
+  return String(c || '').trim().toUpperCase().replace(/[^A-Z0-9]+/g, '_').replace(/^_|_$/g, '').slice(0, 64);
+}
+function ruleRow(r) {
+  return {
+    id: r.id,
+    priority: +r.priority || 0,
+    match_field: r.match_field || 'any',
+    pattern: r.pattern || null,
+    min_amount: r.min_amount == null ? null : +r.min_amount,
+    max_amount: r.max_amount == null ? null : +r.max_amount,
+    account_id: r.account_id || null,
+    category: r.category,
+    created_at: r.created_at,
+  };
+}
+// -> { rule } or { error, field }
+function validateRule(body, prev = {}) {
+  const r = { ...prev };
+  if (body.category !== undefined) r.category = normCategory(body.category);
+  if (!r.category) return { error: 'INVALID_RULE', field: 'category' };
+  if (body.match_field !== undefined) r.match_field = String(body.match_field);
+  r.match_field = r.match_field || 'any';
+  if (!RULE_FIELDS.has(r.match_field)) return { error: 'INVALID_RULE', field: 'match_field' };
+  if (body.pattern !== undefined) r.pattern = body.pattern ? String(body.pattern) : null;
+  if (r.pattern) {
+    if (r.pattern.length > 200) return { error: 'INVALID_RULE', field: 'pattern' };
+    try { new RegExp(r.pattern, 'i'); } catch { return { error: 'INVALID_RULE', field: 'pattern' }; }
+  }
+  for (const k of ['min_amount','max_amount']) {
+    if (body[k] !== undefined) r[k] = body[k] === null || body[k] === '' ? null : +body[k];
+    if (r[k] != null && isNaN(r[k])) return { error: 'INVALID_RULE', field: k };
+  }
+  if (body.account_id !== undefined) r.account_id = body.account_id ? String(body.account_id) : null;
+  if (body.priority !== undefined) r.priority = parseInt(body.priority, 10) || 0;
+  if (!r.pattern && r.min_amount == null && r.max_amount == null && !r.account_id) {
+    return { error: 'INVALID_RULE', field: 'pattern' }; // a rule must match on something
+  }
+  return { rule: r };
+}
+function compileRules(rules) {
+  return rules
+    .slice()
+    .sort((a, b) => (b.priority - a.priority) || String(a.created_at).localeCompare(String(b.created_at)))
+    .map(r => ({ ...r, re: r.pattern ? new RegExp(r.pattern, 'i') : null }));
+}
+function categorize(t, compiled) {
+  const merchant = t.merchant_name || '', name = t.name || '';
+  for (const r of compiled) {
+    if (r.account_id && r.account_id !== t.account_id) continue;
+    if (r.min_amount != null && Math.abs(t.amount) < r.min_amount) continue;
+    if (r.max_amount != null && Math.abs(t.amount) > r.max_amount) continue;
+    if (r.re) {
+      const hay = r.match_field === 'merchant' ? [merchant] : r.match_field === 'name' ? [name] : [merchant, name];
+      if (!hay.some(h => r.re.test(h))) continue;
+    }
+    return { category: r.category, category_source: 'rule' };
+  }
+  const plaid = t.data?.personal_finance_category?.primary || (t.data?.category || [])[0];
+  return plaid
+    ? { category: normCategory(plaid), category_source: 'plaid' }
+    : { category: 'UNCATEGORIZED', category_source: 'none' };
+}
+
+async function listRules(userId) {
+  return (await store.find('category_rules', { user_id: userId })).map(ruleRow);
+}
+async function saveRule(userId, rule) {
+  const row = await store.upsert('category_rules', {
+    id: rule.id || crypto.randomUUID(),
+    user_id: userId,
+    priority: rule.priority || 0,
+    match_field: rule.match_field,
+    pattern: rule.pattern ?? null,
+    min_amount: rule.min_amount ?? null,
+    max_amount: rule.max_amount ?? null,
+    account_id: rule.account_id ?? null,
+    category: rule.category,
+  });
+  return ruleRow(row);
+}
+async function deleteRule(userId, id) {
+  return (await store.remove('category_rules', { user_id: userId, id })) > 0;
+}
+// Re-apply rules to every ledger row of the user. Returns the number of rows that changed.
+async function recategorizeLedger(userId) {
+  const rules = compileRules(await listRules(userId));
+  let changed = 0;
+  for (const r of await store.find('transactions', { user_id: userId })) {
+    const c = categorize({ ...r, amount: +r.amount }, rules);
+    if (c.category === r.category && c.category_source === r.category_source) continue;
+    await store.update('transactions', { transaction_id: r.transaction_id }, c);
+    changed++;
+  }
+  return changed;
+}
+
+function budgetRow(b) {
+  return { id: b.id, category: b.category, amount: +b.amount || 0, created_at: b.created_at, updated_at: b.updated_at };
+}
+async function listBudgets(userId) {
+  return (await store.find('budgets', { user_id: userId }, { orderBy: [['category', 'asc']] })).map(budgetRow);
+}
+// Upsert by id, or by category when no id is given (one budget per category)
+async function saveBudget(userId, b) {
+  const now = new Date().toISOString();
+  if (b.id) {
+    const [row] = await store.update('budgets', { user_id: userId, id: b.id }, { category: b.category, amount: b.amount, updated_at: now });
+    return row ? budgetRow(row) : null;
+  }
+  const row = await store.upsert('budgets',
+    { id: crypto.randomUUID(), user_id: userId, category: b.category, amount: b.amount, updated_at: now },
+    { on: ['user_id', 'category'], update: ['amount', 'updated_at'] });
+  return budgetRow(row);
+}
+async function deleteBudget(userId, id) {
+  return (await store.remove('budgets', { user_id: userId, id })) > 0;
+}
+
+// Calendar-month bounds for 'YYYY-MM' (default: current month)
+function monthRange(month) {
+  const m = /^\d{4}-\d{2}$/.test(month || '') ? month : new Date().toISOString().slice(0, 7);
+  const [y, mo] = m.split('-').map(Number);
+  const last = new Date(Date.UTC(y, mo, 0)).getUTCDate();
+  return { month: m, start: `${m}-01`, end: `${m}-${String(last).padStart(2, '0')}`, days: last };
+}
+// Net outflow per category (refunds reduce spend; income/transfers excluded)
+function spendByCategory(txs) {
+  const by = new Map();
+  for (const t of txs) {
+    if (NON_SPENDING.has(t.category)) continue;
+    by.set(t.category, (by.get(t.category) || 0) + t.amount);
+  }
+  const out = {};
+  for (const [c, v] of by) out[c] = money(Math.max(0, v));
+  return out;
+}
+async function budgetStatus(userId, month) {
+  const period = monthRange(month);
+  const [budgets, txs] = await Promise.all([
+    listBudgets(userId),
+    ledgerTransactions(userId, period.start, period.end),
+  ]);
+  const spent = spendByCategory(txs);
+  const today = new Date().toISOString().slice(0, 10);
+  const elapsed = today < period.start ? 0 : today > period.end ? period.days : +today.slice(8, 10);
+  const rows = budgets.map(b => {
+    const used = spent[b.category] || 0;
+    return {
+      id: b.id,
+      category: b.category,
+      budget: b.amount,
+      spent: used,
+      remaining: money(Math.max(0, b.amount - used)),
+      overage: money(Math.max(0, used - b.amount)),
+      pctUsed: b.amount ? money(used / b.amount) : null,
+      projected: elapsed ? money(used / elapsed * period.days) : 0,
+      over: used > b.amount,
+    };
+  });
+  const budgeted = new Set(budgets.map(b => b.category));
+  const unbudgeted = Object.entries(spent)
+    .filter(([c]) => !budgeted.has(c))
+    .map(([category, amount]) => ({ category, spent: amount }))
+    .sort((a, b) => b.spent - a.spent);
+  return {
+    period,
+    budgets: rows,
+    overBudget: rows.filter(r => r.over).map(r => r.category),
+    totals: {
+      budget: money(sum(rows.map(r => r.budget))),
+      spent: money(sum(rows.map(r => r.spent))),
+      unbudgetedSpent: money(sum(unbudgeted.map(u => u.spent))),
+    },
+    unbudgeted,
+  };
+}
+
+// ----------------------- Recurring detection -------------
+// Streams are detected by lib/recurring.js over the stored ledger; dismissals are per user.
+const { RECURRING_LOOKBACK_DAYS, detectRecurring } = require('./lib/recurring');
+
+async function dismissedStreams(userId) {
+  return new Set((await store.find('recurring_dismissed', { user_id: userId })).map(r => r.stream_id));
+}
+async function setStreamDismissed(userId, streamId, dismissed) {
+  if (dismissed) await store.upsert('recurring_dismissed', { user_id: userId, stream_id: streamId }, { ignore: true });
+  else await store.remove('recurring_dismissed', { user_id: userId, stream_id: streamId });
+}
+async function recurringForUser(userId, { includeDismissed = false } = {}) {
+  const [txs, dismissed] = await Promise.all([
+    ledgerTransactions(userId, daysAgo(RECURRING_LOOKBACK_DAYS), daysAgo(0)),
+    dismissedStreams(userId),
+  ]);
+  const all = detectRecurring(txs).map(s => ({ ...s, dismissed: dismissed.has(s.id) }));
+  const streams = includeDismissed ? all : all.filter(s => !s.dismissed);
+  const active = streams.filter(s => s.status === 'active' && !s.dismissed);
+  return {
+    streams,
+    totals: {
+      monthlyIncome:   money(sum(active.filter(s => s.direction === 'inflow').map(s => s.monthlyAmount))),
+      monthlyExpenses: money(sum(active.filter(s => s.direction === 'outflow').map(s => s.monthlyAmount))),
+    },
+    priceIncreases: streams.filter(s => s.priceIncrease && s.status === 'active').map(s => s.id),
+    stopped: streams.filter(s => s.status === 'stopped').map(s => s.id),
+  };
+}
+
+// ----------------------- Schema validation ---------------
+// Small JSON-Schema subset: type (incl. 'null' / arrays of types), required, properties,
+// items, anyOf (required-only), minimum/maximum, minLength/maxLength, maxItems, pattern, enum.
+// Numeric strings are coerced in place for 'number' fields. Returns [{ path, message }].
+function validateSchema(value, schema, path = '') {
+  const errors = [];
+  const types = [].concat(schema.type || []);
+  const typeOf = v => v === null ? 'null' : Array.isArray(v) ? 'array' : typeof v;
+  let v = value;
+
+  if (types.length) {
+    let t = typeOf(v);
+    if (t === 'number' && !isFinite(v)) t = 'nan';
+    const ok = types.some(x => x === t || (x === 'integer' && t === 'number' && Number.isInteger(v)));
+    if (!ok) {
+      errors.push({ path: path || '.', message: `must be ${types.join(' or ')}` });
+      return errors;
+    }
+  }
+  if (v === null) return errors;
+  if (schema.enum && !schema.enum.includes(v)) errors.push({ path, message: `must be one of ${schema.enum.join(', ')}` });
+  if (typeof v === 'number') {
+    if (schema.minimum != null && v < schema.minimum) errors.push({ path, message: `must be >= ${schema.minimum}` });
+    if (schema.maximum != null && v > schema.maximum) errors.push({ path, message: `must be <= ${schema.maximum}` });
+  }
+  if (typeof v === 'string') {
+    if (schema.minLength != null && v.length < schema.minLength) errors.push({ path, message: `must have at least ${schema.minLength} characters` });
+    if (schema.maxLength != null && v.length > schema.maxLength) errors.push({ path, message: `must have at most ${schema.maxLength} characters` });
+    if (schema.pattern && !new RegExp(schema.pattern).test(v)) errors.push({ path, message: 'has an invalid format' });
+  }
+  if (Array.isArray(v)) {
+    if (schema.maxItems != null && v.length > schema.maxItems) errors.push({ path, message: `must have at most ${schema.maxItems} items` });
+    if (schema.items) v.forEach((x, i) => errors.push(...validateSchema(x, schema.items, `${path}[${i}]`)));
+  } else if (typeof v === 'object') {
+    for (const k of schema.required || []) {
+      if (v[k] === undefined || v[k] === null || v[k] === '') errors.push({ path: path ? `${path}.${k}` : k, message: 'is required' });
+    }
+    if (schema.anyOf && !schema.anyOf.some(alt => (alt.required || []).every(k => v[k] != null && v[k] !== ''))) {
+      errors.push({ path: path || '.', message: `needs one of: ${schema.anyOf.map(a => a.required.join('+')).join(', ')}` });
+    }
+    for (const [k, sub] of Object.entries(schema.properties || {})) {
+      if (v[k] === undefined) continue;
+      // Coerce "12.50" -> 12.5 where a number is expected
+      if ([].concat(sub.type || []).includes('number') && typeof v[k] === 'string' && v[k].trim() !== '' && isFinite(+v[k])) v[k] = +v[k];
+      errors.push(...validateSchema(v[k], sub, path ? `${path}.${k}` : k));
+    }
+  }
+  return errors;
 }
 
 // ----------------------- Manual data (DB) ----------------
+// Manual holdings/debts are one JSONB document per user with a version counter.
+// A write that names the version it replaces (If-Match / body.version) fails with 409 when that
+// version is stale; one that names none is last-write-wins. Either way the previous document is
+// kept in manual_history so a user can undo an accidental overwrite.
+const ID_SCHEMA = { type: 'string', minLength: 1, maxLength: 64 };
+const HOLDING_SCHEMA = {
+  type: 'object',
+  anyOf: [{ required: ['symbol'] }, { required: ['name'] }],
+  properties: {
+    id: ID_SCHEMA,
+    symbol:   { type: ['string', 'null'], maxLength: 20 },
+    name:     { type: ['string', 'null'], maxLength: 120 },
+    quantity: { type: 'number', minimum: 0 },
+    price:    { type: ['number', 'null'], minimum: 0 },
+    value:    { type: ['number', 'null'], minimum: 0 },
+  },
+};
+const ACCOUNT_SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  properties: {
+    id: ID_SCHEMA,
+    name:     { type: 'string', minLength: 1, maxLength: 120 },
+    type:     { type: ['string', 'null'], maxLength: 40 },
+    cash:     { type: 'number', minimum: 0 },
+    holdings: { type: 'array', maxItems: 500, items: HOLDING_SCHEMA },
+  },
+};
+const DEBT_SCHEMA = {
+  type: 'object',
+  required: ['name', 'balance'],
+  properties: {
+    id: ID_SCHEMA,
+    name:            { type: 'string', minLength: 1, maxLength: 120 },
+    type:            { type: ['string', 'null'], maxLength: 40 },
+    balance:         { type: 'number', minimum: 0 },
+    apr:             { type: ['number', 'null'], minimum: 0, maximum: 100 },
+    minimum_payment: { type: ['number', 'null'], minimum: 0 },
+    due_date:        { type: ['string', 'null'], pattern: '^\\d{4}-\\d{2}-\\d{2}$' },
+  },
+};
+const MANUAL_KINDS = {
+  holdings: {
+    table: 'manual_holdings',
+    empty: () => ({ accounts: [] }),
+    schema: { type: 'object', required: ['accounts'], properties: { accounts: { type: 'array', maxItems: 100, items: ACCOUNT_SCHEMA } } },
+  },
+  debts: {
+    table: 'manual_debts',
+    empty: () => ({ items: [] }),
+    schema: { type: 'object', required: ['items'], properties: { items: { type: 'array', maxItems: 200, items: DEBT_SCHEMA } } },
+  },
+};
+
+// Give every account/holding/debt a stable id so they can be addressed individually
+function ensureIds(kind, doc) {
+  let changed = false;
+  const tag = o => { if (o && !o.id) { o.id = crypto.randomUUID(); changed = true; } };
+  if (kind === 'holdings') (doc.accounts || []).forEach(a => { tag(a); (a.holdings || []).forEach(tag); });
+  else (doc.items || []).forEach(tag);
+  return changed;
+}
+async function loadManualDoc(kind, userId) {
+  const k = MANUAL_KINDS[kind];
+  const row = await store.get(k.table, { user_id: userId });
+  if (!row) return { exists: false, data: k.empty(), version: 0, updated_at: null };
+  const data = row.data && typeof row.data === 'object' ? row.data : k.empty();
+  // Older documents predate ids: assign them once, in place, without bumping the version
+  if (ensureIds(kind, data)) {
+    await store.update(k.table, { user_id: userId, version: row.version }, { data });
+  }
+  return { exists: true, data, version: +row.version || 0, updated_at: row.updated_at };
+}
+// mutate(doc) edits/returns the next document (or throws httpError). Resolves { data, version }.
+async function writeManualDoc(kind, userId, expectedVersion, op, mutate) {
+  const k = MANUAL_KINDS[kind];
+  const cur = await loadManualDoc(kind, userId);
+  const conflict = () => httpError(409, 'VERSION_CONFLICT', { version: cur.version, data: cur.data });
+  if (expectedVersion != null && expectedVersion !== cur.version) throw conflict();
+
+  const next = mutate(JSON.parse(JSON.stringify(cur.data)));
+  const fields = validateSchema(next, k.schema);
+  if (fields.length) throw httpError(400, 'VALIDATION_ERROR', { fields });
+  ensureIds(kind, next);
+
+  const row = { data: next, version: cur.version + 1, updated_at: new Date().toISOString() };
+  const written = cur.exists
+    ? (await store.update(k.table, { user_id: userId, version: cur.version }, row))[0]
+    : await store.upsert(k.table, { user_id: userId, ...row }, { ignore: true });
+  if (!written) throw conflict(); // someone else wrote in between
+  if (cur.exists) {
+    await store.insert('manual_history', { user_id: userId, kind, version: cur.version, data: cur.data, op });
+  }
+  return { data: next, version: row.version };
+}
+async function manualHistory(kind, userId, limit = 50) {
+  const rows = await store.find('manual_history', { user_id: userId, kind },
+    { orderBy: [['id', 'desc']], limit: Math.max(1, Math.min(200, limit)) });
+  return rows.map(r => ({ version: +r.version, replacedBy: r.op, replacedAt: r.created_at }));
+}
+async function manualHistoryDoc(kind, userId, version) {
+  const where = { user_id: userId, kind };
+  if (version != null) where.version = version;
+  const row = (await store.find('manual_history', where, { orderBy: [['id', 'desc']], limit: 1 }))[0];
+  return row ? { version: +row.version, data: row.data } : null;
+}
+// Expected version from If-Match ("3", W/"3", "v3") or body.version
+function expectedVersionOf(req, body = {}) {
+  const h = String(req.headers['if-match'] || '').replace(/^W\//, '').replace(/"/g, '').replace(/^v/, '').trim();
+  if (h && h !== '*' && /^\d+$/.test(h)) return +h;
+  if (body.version !== undefined && body.version !== null && /^\d+$/.test(String(body.version))) return +body.version;
+  return null;
+}
+function findById(list, id) {
+  return (list || []).findIndex(x => x.id === id);
+}
+// Route glue for manual writes: prepare() resolves the mutate fn (it may load data or throw
+// httpError first); pick(doc) selects extra response fields. Resolves the new version, with its ETag set.
+async function manualWrite(res, kind, userId, expectedVersion, op, prepare, pick = () => ({})) {
+  const mutate = await prepare();
+  const out = await writeManualDoc(kind, userId, expectedVersion, op, mutate);
+  res.setHeader('ETag', `"${out.version}"`);
+  return { ok:true, version: out.version, ...pick(out.data), data: out.data };
+}
+
 async function getManualHoldings(userId) {
-  if (!pgPool) return null;
-  const row = await dbOne(`SELECT data FROM manual_holdings WHERE user_id=$1`, [userId]);
-  return row?.data || null;
+  const doc = await loadManualDoc('holdings', userId);
+  return doc.exists ? doc.data : null;
 }
 async function getManualDebts(userId) {
-  if (!pgPool) return null;
-  const row = await dbOne(`SELECT data FROM manual_debts WHERE user_id=$1`, [userId]);
-  return row?.data || null;
+  const doc = await loadManualDoc('debts', userId);
+  return doc.exists ? doc.data : null;
+}
+
+// ----------------------- Market quotes -------------------
+// Quote providers share one shape: { name, quotes(symbols) -> [{ symbol, price, currency, asOf }] }.
+// Prices land in quote_cache; manual holdings are valued from the cache with a priceAsOf.
+function parseQuotePayload(payload, fallbackAsOf) {
+  const rows = Array.isArray(payload) ? payload
+    : Array.isArray(payload?.quotes) ? payload.quotes
+    : Array.isArray(payload?.data) ? payload.data
+    : Object.entries(payload || {}).map(([symbol, v]) => (typeof v === 'object' ? { symbol, ...v } : { symbol, price: v }));
+  return rows
+    .map(r => ({
+      symbol: String(r.symbol || r.ticker || '').toUpperCase(),
+      price: firstNum(r.price, r.last, r.close, r.regularMarketPrice),
+      currency: r.currency || 'USD',
+      asOf: r.asOf || r.as_of || r.timestamp || fallbackAsOf,
+    }))
+    .filter(q => q.symbol && q.price != null && q.price > 0);
+}
+const quoteProviders = {
+  file: {
+    name: 'file',
+    async quotes(symbols) {
+      const fs = require('fs');
+      const file = require('path').resolve(__dirname, QUOTES_FILE);
+      const [stat, text] = await Promise.all([fs.promises.stat(file), fs.promises.readFile(file, 'utf8')]);
+      const all = parseQuotePayload(JSON.parse(text), stat.mtime.toISOString());
+      const want = new Set(symbols);
+      return all.filter(q => want.has(q.symbol));
+    },
+  },
+  http: {
+    name: 'http',
+    async quotes(symbols) {
+      if (!QUOTES_HTTP_URL) throw new Error('QUOTES_HTTP_URL not set');
+      const out = [];
+      for (let i = 0; i < symbols.length; i += 50) {
+        const batch = symbols.slice(i, i + 50);
+        const r = await fetchWithTimeout(QUOTES_HTTP_URL.replace('{symbols}', encodeURIComponent(batch.join(','))), {
+          headers: QUOTES_HTTP_KEY ? { Authorization: `Bearer ${QUOTES_HTTP_KEY}` } : {},
+        }, 10000);
+        if (!r.ok) throw new Error(`quote provider HTTP ${r.status}`);
+        out.push(...parseQuotePayload(await r.json(), new Date().toISOString()));
+      }
+      return out;
+    },
+  },
+};
+function activeQuoteProvider() { return quoteProviders[QUOTE_PROVIDER] || null; }
+
+function holdingSymbol(h) { return String(h.symbol || h.ticker || '').trim().toUpperCase(); }
+function manualSymbols(mh) {
+  const set = new Set();
+  ((mh && mh.accounts) || []).forEach(a => (a.holdings || []).forEach(h => { const s = holdingSymbol(h); if (s) set.add(s); }));
+  return Array.from(set);
+}
+async function cachedQuotes(symbols) {
+  const out = new Map();
+  if (!symbols.length) return out;
+  const rows = await store.find('quote_cache', { symbol: { in: symbols } });
+  rows.forEach(r => out.set(r.symbol, { symbol: r.symbol, price: +r.price, currency: r.currency, as_of: r.as_of, provider: r.provider }));
+  return out;
+}
+// Fetch fresh prices for symbols from the active provider and cache them
+async function refreshQuotes(symbols) {
+  const provider = activeQuoteProvider();
+  if (!provider) return { provider: null, updated: [], missing: symbols };
+  const fresh = symbols.length ? await provider.quotes(symbols) : [];
+  for (const q of fresh) {
+    await store.upsert('quote_cache', {
+      symbol: q.symbol, price: q.price, currency: q.currency, as_of: new Date(q.asOf).toISOString(),
+      provider: provider.name, fetched_at: new Date().toISOString(),
+    });
+  }
+  const got = new Set(fresh.map(q => q.symbol));
+  return { provider: provider.name, updated: Array.from(got), missing: symbols.filter(s => !got.has(s)) };
+}
+// Annotate manual holdings with market prices; returns { data, total }
+function priceManualHoldings(mh, quotes) {
+  if (!mh || !mh.accounts) return { data: mh || null, total: 0 };
+  let total = 0;
+  const accounts = mh.accounts.map(a => {
+    const cash = +a.cash || 0;
+    const holdings = (a.holdings || []).map(h => {
+      const qty = +h.quantity || 0;
+      const q = quotes.get(holdingSymbol(h));
+      const value = q && qty ? qty * q.price : (+h.value || (qty * (+h.price || 0)) || 0);
+      return {
+        ...h,
+        marketPrice: q ? q.price : null,
+        marketValue: money(value),
+        priceAsOf: q ? q.as_of : (h.priceAsOf || null),
+        priceSource: q ? q.provider : 'manual',
+      };
+    });
+    total += cash + sum(holdings.map(h => h.marketValue));
+    return { ...a, holdings };
+  });
+  return { data: { ...mh, accounts }, total: money(total) };
+}
+async function pricedManualHoldings(userId, doc) {
+  const mh = doc !== undefined ? doc : await getManualHoldings(userId);
+  return priceManualHoldings(mh, await cachedQuotes(manualSymbols(mh)));
+}
+let quoteRefreshRunning = false;
+async function refreshAllManualQuotes() {
+  if (quoteRefreshRunning || !activeQuoteProvider()) return;
+  quoteRefreshRunning = true;
+  try {
+    const rows = await store.find('manual_holdings');
+    const symbols = Array.from(new Set(rows.flatMap(r => manualSymbols(r.data))));
+    const r = await refreshQuotes(symbols);
+    if (r.updated.length) console.log(`quotes refreshed: ${r.updated.length} (${r.provider})`);
+  } finally { quoteRefreshRunning = false; }
 }
 
 // ----------------------- Summary (Plaid + Manual) --------
-async function buildSummary(userId='default') {
-  const token  = await latestTokenForUser(userId);
-  const linked = !!token;
-
-  const [acc, liab, inv, tx, mh, md] = await Promise.all([
-    linked ? getAccounts(token) : null,
-    linked ? getLiabilities(token) : null,
-    linked ? getInvestmentsHoldings(token) : null,
-    linked ? getTransactions(token, daysAgo(30), daysAgo(0)) : null,
-    getManualHoldings(userId),
-    getManualDebts(userId),
+function cashBalances(accounts) {
+  const cashAccts = (accounts || []).filter(a => a.type === 'depository');
+  const bal = a => a.balances?.available ?? a.balances?.current ?? 0;
+  const checking  = money(sum(cashAccts.filter(a => a.subtype === 'checking').map(bal)));
+  const savings   = money(sum(cashAccts.filter(a => a.subtype === 'savings').map(bal)));
+  const cashOther = money(sum(cashAccts.filter(a => a.subtype !== 'checking' && a.subtype !== 'savings').map(bal)));
+  return { checking, savings, cashOther, total: money(checking + savings + cashOther) };
+}
+function valuePlaidHoldings(inv) {
+  if (!inv || !inv.holdings || !inv.securities) return 0;
+  const secMap = new Map();
+  inv.securities.forEach(s => secMap.set(s.security_id, s));
+  return money(sum(inv.holdings.map(h => {
+    if (typeof h.institution_value === 'number') return h.institution_value;
+    const sec = secMap.get(h.security_id);
+    const px  = (sec && (sec.close_price ?? sec.price)) || 0;
+    return (+h.quantity || 0) * (+px || 0);
+  })));
+}
+// Full /liabilities/get response: each debt at its account's current balance when Plaid lists it
+function totalPlaidLiabilities(liab) {
+  if (!liab?.liabilities) return 0;
+  return money(sum(plaidDebts(liab).map(d => d.balance)));
+}
+
+// Timestamps come back as strings (memory/file) or Dates (postgres)
+function isoTime(v) { return v ? new Date(v).toISOString() : null; }
+// Stalest of several times (null when none are known)
+function oldestIso(list) {
+  const known = list.filter(Boolean).map(isoTime).sort();
+  return known.length ? known[0] : null;
+}
+
+// fresh: bypass the Plaid cache and sync every Item's ledger, not just the stale ones
+async function buildSummary(userId, { fresh = false } = {}) {
+  const items  = await itemsForUser(userId);
+  const linked = items.length > 0;
+
+  // Transactions come from the ledger; only Items that haven't synced recently hit Plaid
+  if (linked) {
+    try { await syncUserTransactions(userId, { onlyStale: !fresh }); }
+    catch (e) { console.error('ledger sync error', e); }
+  }
+
+  const [accR, liabR, invR, cursors, txRows, hDoc, dDoc] = await Promise.all([
+    fanOut(items, t => getAccounts(t, { fresh })),
+    fanOut(items, t => getLiabilities(t, { fresh })),
+    fanOut(items, t => getInvestmentsHoldings(t, { fresh })),
+    Promise.all(items.map(t => getCursor(t.item_id))),
+    linked ? ledgerTransactions(userId, daysAgo(30), daysAgo(0)) : [],
+    loadManualDoc('holdings', userId),
+    loadManualDoc('debts', userId),
   ]);
+  const mh = await pricedManualHoldings(userId, hDoc.exists ? hDoc.data : null);
+  const md = dDoc.exists ? dDoc.data : null;
+  const acc  = mergeItemResults(accR, ['accounts']);
+  const liab = mergeLiabilities(liabR);
+  const inv  = mergeItemResults(invR, ['holdings', 'securities'], { securities: 'security_id' });
+  const tx   = txRows.length ? { transactions: txRows } : null;
 
   // Accounts / Cash (Plaid only)
-  let accounts = (acc && acc.accounts) || [];
-  const cashAccts = accounts.filter(a => a.type === 'depository');
-  const checkingBal = cashAccts.filter(a => a.subtype === 'checking')
-    .map(a => a.balances?.available ?? a.balances?.current ?? 0);
-  const savingBal = cashAccts.filter(a => a.subtype === 'savings')
-    .map(a => a.balances?.available ?? a.balances?.current ?? 0);
-  const otherCash = cashAccts.filter(a => a.subtype !== 'checking' && a.subtype !== 'savings')
-    .map(a => a.balances?.available ?? a.balances?.current ?? 0);
-
-  const checking     = money(sum(checkingBal));
-  const savings      = money(sum(savingBal));
-  const cashOther    = money(sum(otherCash));
-  const totalCashPlaid = money(checking + savings + cashOther);
-
-  // Manual holdings valuation (very simple: sum value or qty*price + cash)
-  let manualInvestments = 0;
-  if (mh && mh.accounts) {
-    manualInvestments = money(sum(
-      (mh.accounts||[]).map(a=>{
-        const cash  = +a.cash || 0;
-        const holds = sum((a.holdings||[]).map(h=>{
-          const qty   = +h.quantity || 0;
-          const price = +h.price    || 0;
-          const val   = +h.value || (qty * price);
-          return val || 0;
-        }));
-        return cash + holds;
-      })
-    ));
-  }
-
-  // Plaid investments
-  let plaidInvestments = 0;
-  if (inv && inv.holdings && inv.securities) {
-    const holdings = inv.holdings;
-    const secMap = new Map();
-    inv.securities.forEach(s => secMap.set(s.security_id, s));
-    plaidInvestments = money(sum(holdings.map(h => {
-      if (typeof h.institution_value === 'number') return h.institution_value;
-      const sec = secMap.get(h.security_id);
-      const px  = (sec && (sec.close_price ?? sec.price)) || 0;
-      return (+h.quantity || 0) * (+px || 0);
-    })));
-  }
-
-  // Liabilities (Plaid)
-  let totalLiabPlaid = 0;
-  if (liab && liab.liabilities) {
-    const L = liab.liabilities;
-    const cc   = (L.credit   || []).map(x => x.balance?.current ?? 0);
-    const stu  = (L.student  || []).map(x => x.outstanding_balance ?? 0);
-    const mort = (L.mortgage || []).map(x => x.principal_balance ?? 0);
-    const auto = (L.auto     || []).map(x => x.outstanding_balance ?? 0);
-    totalLiabPlaid = money(sum(cc) + sum(stu) + sum(mort) + sum(auto));
-  }
+  let accounts = acc.accounts;
+  const cash = cashBalances(accounts);
+  const checking       = cash.checking;
+  const savings        = cash.savings;
+  const cashOther      = cash.cashOther;
+  const totalCashPlaid = cash.total;
+
+  // Manual holdings valuation (cached market price when known, else saved value or qty*price, + cash)
+  const manualInvestments = mh.total;
+
+  // Plaid investments / liabilities (merged across Items)
+  const plaidInvestments = valuePlaidHoldings(inv);
+  const totalLiabPlaid   = totalPlaidLiabilities(liab);
 
   // Manual debts (sum balances)
   let manualDebts = 0;
@@ -349,11 +1381,39 @@ async function buildSummary(userId='default') {
   const runwayMonths = monthlySpend ? money(totalCash / monthlySpend) : 0;
   const netWorth     = money(totalCash + totalInvestments - totalLiabilities);
 
+  // Per-institution breakdown (one row per linked Item)
+  const institutions = items.map((t, i) => {
+    const a = accR[i].data, l = liabR[i].data, h = invR[i].data;
+    const c = cashBalances(a?.accounts);
+    const inst = {
+      ...itemView(t),
+      ok: !!a,
+      accounts: (a?.accounts || []).length,
+      cash: c.total,
+      investments: valuePlaidHoldings(h),
+      liabilities: totalPlaidLiabilities(l),
+      asOf: {
+        accounts: plaidAsOf(a), liabilities: plaidAsOf(l), investments: plaidAsOf(h),
+        transactions: isoTime(cursors[i]?.synced_at),
+      },
+    };
+    inst.netWorth = money(inst.cash + inst.investments - inst.liabilities);
+    return inst;
+  });
+  // When each source was last fetched; for linked sources, the stalest Item
+  const asOf = {};
+  ['accounts', 'liabilities', 'investments', 'transactions'].forEach(k => { asOf[k] = oldestIso(institutions.map(x => x.asOf[k])); });
+  asOf.manualHoldings = isoTime(hDoc.updated_at);
+  asOf.manualDebts = isoTime(dDoc.updated_at);
+
   return {
     linked,
     userId,
+    items: items.map(itemView),
+    institutions,
     accounts: accounts.map(a => ({
       account_id: a.account_id,
+      item_id: a.item_id,
       name: a.name || a.official_name || 'Account',
       mask: a.mask || '',
       type: a.type,
@@ -362,7 +1422,8 @@ async function buildSummary(userId='default') {
       current: a.balances?.current ?? null,
       currency: a.balances?.iso_currency_code || a.balances?.unofficial_currency_code || 'USD'
     })),
-    manual: { holdings: mh || null, debts: md || null },
+    manual: { holdings: mh.data || null, debts: md || null },
+    asOf,
     kpis: {
       netWorth,
       totalCash,
@@ -380,442 +1441,2176 @@ async function buildSummary(userId='default') {
   };
 }
 
-// ----------------------- AI (JAMARI Fusion) ---------------
-function withTimeout(promise, ms=14000) {
-  return Promise.race([
-    promise,
-    new Promise((_, reject) => setTimeout(()=>reject(new Error('TIMEOUT')), ms))
+// ----------------------- Debt payoff planner -------------
+// The user's Plaid liabilities and manual debts as one list, planned by lib/debt-plan.js.
+const { plaidDebts, manualDebtList, prepareDebts, simulatePayoff, planDebts } = require('./lib/debt-plan');
+
+async function normalizedDebts(userId) {
+  const items = await itemsForUser(userId);
+  const [liabR, md] = await Promise.all([
+    fanOut(items, t => getLiabilities(t)),
+    getManualDebts(userId),
   ]);
+  return prepareDebts(plaidDebts(mergeLiabilities(liabR)).concat(manualDebtList(md)));
 }
-async function askOpenAI(prompt, system) {
-  if (!OPENAI_API_KEY) return null;
-  try {
-    const r = await withTimeout(fetch('https://api.openai.com/v1/chat/completions', {
-      method:'POST',
-      headers:{ 'Authorization': `Bearer ${OPENAI_API_KEY}`, 'Content-Type':'application/json' },
-      body: JSON.stringify({ model: OPENAI_MODEL, temperature: 0.3, messages: [
-        { role:'system', content: system }, { role:'user', content: prompt }
-      ]})
-    }));
-    const j = await r.json();
-    const text = j?.choices?.[0]?.message?.content?.trim();
-    return text || null;
-  } catch { return null; }
+async function debtPlan(userId, opts) {
+  return planDebts(await normalizedDebts(userId), opts);
 }
-async function askAnthropic(prompt, system) {
-  if (!ANTHROPIC_API_KEY) return null;
-  try {
-    const r = await withTimeout(fetch('https://api.anthropic.com/v1/messages', {
-      method:'POST',
-      headers:{ 'x-api-key': ANTHROPIC_API_KEY, 'anthropic-version': '2023-06-01', 'Content-Type':'application/json' },
-      body: JSON.stringify({ model: ANTHROPIC_MODEL, max_tokens: 1024, system, messages: [{ role:'user', content:[{ type:'text', text: prompt }] }] })
-    }));
-    const j = await r.json();
-    const text = j?.content?.[0]?.text?.trim();
-    return text || null;
-  } catch { return null; }
+
+// ----------------------- Item health ---------------------
+// One row per Item, driven by ITEM/HOLDINGS/LIABILITIES webhooks; the frontend polls it to prompt relinks.
+const ITEM_STATUS_FIELDS = [
+  'status','needs_relink','error_code','error_message','consent_expiration_time',
+  'new_accounts_available','last_webhook','holdings_updated_at','liabilities_updated_at'
+];
+function defaultItemStatus(itemId, userId) {
+  return {
+    item_id: itemId, user_id: userId, status: 'healthy', needs_relink: false,
+    error_code: null, error_message: null, consent_expiration_time: null,
+    new_accounts_available: false, last_webhook: null,
+    holdings_updated_at: null, liabilities_updated_at: null, updated_at: null,
+  };
+}
+async function getItemStatus(itemId, userId) {
+  return (await store.get('item_status', { item_id: itemId })) || defaultItemStatus(itemId, userId);
+}
+async function setItemStatus(itemId, userId, patch) {
+  const next = { ...(await getItemStatus(itemId, userId)), ...patch, user_id: userId, updated_at: new Date().toISOString() };
+  const row = { item_id: itemId, user_id: userId, updated_at: next.updated_at };
+  ITEM_STATUS_FIELDS.forEach(c => { row[c] = next[c] ?? null; });
+  await store.upsert('item_status', row);
+  return next;
+}
+async function clearItemStatus(userId, itemId) {
+  await store.remove('item_status', itemId ? { item_id: itemId } : { user_id: userId });
 }
-async function askGemini(prompt, system) {
-  if (!GEMINI_API_KEY) return null;
+function itemStatusView(st) {
+  const out = {};
+  ['item_id', ...ITEM_STATUS_FIELDS, 'updated_at'].forEach(k => { out[k] = st[k] ?? null; });
+  out.needs_relink = !!st.needs_relink;
+  out.new_accounts_available = !!st.new_accounts_available;
+  return out;
+}
+// Which user owns an Item (webhooks only carry item_id)
+async function ownerOfItem(itemId) {
+  const row = (await store.find('tokens', { item_id: itemId }, { orderBy: [['created_at', 'desc']], limit: 1 }))[0];
+  return row ? openTokenRow(row.user_id, row) : null;
+}
+// A read or sync that Plaid refused for login reasons flags the Item like an ITEM.ERROR webhook would
+async function noteItemError(itemId, err) {
+  if (err?.error !== 'ITEM_RELINK_REQUIRED') return;
+  const owner = await ownerOfItem(itemId);
+  if (!owner) return;
+  const code = err.plaid?.error_code || 'ITEM_LOGIN_REQUIRED';
+  await setItemStatus(itemId, owner.user_id, {
+    status: code === 'ITEM_LOGIN_REQUIRED' ? 'login_required' : 'error',
+    needs_relink: true, error_code: code, error_message: err.plaid?.error_message || null,
+  });
+}
+
+// ----------------------- Webhooks (verify + dispatch) -----
+// Plaid signs each webhook with an ES256 JWT in the Plaid-Verification header.
+// The JWT's request_body_sha256 claim must match the raw body we received.
+const webhookKeyCache = new Map(); // kid -> { key: JWK | null (or the lookup in flight), expires }
+const WEBHOOK_KEY_CACHE_MAX = 500;
+const PLAID_KEY_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+function localWebhookKeys() {
+  if (!process.env.PLAID_WEBHOOK_KEYS) return [];
   try {
-    const r = await withTimeout(fetch(
-      `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(GEMINI_MODEL)}:generateContent?key=${encodeURIComponent(GEMINI_API_KEY)}`,
-      {
-        method:'POST',
-        headers:{ 'Content-Type':'application/json' },
-        body: JSON.stringify({
-          contents: [{ parts: [{ text: `${system}\n\n${prompt}` }]}],
-          generationConfig: { temperature: 0.3, maxOutputTokens: 1024 }
-        })
-      }
-    ));
-    const j = await r.json();
-    const text = j?.candidates?.[0]?.content?.parts?.map(p=>p.text).join(' ').trim();
-    return text || null;
-  } catch { return null; }
-}
-function fuseReplies(replies) {
-  const texts = replies.filter(Boolean).map(s => String(s).trim()).filter(Boolean);
-  if (!texts.length) return "I'm ready, but no AI providers responded. Check your AI keys.";
-  const first = texts[0];
-  const seen = new Set(first.split(/(?<=\.)\s+/).map(s=>s.trim().toLowerCase()));
-  let extra = [];
-  for (let i=1;i<texts.length;i++){
-    const parts = texts[i].split(/(?<=\.)\s+/);
-    for (const p of parts){
-      const k = p.trim().toLowerCase();
-      if (k && !seen.has(k)) { extra.push(p.trim()); if (extra.length>=3) break; }
-    }
-    if (extra.length>=3) break;
+    const v = JSON.parse(process.env.PLAID_WEBHOOK_KEYS);
+    return Array.isArray(v) ? v : (Array.isArray(v.keys) ? v.keys : [v]);
+  } catch (e) {
+    console.error('PLAID_WEBHOOK_KEYS is not valid JSON');
+    return [];
   }
-  return [first, ...extra].join(' ');
 }
+// Unsigned callers choose the kid, so only Plaid-shaped ids are looked up, and each at most once per TTL
+async function webhookKey(kid) {
+  const local = localWebhookKeys().find(k => k.kid === kid);
+  if (local) return local;
+  if (typeof kid !== 'string' || !PLAID_KEY_ID.test(kid)) return null;
+  const cached = webhookKeyCache.get(kid);
+  if (cached && cached.expires > Date.now()) return cached.key;
 
-// ----------------------- HTTP Server ---------------------
-const server = http.createServer(async (req, res) => {
-  cors(res);
-  if (req.method === 'OPTIONS') { res.writeHead(204); return res.end(); }
+  const lookup = plaidPost('/webhook_verification_key/get', { key_id: kid }).then(out => out?.key || null, e => {
+    console.error('webhook key lookup failed:', { kid, error: e?.error || e?.message || String(e) });
+    return null;
+  });
+  const remember = (key, ttlS) => {
+    webhookKeyCache.delete(kid);
+    webhookKeyCache.set(kid, { key, expires: Date.now() + ttlS * 1000 });
+    if (webhookKeyCache.size > WEBHOOK_KEY_CACHE_MAX) webhookKeyCache.delete(webhookKeyCache.keys().next().value);
+  };
+  remember(lookup, WEBHOOK_KEY_MISS_TTL_S); // concurrent webhooks with this kid share the lookup
+  const key = await lookup;
+  remember(key, key ? WEBHOOK_KEY_TTL_S : WEBHOOK_KEY_MISS_TTL_S);
+  return key;
+}
+function b64urlJSON(part) {
+  return JSON.parse(Buffer.from(part, 'base64url').toString('utf8'));
+}
+async function verifyPlaidWebhook(rawBody, jwt) {
+  if (!jwt) return { ok:false, reason:'MISSING_SIGNATURE' };
+  const parts = String(jwt).split('.');
+  if (parts.length !== 3) return { ok:false, reason:'MALFORMED_JWT' };
+  let header, payload;
+  try { header = b64urlJSON(parts[0]); payload = b64urlJSON(parts[1]); }
+  catch { return { ok:false, reason:'MALFORMED_JWT' }; }
+  if (header.alg !== 'ES256') return { ok:false, reason:'UNSUPPORTED_ALG' };
 
-  const parsed = url.parse(req.url, true);
-  const path   = parsed.pathname;
+  let jwk;
+  try { jwk = await webhookKey(header.kid); } catch { jwk = null; }
+  if (!jwk) return { ok:false, reason:'UNKNOWN_KEY' };
+  if (jwk.expired_at) return { ok:false, reason:'EXPIRED_KEY' };
 
+  let valid = false;
   try {
-    // Health
-    if (req.method === 'GET' && path === '/') {
-      return json(res, 200, { ok:true, env: PLAID_ENV, countries: COUNTRY_CODES });
-    }
-    if (req.method === 'GET' && path === '/ping') {
-      return json(res, 200, { ok:true, env: PLAID_ENV });
-    }
+    const key = crypto.createPublicKey({ key: { kty: jwk.kty, crv: jwk.crv, x: jwk.x, y: jwk.y }, format: 'jwk' });
+    valid = crypto.verify('sha256', Buffer.from(`${parts[0]}.${parts[1]}`),
+      { key, dsaEncoding: 'ieee-p1363' }, Buffer.from(parts[2], 'base64url'));
+  } catch { valid = false; }
+  if (!valid) return { ok:false, reason:'BAD_SIGNATURE' };
 
-    // ----- Plaid: create Link token -----
-    if (req.method === 'POST' && path === '/plaid/link_token/create') {
-      const body = await readJSON(req);
-      const userId = body.userId || body.user_id || 'default';
-      const baseReq = {
-        user: { client_user_id: userId },
-        client_name: 'ACTIV',
-        language: 'en',
-        country_codes: COUNTRY_CODES,
-      };
-      if (PLAID_REDIRECT_URI) baseReq.redirect_uri = PLAID_REDIRECT_URI;
-      if (WEBHOOK_URL) baseReq.webhook = WEBHOOK_URL;
-
-      return safePlaid(res, async () => {
-        const data = await linkTokenCreateSmart(baseReq, body.products || PREFERRED_PRODUCTS);
-        json(res, 200, {
-          link_token: data.link_token,
-          expiration: data.expiration,
-          userId,
-          products_used: data.products_used
-        });
+  if (!payload.iat || Math.abs(Date.now() / 1000 - payload.iat) > WEBHOOK_MAX_AGE_S) {
+    return { ok:false, reason:'STALE_WEBHOOK' };
+  }
+  const digest   = crypto.createHash('sha256').update(rawBody, 'utf8').digest('hex');
+  const expected = String(payload.request_body_sha256 || '');
+  if (expected.length !== digest.length ||
+      !crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(digest))) {
+    return { ok:false, reason:'BODY_MISMATCH' };
+  }
+  return { ok:true };
+}
+
+const ITEM_RELINK_CODES = new Set(['ITEM_LOGIN_REQUIRED','PENDING_EXPIRATION','USER_PERMISSION_REVOKED','ACCESS_NOT_GRANTED']);
+const webhookHandlers = {
+  TRANSACTIONS: {
+    async SYNC_UPDATES_AVAILABLE(evt, owner) {
+      return syncItemTransactions(owner.user_id, owner);
+    },
+    // Legacy /transactions/get webhooks: the ledger syncs on any of them
+    async DEFAULT_UPDATE(evt, owner)    { return syncItemTransactions(owner.user_id, owner); },
+    async INITIAL_UPDATE(evt, owner)    { return syncItemTransactions(owner.user_id, owner); },
+    async HISTORICAL_UPDATE(evt, owner) { return syncItemTransactions(owner.user_id, owner); },
+    async TRANSACTIONS_REMOVED(evt, owner) {
+      return deleteTransactions(owner.user_id, evt.removed_transactions || []);
+    },
+  },
+  ITEM: {
+    async ERROR(evt, owner) {
+      const code = evt.error?.error_code || 'ITEM_ERROR';
+      return setItemStatus(owner.item_id, owner.user_id, {
+        status: code === 'ITEM_LOGIN_REQUIRED' ? 'login_required' : 'error',
+        needs_relink: ITEM_RELINK_CODES.has(code),
+        error_code: code,
+        error_message: evt.error?.error_message || null,
+      });
+    },
+    async PENDING_EXPIRATION(evt, owner) {
+      return setItemStatus(owner.item_id, owner.user_id, {
+        status: 'pending_expiration', needs_relink: true,
+        consent_expiration_time: evt.consent_expiration_time || null,
+      });
+    },
+    async USER_PERMISSION_REVOKED(evt, owner) {
+      return setItemStatus(owner.item_id, owner.user_id, {
+        status: 'revoked', needs_relink: true,
+        error_code: evt.error?.error_code || 'USER_PERMISSION_REVOKED',
+        error_message: evt.error?.error_message || null,
       });
+    },
+    async LOGIN_REPAIRED(evt, owner) {
+      return setItemStatus(owner.item_id, owner.user_id, {
+        status: 'healthy', needs_relink: false, error_code: null, error_message: null,
+        consent_expiration_time: null,
+      });
+    },
+    async NEW_ACCOUNTS_AVAILABLE(evt, owner) {
+      return setItemStatus(owner.item_id, owner.user_id, { new_accounts_available: true });
+    },
+  },
+  HOLDINGS: {
+    async DEFAULT_UPDATE(evt, owner) {
+      return setItemStatus(owner.item_id, owner.user_id, { holdings_updated_at: new Date().toISOString() });
+    },
+  },
+  LIABILITIES: {
+    async DEFAULT_UPDATE(evt, owner) {
+      return setItemStatus(owner.item_id, owner.user_id, { liabilities_updated_at: new Date().toISOString() });
+    },
+  },
+};
+// Cached Plaid reads each webhook type makes stale; ITEM and unknown types drop the whole Item
+const WEBHOOK_STALE = {
+  TRANSACTIONS: ['transactions', 'balance'],
+  HOLDINGS: ['investments'],
+  INVESTMENTS_TRANSACTIONS: ['investment_transactions', 'investments'],
+  LIABILITIES: ['liabilities'],
+};
+async function dispatchWebhook(evt) {
+  const type = evt.webhook_type, code = evt.webhook_code;
+  invalidatePlaidCache(evt.item_id, WEBHOOK_STALE[type]);
+  const handler = webhookHandlers[type]?.[code];
+  if (!handler) return { handled:false, reason:'UNHANDLED_EVENT' };
+  const owner = evt.item_id ? await ownerOfItem(evt.item_id) : null;
+  if (!owner) return { handled:false, reason:'UNKNOWN_ITEM' };
+  await setItemStatus(owner.item_id, owner.user_id, { last_webhook: `${type}.${code}` });
+  await handler(evt, owner);
+  return { handled:true };
+}
+
+// ----------------------- KPI snapshots -------------------
+// One row per user per day (last write of the day wins) so /summary/history can chart trends.
+const SNAPSHOT_KPIS = ['netWorth','totalCash','totalInvestments','totalLiabilities','savingsRate','runwayMonths'];
+
+async function saveSnapshot(userId, summary) {
+  const kpis = {};
+  SNAPSHOT_KPIS.forEach(k => { kpis[k] = +summary.kpis?.[k] || 0; });
+  const snap = { date: daysAgo(0), taken_at: new Date().toISOString(), kpis };
+  await store.upsert('kpi_snapshots', { user_id: userId, ...snap });
+  return snap;
+}
+async function listSnapshots(userId, from, to) {
+  const rows = await store.find('kpi_snapshots', { user_id: userId, date: { gte: from, lte: to } }, { orderBy: [['date', 'asc']] });
+  return rows.map(r => ({ date: r.date, taken_at: r.taken_at, kpis: r.kpis }));
+}
+// Bucket key for a YYYY-MM-DD date: day, ISO-ish week (Monday start) or month
+function periodKey(date, interval) {
+  if (interval === 'month') return date.slice(0, 7);
+  if (interval === 'week') {
+    const d = new Date(date + 'T00:00:00Z');
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+    return d.toISOString().slice(0, 10);
+  }
+  return date;
+}
+function pctChange(from, to) { return from ? money((to - from) / Math.abs(from)) : null; }
+async function kpiHistory(userId, { from, to, interval }) {
+  interval = ['day','week','month'].includes(interval) ? interval : 'day';
+  to   = /^\d{4}-\d{2}-\d{2}$/.test(to || '') ? to : daysAgo(0);
+  from = /^\d{4}-\d{2}-\d{2}$/.test(from || '') ? from : daysAgo(90);
+  const snaps = await listSnapshots(userId, from, to);
+
+  // Latest snapshot inside each bucket represents that period
+  const buckets = new Map();
+  snaps.forEach(s => buckets.set(periodKey(s.date, interval), s));
+  const points = [];
+  for (const [period, s] of buckets) {
+    const prev = points[points.length - 1];
+    const delta = {};
+    SNAPSHOT_KPIS.forEach(k => { delta[k] = prev ? money(s.kpis[k] - prev.kpis[k]) : null; });
+    points.push({ period, date: s.date, kpis: s.kpis, delta });
+  }
+
+  const first = points[0], last = points[points.length - 1];
+  const change = {};
+  SNAPSHOT_KPIS.forEach(k => {
+    change[k] = first ? {
+      start: first.kpis[k], end: last.kpis[k],
+      abs: money(last.kpis[k] - first.kpis[k]), pct: pctChange(first.kpis[k], last.kpis[k]),
+    } : null;
+  });
+  return { from, to, interval, points, change };
+}
+// Every user we hold data for (linked Items or manual data)
+async function knownUsers() {
+  const ids = new Set();
+  for (const table of ['tokens', 'manual_holdings', 'manual_debts']) {
+    (await store.find(table)).forEach(r => ids.add(r.user_id));
+  }
+  return Array.from(ids);
+}
+let snapshotRunning = false;
+async function runDailySnapshots() {
+  if (snapshotRunning || new Date().getUTCHours() < SNAPSHOT_HOUR) return;
+  snapshotRunning = true;
+  const today = daysAgo(0);
+  let taken = 0;
+  try {
+    for (const userId of await knownUsers()) {
+      const done = await listSnapshots(userId, today, today);
+      if (done.length) continue;
+      try { await saveSnapshot(userId, await buildSummary(userId)); taken++; }
+      catch (e) { console.error('snapshot error', userId, e?.message || e); }
     }
+    if (taken) console.log(`daily snapshots: ${taken} taken`);
+  } finally { snapshotRunning = false; }
+}
 
-    // ----- Plaid: update Link token to add investments to existing Item -----
-    if (req.method === 'POST' && path === '/plaid/link_token/update') {
-      const body = await readJSON(req);
-      const userId = body.userId || 'default';
-      const access_token = await latestTokenForUser(userId);
-      if (!access_token) return json(res, 400, { error: 'NO_ACCESS_TOKEN' });
-
-      return safePlaid(res, async () => {
-        const reqBody = {
-          access_token,
-          user: { client_user_id: userId },
-          products: ['investments'],
-          client_name: 'ACTIV',
-          language: 'en',
-          country_codes: COUNTRY_CODES,
+// ----------------------- Family (households) -------------
+// Households, invites and sharing live in lib/households.js; invite codes expire after
+// FAMILY_INVITE_TTL_H hours and /family/summary adds up the members' own summaries.
+const { sharingColumns, inviteView, createHouseholds } = require('./lib/households');
+const FAMILY_INVITE_TTL_H = +process.env.FAMILY_INVITE_TTL_H || 72;
+const {
+  membershipOf, householdView, requireRole,
+  createInvite, acceptInvite, setMemberRole, removeMember, removeFromHousehold, familySummary,
+} = createHouseholds({ store, inviteTtlH: FAMILY_INVITE_TTL_H, summaryOf: buildSummary });
+
+// ----------------------- Book retrieval ------------------
+// BM25 index over BOOKS_DIR/*.txt, built on first use (or at startup) and rebuilt by
+// POST /admin/books/reindex after books are added. Lives in memory only.
+const retrieval = require('./lib/retrieval');
+let bookIndex = null;       // { index, books, passages, builtAt, ms }
+let bookIndexing = null;
+
+function bookTitle(file) {
+  const small = new Set(['a', 'an', 'and', 'for', 'of', 'the', 'to', 'your']);
+  return file.replace(/\.txt$/i, '').split(/[\s_-]+/).filter(Boolean)
+    .map((w, i) => (i && small.has(w.toLowerCase()) ? w.toLowerCase() : w[0].toUpperCase() + w.slice(1)))
+    .join(' ');
+}
+async function buildBookIndex() {
+  const fs = require('fs');
+  const dir = require('path').resolve(__dirname, BOOKS_DIR);
+  const started = Date.now();
+  const files = fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => /\.txt$/i.test(f)).sort() : [];
+  const docs = await Promise.all(files.map(async f => ({
+    book: f, title: bookTitle(f), text: await fs.promises.readFile(require('path').join(dir, f), 'utf8'),
+  })));
+  const index = retrieval.buildIndex(docs);
+  const counts = new Map();
+  index.chunks.forEach(c => counts.set(c.book, (counts.get(c.book) || 0) + 1));
+  bookIndex = {
+    index,
+    books: docs.map(d => ({ book: d.book, title: d.title, passages: counts.get(d.book) || 0 })),
+    passages: index.chunks.length,
+    builtAt: new Date().toISOString(),
+    ms: Date.now() - started,
+  };
+  return bookIndex;
+}
+// Concurrent callers share one build
+async function reindexBooks() {
+  if (!bookIndexing) bookIndexing = buildBookIndex().finally(() => { bookIndexing = null; });
+  return bookIndexing;
+}
+function bookIndexStats(b) {
+  return { books: b.books, passages: b.passages, builtAt: b.builtAt, ms: b.ms };
+}
+async function searchBooks(query, k = RAG_TOP_K) {
+  if (!k) return [];
+  const b = bookIndex || await reindexBooks();
+  return retrieval.search(b.index, query, { k, minScore: RAG_MIN_SCORE });
+}
+// Numbered reference block for the prompt + the citations returned to the client
+function bookContext(passages) {
+  if (!passages.length) return { text: '', citations: [] };
+  const clip = (t, n) => (t.length > n ? t.slice(0, n).replace(/\s+\S*$/, '') + '…' : t);
+  const text = [
+    'Reference passages (cite as [n] when you use one):',
+    ...passages.map((p, i) => `[${i + 1}] ${p.title}, passage ${p.passage}: "${clip(p.text, 900)}"`),
+  ].join('\n');
+  const citations = passages.map((p, i) => ({
+    n: i + 1, book: p.book, title: p.title, passage: p.passage, score: p.score, excerpt: clip(p.text, 240),
+  }));
+  return { text, citations };
+}
+
+// ----------------------- JAMARI tools --------------------
+// Server-side functions the providers can call mid-reply. Arguments are checked with
+// validateSchema; results are plain JSON kept small enough to go back into the prompt.
+const DATE_SCHEMA = { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'YYYY-MM-DD' };
+const JAMARI_TOOLS = [
+  {
+    name: 'search_transactions',
+    description: 'Search the user\'s transactions. Positive amounts are spending, negative are income/refunds. ' +
+      'Categories are Plaid primary categories such as FOOD_AND_DRINK, GENERAL_MERCHANDISE, TRANSPORTATION, ' +
+      'RENT_AND_UTILITIES, ENTERTAINMENT, INCOME. Returns totals, per-category spend and the newest matches.',
+    parameters: {
+      type: 'object',
+      properties: {
+        query:      { type: 'string', maxLength: 100, description: 'Text to find in the merchant or description' },
+        category:   { type: 'string', maxLength: 64 },
+        start_date: DATE_SCHEMA,
+        end_date:   DATE_SCHEMA,
+        min_amount: { type: 'number' },
+        max_amount: { type: 'number' },
+        limit:      { type: 'integer', minimum: 1, maximum: 25, description: 'Transactions to list (default 10)' },
+      },
+    },
+    async run(userId, a) {
+      const f = { q: a.query, category: a.category, start: a.start_date, end: a.end_date, min_amount: a.min_amount, max_amount: a.max_amount };
+      const page = await queryTransactions(userId, { ...f, limit: 500 });
+      const txs = page.transactions;
+      return {
+        matched: page.total,
+        totals_cover: txs.length,
+        spent: money(sum(txs.filter(t => t.amount > 0).map(t => t.amount))),
+        received: money(sum(txs.filter(t => t.amount < 0).map(t => -t.amount))),
+        spend_by_category: spendByCategory(txs),
+        transactions: txs.slice(0, a.limit || 10).map(t => ({
+          date: t.date, name: t.merchant_name || t.name, amount: t.amount, category: t.category, pending: t.pending,
+        })),
+      };
+    },
+  },
+  {
+    name: 'get_liabilities',
+    description: 'List the user\'s debts (linked and manual) with balance, APR %, minimum payment and due date.',
+    parameters: { type: 'object', properties: {} },
+    async run(userId) {
+      const debts = await normalizedDebts(userId);
+      return {
+        total_balance: money(sum(debts.map(d => d.balance))),
+        total_minimums: money(sum(debts.map(d => d.minPayment))),
+        debts: debts.map(d => ({
+          id: d.id, name: d.name, type: d.type, source: d.source, balance: d.balance, apr: d.apr,
+          apr_unknown: d.aprMissing, min_payment: d.minPayment, min_payment_estimated: d.minPaymentEstimated, due_date: d.dueDate,
+        })),
+      };
+    },
+  },
+  {
+    name: 'get_holdings',
+    description: 'Break down the user\'s investments (linked and manual) by position, account and security type.',
+    parameters: {
+      type: 'object',
+      properties: { limit: { type: 'integer', minimum: 1, maximum: 50, description: 'Positions to list (default 15)' } },
+    },
+    async run(userId, a) {
+      const items = await itemsForUser(userId);
+      const [invR, mh] = await Promise.all([
+        fanOut(items, t => getInvestmentsHoldings(t)),
+        pricedManualHoldings(userId),
+      ]);
+      const inv = mergeItemResults(invR, ['holdings', 'securities', 'accounts'], { securities: 'security_id', accounts: 'account_id' });
+      const secs = new Map((inv.securities || []).map(x => [x.security_id, x]));
+      const accts = new Map((inv.accounts || []).map(x => [x.account_id, x]));
+      const positions = (inv.holdings || []).map(h => {
+        const sec = secs.get(h.security_id) || {};
+        const price = +(sec.close_price ?? sec.price ?? 0) || 0;
+        return {
+          source: 'plaid', account: accts.get(h.account_id)?.name || null,
+          symbol: sec.ticker_symbol || null, name: sec.name || null, type: sec.type || null,
+          quantity: +h.quantity || 0,
+          value: money(typeof h.institution_value === 'number' ? h.institution_value : (+h.quantity || 0) * price),
         };
-        if (PLAID_REDIRECT_URI) reqBody.redirect_uri = PLAID_REDIRECT_URI;
-        const out = await plaidPost('/link/token/create', reqBody); // update mode (has access_token)
-        json(res, 200, { link_token: out.link_token, expiration: out.expiration });
       });
-    }
+      let manualCash = 0;
+      for (const acct of mh.data?.accounts || []) {
+        manualCash += +acct.cash || 0;
+        for (const h of acct.holdings || []) {
+          positions.push({
+            source: 'manual', account: acct.name || null, symbol: holdingSymbol(h) || null, name: h.name || null,
+            type: h.type || null, quantity: +h.quantity || 0, value: h.marketValue,
+          });
+        }
+      }
+      const total = money(sum(positions.map(p => p.value)) + manualCash);
+      const byType = {};
+      positions.forEach(p => { byType[p.type || 'unknown'] = money((byType[p.type || 'unknown'] || 0) + p.value); });
+      return {
+        total,
+        manual_cash: money(manualCash),
+        by_type: byType,
+        positions: positions.sort((x, y) => y.value - x.value).slice(0, a.limit || 15)
+          .map(p => ({ ...p, weight_pct: total ? money(p.value / total * 100) : 0 })),
+        position_count: positions.length,
+      };
+    },
+  },
+  {
+    name: 'project_runway',
+    description: 'How many months the user\'s cash lasts, now and under a what-if: change in monthly spend or income, ' +
+      'and/or a one-time expense paid from cash.',
+    parameters: {
+      type: 'object',
+      properties: {
+        monthly_spend_change:  { type: 'number', description: 'Added (negative: cut) monthly spending' },
+        monthly_income_change: { type: 'number', description: 'Added (negative: lost) monthly income' },
+        one_time_expense:      { type: 'number', minimum: 0 },
+      },
+    },
+    async run(userId, a) {
+      const k = (await buildSummary(userId)).kpis;
+      const project = (cash, spend, income) => {
+        const burn = spend - income;
+        return {
+          cash: money(cash), monthly_spend: money(spend), monthly_income: money(income),
+          runway_months: spend > 0 ? money(cash / spend) : null,                     // no income at all
+          months_until_cash_runs_out: burn > 0 ? money(Math.max(0, cash) / burn) : null, // null: not burning cash
+        };
+      };
+      const baseline = project(k.totalCash, k.monthlySpend, k.income30);
+      const scenario = project(
+        k.totalCash - (a.one_time_expense || 0),
+        Math.max(0, k.monthlySpend + (a.monthly_spend_change || 0)),
+        Math.max(0, k.income30 + (a.monthly_income_change || 0)),
+      );
+      return { baseline, scenario, note: 'Spend and income are the last 30 days; cash is linked depository balances.' };
+    },
+  },
+  {
+    name: 'debt_payoff_what_if',
+    description: 'Simulate paying extra each month toward debts. With debt_id (from get_liabilities) or debt_name the ' +
+      'extra goes to that debt first; otherwise it follows the strategy. Compares against minimum payments only.',
+    parameters: {
+      type: 'object',
+      required: ['extra_monthly_payment'],
+      properties: {
+        extra_monthly_payment: { type: 'number', minimum: 0 },
+        debt_id:   { type: 'string', maxLength: 120 },
+        debt_name: { type: 'string', maxLength: 120 },
+        strategy:  { type: 'string', enum: ['avalanche', 'snowball'] },
+      },
+    },
+    async run(userId, a) {
+      const debts = await normalizedDebts(userId);
+      if (!debts.length) return { error: 'NO_DEBTS' };
+      const name = (a.debt_name || '').toLowerCase();
+      const target = a.debt_id || name
+        ? debts.find(d => d.id === a.debt_id || (name && d.name.toLowerCase().includes(name)))
+        : null;
+      if ((a.debt_id || name) && !target) return { error: 'DEBT_NOT_FOUND', debts: debts.map(d => ({ id: d.id, name: d.name })) };
+      const opts = target ? { strategy: 'custom', order: [target.id] } : { strategy: a.strategy || 'avalanche' };
+      const view = plan => {
+        const t = target && plan.debts.find(d => d.id === target.id);
+        return {
+          paid_off: plan.paidOff, months: plan.months, payoff_date: plan.payoffDate, total_interest: plan.totalInterest,
+          ...(t ? { target_payoff_date: t.payoffDate, target_months: t.payoffMonth, target_interest: t.totalInterest } : {}),
+        };
+      };
+      const base = simulatePayoff(debts, { strategy: 'minimum' });
+      const what = simulatePayoff(debts, { ...opts, extra: a.extra_monthly_payment });
+      const diff = (x, y) => (x != null && y != null ? money(x - y) : null);
+      return {
+        target: target ? { id: target.id, name: target.name, balance: target.balance, apr: target.apr } : null,
+        strategy: opts.strategy,
+        minimums_only: view(base),
+        with_extra: view(what),
+        months_saved: diff(base.months, what.months),
+        interest_saved: diff(base.totalInterest, what.totalInterest),
+        ...(target ? { target_months_saved: diff(view(base).target_months, view(what).target_months) } : {}),
+      };
+    },
+  },
+];
 
-    // ----- Plaid: exchange public_token -----
-    if (req.method === 'POST' && path === '/plaid/exchange_public_token') {
-      const body = await readJSON(req);
-      const public_token = body.public_token;
-      if (!public_token) return json(res, 400, { error: 'MISSING_PUBLIC_TOKEN' });
-      const userId = body.userId || 'default';
-
-      return safePlaid(res, async () => {
-        const data = await plaidPost('/item/public_token/exchange', { public_token });
-        await storeToken(userId, data.access_token, data.item_id);
-        json(res, 200, { item_id: data.item_id, stored_for_user: userId });
-      });
-    }
+// One per reply. Identical calls are shared across providers; every call lands in `trace`
+// as { provider, tool, args, ok, ms, error? } and is passed to onCall. With privacy, the
+// result the provider sees is redacted.
+function jamariToolbox(userId, { onCall, privacy } = {}) {
+  const trace = [];
+  const memo = new Map();
+  const calls = new Map();
+  const specs = JAMARI_TOOLS.map(({ name, description, parameters }) => ({ name, description, parameters }));
+  const forProvider = provider => ({
+    specs,
+    async call(name, raw) {
+      const started = Date.now();
+      const tool = JAMARI_TOOLS.find(t => t.name === name);
+      const args = parseToolArgs(raw);
+      let result;
+      if (!tool) result = { error: 'UNKNOWN_TOOL' };
+      else if (!args || typeof args !== 'object' || Array.isArray(args)) result = { error: 'INVALID_ARGUMENTS' };
+      else if ((calls.get(provider) || 0) >= JAMARI_TOOL_MAX_CALLS) result = { error: 'TOOL_CALL_LIMIT' };
+      if (!result) {
+        calls.set(provider, (calls.get(provider) || 0) + 1);
+        const fields = validateSchema(args, tool.parameters);
+        if (fields.length) result = { error: 'INVALID_ARGUMENTS', fields };
+      }
+      if (!result) {
+        const key = `${name}:${JSON.stringify(args)}`;
+        if (!memo.has(key)) {
+          memo.set(key, tool.run(userId, args).catch(e => {
+            console.error(`jamari tool ${name} error`, e);
+            return { error: 'TOOL_FAILED' };
+          }));
+        }
+        result = await memo.get(key);
+      }
+      const entry = { provider, tool: name, args: args || raw, ok: !result.error, ms: Date.now() - started, ...(result.error ? { error: result.error } : {}) };
+      trace.push(entry);
+      onCall?.(entry);
+      return privacy ? privacy.value(result) : result;
+    },
+  });
+  return { trace, forProvider };
+}
 
-    // ----- Plaid: accounts/balances -----
-    if (req.method === 'GET' && (path === '/plaid/accounts' || path === '/plaid/balances')) {
-      const userId = (parsed.query.userId || 'default').toString();
-      const token = await latestTokenForUser(userId);
-      if (!token) return json(res, 401, { error: 'NO_LINKED_ITEM_FOR_USER' });
-      return safePlaid(res, async () => {
-        const data = await plaidPost('/accounts/balance/get', { access_token: token });
-        json(res, 200, data);
-      });
-    }
+// ----------------------- JAMARI rule-based fallback -------
+// The "rules" provider: no model, so it works offline and gives the same reply for the same data.
+// It picks a topic from keywords and answers from the live KPIs (opts.facts) and the tools.
+const RULE_TOPICS = [
+  ['debt',      /\b(debts?|loans?|credit ?cards?|apr|interest|pay ?off|payoff|owe|mortgage)\b/i],
+  ['runway',    /\b(runway|emergency|buffer|afford|last|lose my job|rainy)\b/i],
+  ['spending',  /\b(spend\w*|spent|budget\w*|expenses?|groceries|restaurants?|shopping|subscriptions?)\b/i],
+  ['investing', /\b(invest\w*|portfolio|stocks?|etfs?|holdings?|retire\w*|401k|ira|crypto)\b/i],
+];
+const usd = n => `${n < 0 ? '-' : ''}$${Math.abs(Math.round(+n || 0)).toLocaleString('en-US')}`;
+const categoryLabel = c => String(c || 'other').toLowerCase().replace(/_/g, ' ');
 
-    // ----- Plaid: transactions (range) -----
-    if (req.method === 'GET' && path === '/plaid/transactions') {
-      const userId = (parsed.query.userId || 'default').toString();
-      const token = await latestTokenForUser(userId);
-      if (!token) return json(res, 401, { error: 'NO_LINKED_ITEM_FOR_USER' });
-      const end   = (parsed.query.end || daysAgo(0));
-      const start = (parsed.query.start || daysAgo(30));
-      return safePlaid(res, async () => {
-        const data = await plaidPost('/transactions/get', {
-          access_token: token, start_date: start, end_date: end, options: { count: 250, offset: 0 }
-        });
-        json(res, 200, data);
-      });
-    }
+async function rulesReply(cfg, prompt, system, { tools, facts = {} } = {}) {
+  const turns = chatTurns(prompt);
+  const message = facts.message || String(turns[turns.length - 1]?.content || '').split('\nUser: ').pop();
+  const k = facts.kpis || {};
+  const call = async (name, args = {}) => {
+    const r = tools ? await tools.call(name, args) : null;
+    return r && !r.error ? r : null;
+  };
+  const topic = (RULE_TOPICS.find(([, re]) => re.test(message)) || ['overview'])[0];
+  const out = [];
 
-    // ----- Plaid: transactions/sync -----
-    if (req.method === 'POST' && path === '/plaid/transactions/sync') {
-      const body = await readJSON(req);
-      const userId = (body.userId || 'default').toString();
-      const token = await latestTokenForUser(userId);
-      if (!token) return json(res, 401, { error: 'NO_LINKED_ITEM_FOR_USER' });
-      const cursor = body.cursor || null;
-      return safePlaid(res, async () => {
-        const data = await plaidPost('/transactions/sync', { access_token: token, cursor, count: 500 });
-        json(res, 200, data);
-      });
+  if (topic === 'debt') {
+    const l = await call('get_liabilities');
+    const debts = l?.debts || [];
+    if (l && !debts.length) out.push('You have no debts on record, so every spare dollar can go to savings and investing.');
+    else if (!l) out.push(`You owe ${usd(k.totalLiabilities)} in total. Pay every minimum, then put anything extra on the highest-APR debt first.`);
+    else {
+      const top = [...debts].sort((x, y) => (y.apr || 0) - (x.apr || 0))[0];
+      out.push(`You owe ${usd(l.total_balance)} across ${debts.length} debt${debts.length > 1 ? 's' : ''} with ${usd(l.total_minimums)}/mo in minimums.`);
+      out.push(`${top.name} has the highest rate${top.apr_unknown ? '' : ` (${top.apr}% APR)`}, so extra payments there save the most interest.`);
+      const extra = +(message.match(/\$\s?(\d[\d,]*(?:\.\d+)?)/)?.[1] || '').replace(/,/g, '');
+      const plan = extra > 0 ? await call('debt_payoff_what_if', { extra_monthly_payment: extra }) : null;
+      if (plan?.with_extra?.paid_off && plan.months_saved != null) {
+        out.push(`Paying ${usd(extra)}/mo extra clears everything in ${plan.with_extra.months} months, ${plan.months_saved} sooner, and saves ${usd(plan.interest_saved)} in interest.`);
+      }
     }
+  } else if (topic === 'runway') {
+    const months = +k.runwayMonths || 0;
+    out.push(`Your cash (${usd(k.totalCash)}) covers about ${months.toFixed(1)} months of spending at ${usd(k.monthlySpend)}/mo.`);
+    out.push(months >= 6 ? 'That is a solid buffer; cash beyond six months can work harder elsewhere.'
+      : months >= 3 ? 'That meets the usual three-month floor; keep building toward six.'
+        : 'Aim for at least three months before taking on new commitments: trim spending or route part of each paycheck to savings.');
+  } else if (topic === 'spending') {
+    out.push(`In the last 30 days you spent ${usd(k.spend30)} against ${usd(k.income30)} of income (net ${usd(k.netCashFlow)}).`);
+    const since = new Date(Date.now() - 30 * 86400000).toISOString().slice(0, 10);
+    const found = await call('search_transactions', { start_date: since, limit: 1 });
+    const top = Object.entries(found?.spend_by_category || {}).sort((x, y) => y[1] - x[1]).slice(0, 3);
+    if (top.length) out.push(`Biggest categories: ${top.map(([c, v]) => `${categoryLabel(c)} ${usd(v)}`).join(', ')}.`);
+    const over = facts.over || [];
+    if (over.length) out.push(`Over budget: ${over.map(b => `${categoryLabel(b.category)} by ${usd(b.overage)}`).join(', ')}. Start there.`);
+    else if (k.netCashFlow < 0) out.push('You are spending more than you earn; the largest category is the first place to cut.');
+  } else if (topic === 'investing') {
+    const h = await call('get_holdings', { limit: 3 });
+    out.push(`Your investments total ${usd(h ? h.total : k.totalInvestments)}.`);
+    const big = h?.positions?.find(p => p.weight_pct > 25);
+    if (big) out.push(`${big.symbol || big.name} is ${big.weight_pct}% of that; consider spreading it across broad index funds.`);
+    if ((+k.runwayMonths || 0) < 3) out.push('Build a three-month cash buffer before investing more.');
+    else out.push('Keep contributing steadily and favour low-cost, diversified funds.');
+  } else {
+    out.push(`Net worth ${usd(k.netWorth)}, cash ${usd(k.totalCash)}, debt ${usd(k.totalLiabilities)}; 30-day cash flow ${usd(k.netCashFlow)}.`);
+    if (k.netCashFlow < 0) out.push('You are spending more than you earn this month, so trimming spending comes first.');
+    else if ((+k.runwayMonths || 0) < 3) out.push('Next step: grow your cash buffer to three months of spending.');
+    else if (k.totalLiabilities > 0) out.push('Next step: put extra payments toward your highest-rate debt.');
+    else out.push('Next step: invest the surplus in diversified, low-cost funds.');
+  }
+  if (facts.citations?.length) out.push(`See [1] (${facts.citations[0].title}).`);
+  return out.join(' ');
+}
 
-    // ----- Plaid: liabilities -----
-    if (req.method === 'GET' && path === '/plaid/liabilities') {
-      const userId = (parsed.query.userId || 'default').toString();
-      const token = await latestTokenForUser(userId);
-      if (!token) return json(res, 401, { error: 'NO_LINKED_ITEM_FOR_USER' });
-      return safePlaid(res, async () => {
-        const data = await plaidPost('/liabilities/get', { access_token: token });
-        json(res, 200, data);
-      });
-    }
+// ----------------------- AI (JAMARI Fusion) ---------------
+// Providers come from lib/ai-providers.js: AI_PROVIDERS_FILE, else AI_PROVIDERS, else one per
+// *_API_KEY above. Each is { name, kind, model, weight, fallback, configured(), ask, stream };
+// fallback providers (the rule-based "rules") only answer when no model did.
+const { chatTurns, parseToolArgs, readProviderConfig, createProviders } = require('./lib/ai-providers');
+const { NO_PROVIDER_REPLY, JUDGE_SYSTEM, createBreakers, fusionExtras, fuse } = require('./lib/fusion');
 
-    // ----- Plaid: investments holdings/transactions -----
-    if (req.method === 'GET' && path === '/plaid/investments/holdings') {
-      const userId = (parsed.query.userId || 'default').toString();
-      const token = await latestTokenForUser(userId);
-      if (!token) return json(res, 401, { error: 'NO_LINKED_ITEM_FOR_USER' });
-      return safePlaid(res, async () => {
-        const data = await plaidPost('/investments/holdings/get', { access_token: token });
-        json(res, 200, data);
-      });
-    }
-    if (req.method === 'GET' && path === '/plaid/investments/transactions') {
-      const userId = (parsed.query.userId || 'default').toString();
-      const token = await latestTokenForUser(userId);
-      if (!token) return json(res, 401, { error: 'NO_LINKED_ITEM_FOR_USER' });
-      const end   = (parsed.query.end || daysAgo(0));
-      const start = (parsed.query.start || daysAgo(90));
-      return safePlaid(res, async () => {
-        const data = await plaidPost('/investments/transactions/get', {
-          access_token: token, start_date: start, end_date: end
-        });
-        json(res, 200, data);
-      });
-    }
+function providerConfig() {
+  const list = readProviderConfig({
+    file: AI_PROVIDERS_FILE && require('path').resolve(__dirname, AI_PROVIDERS_FILE),
+    json: AI_PROVIDERS_JSON,
+  }) || [
+    { name: 'openai', kind: 'openai', api_key: OPENAI_API_KEY, model: OPENAI_MODEL, ...(OPENAI_BASE_URL ? { base_url: OPENAI_BASE_URL } : {}) },
+    { name: 'anthropic', kind: 'anthropic', api_key: ANTHROPIC_API_KEY, model: ANTHROPIC_MODEL },
+    { name: 'gemini', kind: 'gemini', api_key: GEMINI_API_KEY, model: GEMINI_MODEL },
+  ];
+  if (JAMARI_FALLBACK_ON && !list.some(p => String(p?.kind).toLowerCase() === 'rules')) list.push({ name: 'rules', kind: 'rules' });
+  return list;
+}
+const AI_PROVIDERS = Object.fromEntries(createProviders(providerConfig(), {
+  defaults: {
+    temperature: AI_TEMPERATURE, max_tokens: AI_MAX_TOKENS, timeout_ms: AI_TIMEOUT_MS,
+    idle_ms: JAMARI_STREAM_IDLE_MS, tool_rounds: JAMARI_TOOL_ROUNDS,
+  },
+  kinds: { rules: { chat: rulesReply, needs_key: false, fallback: true } },
+}).map(p => [p.name, p]));
+const providerWeight = name => JAMARI_WEIGHTS[name] ?? AI_PROVIDERS[name]?.weight ?? 1;
+// Configured providers whose breaker isn't open and the user hasn't opted out of (exclude):
+// the primary first, then by weight. { fallback: true } lists the fallback providers instead of the models.
+function providerOrder({ fallback = false, exclude } = {}) {
+  const names = Object.keys(AI_PROVIDERS).filter(n =>
+    !!AI_PROVIDERS[n].fallback === fallback && AI_PROVIDERS[n].configured() && !breakerOpen(n) && !exclude?.has(n));
+  return names.sort((x, y) => (y === JAMARI_PRIMARY) - (x === JAMARI_PRIMARY) || providerWeight(y) - providerWeight(x));
+}
+function jamariPrimary(exclude) {
+  return providerOrder({ exclude })[0] || null;
+}
 
-    // ----- Plaid: item info -----
-    if (req.method === 'GET' && path === '/plaid/item') {
-      const userId = (parsed.query.userId || 'default').toString();
-      const token = await latestTokenForUser(userId);
-      if (!token) return json(res, 401, { error: 'NO_LINKED_ITEM_FOR_USER' });
-      return safePlaid(res, async () => {
-        const data = await plaidPost('/item/get', { access_token: token });
-        json(res, 200, data);
-      });
-    }
+// ----------------------- AI provider health ---------------
+// Circuit breaker per provider (lib/fusion.js): JAMARI_BREAKER_FAILS failures in a row (errors,
+// timeouts, empty replies) open it for JAMARI_BREAKER_COOLDOWN_S; then one trial call decides whether it closes.
+const { healthOf, breakerOpen, breakerAllows, recordOutcome } = createBreakers({
+  fails: JAMARI_BREAKER_FAILS,
+  cooldownS: JAMARI_BREAKER_COOLDOWN_S,
+  onOpen: (name, failures, error) => console.warn(`AI provider ${name} circuit open after ${failures} failure(s): ${error}`),
+});
 
-    // ----- Plaid: unlink/remove item (two aliases supported) -----
-    if (req.method === 'POST' && (path === '/plaid/unlink' || path === '/plaid/item/remove')) {
-      const body = await readJSON(req);
-      const userId = (body.userId || 'default').toString();
-      const token = await latestTokenForUser(userId);
-      if (!token) return json(res, 200, { ok:true, message:'Nothing to unlink' });
-      return safePlaid(res, async () => {
-        await plaidPost('/item/remove', { access_token: token });
-        memTokens.delete(userId);
-        if (pgPool) await pgPool.query(`DELETE FROM tokens WHERE user_id=$1`, [userId]);
-        json(res, 200, { ok:true });
-      });
+// run(provider, meter) -> text, with meter ({ onUsage }) spread into the provider opts.
+// Resolves to { name, text, status, latency_ms, error? } and never throws; status is
+// ok | empty | error | timeout | skipped (breaker open / daily quota used up) | unconfigured | aborted.
+// audit = { privacy, purpose, prompt, system }: calls that go out are written to the AI audit log, and
+// paid ones reserve a call from the user's AI_DAILY_QUOTA first.
+async function callProvider(name, run, audit) {
+  const p = AI_PROVIDERS[name];
+  if (!p?.configured()) return { name, text: null, status: 'unconfigured', latency_ms: 0 };
+  if (!breakerAllows(name)) return { name, text: null, status: 'skipped', latency_ms: 0, error: 'CIRCUIT_OPEN' };
+  const userId = !p.fallback && audit?.privacy ? audit.privacy.userId : null;
+  if (userId && !(await reserveAiCall(userId))) return { name, text: null, status: 'skipped', latency_ms: 0, error: 'AI_QUOTA_EXCEEDED' };
+  const started = Date.now();
+  const usage = { in: 0, out: 0, reported: false };
+  const meter = { onUsage: (i, o) => Object.assign(usage, { in: usage.in + (+i || 0), out: usage.out + (+o || 0), reported: true }) };
+  const done = r => {
+    const cost = auditCall(audit, p, r, usage);
+    if (userId) settleAiCall(userId, cost);
+    return r;
+  };
+  try {
+    const text = (await run(p, meter))?.trim() || null;
+    recordOutcome(name, text ? null : 'EMPTY', Date.now() - started);
+    return done({ name, text, status: text ? 'ok' : 'empty', latency_ms: Date.now() - started });
+  } catch (e) {
+    const latency_ms = Date.now() - started;
+    if (e?.name === 'AbortError') {
+      // The client went away; that says nothing about the provider
+      healthOf(name).trial = false;
+      return done({ name, text: null, status: 'aborted', latency_ms });
     }
+    const error = e?.message === 'TIMEOUT' ? 'TIMEOUT' : (e?.message || 'ERROR');
+    recordOutcome(name, error, latency_ms);
+    return done({ name, text: null, status: error === 'TIMEOUT' ? 'timeout' : 'error', latency_ms, error });
+  }
+}
+function providerStatus() {
+  return Object.keys(AI_PROVIDERS).map(name => {
+    const h = healthOf(name);
+    const p = AI_PROVIDERS[name];
+    return {
+      name, kind: p.kind, model: p.model, base_url: p.base_url, fallback: p.fallback, tools: p.tools,
+      configured: p.configured(), weight: providerWeight(name),
+      state: h.state, failures: h.failures, calls: h.calls, errors: h.errors,
+      last_error: h.last_error, last_latency_ms: h.last_latency_ms,
+      retry_at: h.state === 'open' ? new Date(h.retry_at).toISOString() : null,
+    };
+  });
+}
 
-    // ----- User delete (purge backend memory and DB for this user) -----
-    if (req.method === 'POST' && path === '/user/delete') {
-      const body = await readJSON(req);
-      const userId = (body.userId || 'default').toString();
-      memTokens.delete(userId);
-      if (pgPool) await pgPool.query(`DELETE FROM tokens WHERE user_id=$1`, [userId]);
-      return json(res, 200, { ok:true });
-    }
+// ----------------------- AI privacy & audit ---------------
+// Before anything reaches a provider: user text, thread history and tool results go through
+// redactText (plus the names the user listed), KPI amounts through AI_AMOUNTS, and providers
+// the user opted out of are never called. Each call is logged to ai_audit (append-only).
+const { redactText, redactValue, amountText } = require('./lib/redact');
+const aiAmount = n => amountText(n, AI_AMOUNTS);
+const AI_SETTINGS_SCHEMA = {
+  type: 'object',
+  properties: {
+    opt_out:    { type: 'array', maxItems: 20, items: { type: 'string', maxLength: 32 } },
+    mask_names: { type: 'array', maxItems: 50, items: { type: 'string', minLength: 2, maxLength: 60 } },
+  },
+};
 
-    // ----- Manual Holdings (Wealth) -----
-    if (req.method === 'GET' && path === '/wealth/manual') {
-      const userId = (parsed.query.userId || 'default').toString();
-      const data = await getManualHoldings(userId);
-      return json(res, 200, { userId, data: data || { accounts: [] } });
-    }
-    if (req.method === 'POST' && path === '/wealth/manual') {
-      if (!pgPool) return json(res, 400, { error:'PERSISTENCE_NOT_CONFIGURED' });
-      const body = await readJSON(req);
-      const userId = (body.userId || 'default').toString();
-      const data = body.data && typeof body.data === 'object' ? body.data : { accounts: [] };
-      await pgPool.query(`
-        INSERT INTO manual_holdings (user_id, data, updated_at)
-        VALUES ($1,$2,NOW())
-        ON CONFLICT (user_id) DO UPDATE SET data=EXCLUDED.data, updated_at=NOW()
-      `, [userId, data]);
-      return json(res, 200, { ok:true });
-    }
-    if (req.method === 'DELETE' && path === '/wealth/manual') {
-      if (!pgPool) return json(res, 400, { error:'PERSISTENCE_NOT_CONFIGURED' });
-      const body = await readJSON(req);
-      const userId = (body.userId || 'default').toString();
-      await pgPool.query(`DELETE FROM manual_holdings WHERE user_id=$1`, [userId]);
-      return json(res, 200, { ok:true });
-    }
+async function aiSettings(userId) {
+  const row = await store.get('ai_settings', { user_id: userId });
+  return { opt_out: row?.opt_out || [], mask_names: row?.mask_names || [], amounts: AI_AMOUNTS, updated_at: row?.updated_at || null };
+}
+async function saveAiSettings(userId, body) {
+  const fields = validateSchema(body, AI_SETTINGS_SCHEMA);
+  if (fields.length) throw httpError(400, 'VALIDATION_ERROR', { fields });
+  const optOut = body.opt_out && [...new Set(body.opt_out.map(n => n.trim().toLowerCase()))];
+  const unknown = (optOut || []).filter(n => !AI_PROVIDERS[n]);
+  if (unknown.length) throw httpError(400, 'UNKNOWN_PROVIDER', { providers: unknown });
+  const cur = await aiSettings(userId);
+  await store.upsert('ai_settings', {
+    user_id: userId,
+    opt_out: optOut || cur.opt_out,
+    mask_names: body.mask_names ? [...new Set(body.mask_names.map(n => n.trim()))] : cur.mask_names,
+    updated_at: new Date().toISOString(),
+  });
+  return aiSettings(userId);
+}
 
-    // ----- Manual Debts (Liabilities) -----
-    if (req.method === 'GET' && path === '/debt/manual') {
-      const userId = (parsed.query.userId || 'default').toString();
-      const row = await getManualDebts(userId);
-      return json(res, 200, { userId, data: row || { items: [] } });
-    }
-    if (req.method === 'POST' && path === '/debt/manual') {
-      if (!pgPool) return json(res, 400, { error:'PERSISTENCE_NOT_CONFIGURED' });
-      const body = await readJSON(req);
-      const userId = (body.userId || 'default').toString();
-      const data = body.data && typeof body.data === 'object' ? body.data : { items: [] };
-      await pgPool.query(`
-        INSERT INTO manual_debts (user_id, data, updated_at)
-        VALUES ($1,$2,NOW())
-        ON CONFLICT (user_id) DO UPDATE SET data=EXCLUDED.data, updated_at=NOW()
-      `, [userId, data]);
-      return json(res, 200, { ok:true });
-    }
-    if (req.method === 'DELETE' && path === '/debt/manual') {
-      if (!pgPool) return json(res, 400, { error:'PERSISTENCE_NOT_CONFIGURED' });
-      const body = await readJSON(req);
-      const userId = (body.userId || 'default').toString();
-      await pgPool.query(`DELETE FROM manual_debts WHERE user_id=$1`, [userId]);
-      return json(res, 200, { ok:true });
-    }
+// One per reply: the user's opt-outs and a redactor that tallies what it masked
+async function aiPrivacy(userId) {
+  const { opt_out, mask_names } = await aiSettings(userId);
+  const redactions = {};
+  const tally = counts => Object.entries(counts).forEach(([k, n]) => { redactions[k] = (redactions[k] || 0) + n; });
+  return {
+    userId,
+    exclude: new Set(opt_out),
+    redactions,
+    text(t) { const r = redactText(t, { names: mask_names }); tally(r.counts); return r.text; },
+    value(v) { const r = redactValue(v, { names: mask_names }); tally(r.counts); return r.value; },
+  };
+}
 
-    // ----- Family (invite/accept/links/household) -----
-    // Frontend sends: invite { userId, email }, accept { userId, code }
-    if (req.method === 'POST' && path === '/family/invite') {
-      if (!pgPool) return json(res, 400, { error:'PERSISTENCE_NOT_CONFIGURED' });
-      const body  = await readJSON(req);
-      const owner = (body.owner_user_id || body.userId || 'default').toString();
-      const invited = (body.invited_user_id || body.email || '').toString();
-      if (!invited) return json(res, 400, { error:'MISSING_INVITED' });
-      await pgPool.query(`
-        INSERT INTO family_links (owner_user_id, invited_user_id, status, created_at)
-        VALUES ($1,$2,'pending',NOW())
-        ON CONFLICT (owner_user_id, invited_user_id) DO UPDATE SET status='pending'
-      `, [owner, invited]);
-      return json(res, 200, { ok:true });
-    }
-    if (req.method === 'POST' && path === '/family/accept') {
-      if (!pgPool) return json(res, 400, { error:'PERSISTENCE_NOT_CONFIGURED' });
-      const body  = await readJSON(req);
-      const invitee = (body.invited_user_id || body.userId || '').toString(); // the person accepting
-      const code    = (body.code || '').toString(); // optional code (we accept either)
-      if (!invitee && !code) return json(res, 400, { error:'MISSING_PARAMS' });
-
-      // Accept any pending where invited_user_id matches invitee or code
-      await pgPool.query(`
-        UPDATE family_links
-        SET status='accepted'
-        WHERE status='pending' AND (invited_user_id=$1 OR invited_user_id=$2)
-      `, [invitee, code]);
-      return json(res, 200, { ok:true });
-    }
-    if (req.method === 'GET' && path === '/family/links') {
-      if (!pgPool) return json(res, 200, { links: [] });
-      const userId = (parsed.query.userId || 'default').toString();
-      const rows = await dbAny(`
-        SELECT owner_user_id, invited_user_id, status, created_at
-        FROM family_links
-        WHERE owner_user_id=$1 OR invited_user_id=$1
-      `, [userId]);
-      return json(res, 200, { links: rows });
+// Tokens are what the provider reported, else estimated from the text (tokens_estimated). A call the
+// provider never answered (error, timeout, abort before any usage) costs nothing. Resolves the cost.
+function auditCall(audit, p, r, usage) {
+  if (!audit?.privacy) return null;
+  const sent = JSON.stringify({ system: audit.system, prompt: audit.prompt });
+  const charged = usage.reported || r.status === 'ok' || r.status === 'empty';
+  const tokens_in  = usage.reported ? usage.in : charged ? estimateTokens(sent) : 0;
+  const tokens_out = usage.reported ? usage.out : charged ? estimateTokens(r.text) : 0;
+  store.insert('ai_audit', {
+    user_id: audit.privacy.userId, provider: p.name, model: p.model, purpose: audit.purpose,
+    prompt_hash: crypto.createHash('sha256').update(sent).digest('hex'),
+    tokens_in, tokens_out, tokens_estimated: !usage.reported,
+    latency_ms: r.latency_ms, outcome: r.status, error: r.error || null,
+    redactions: { ...audit.privacy.redactions },
+  }).catch(e => console.error('ai audit error', e));
+  return { charged, tokens_in, tokens_out };
+}
+function auditView(a) {
+  return {
+    id: Number(a.id), provider: a.provider, model: a.model, purpose: a.purpose, prompt_hash: a.prompt_hash,
+    tokens_in: a.tokens_in, tokens_out: a.tokens_out, tokens_estimated: !!a.tokens_estimated,
+    latency_ms: a.latency_ms, outcome: a.outcome, error: a.error || null, redactions: a.redactions || {}, created_at: a.created_at,
+  };
+}
+// Newest first; filters: provider, purpose, outcome, since (ISO date)
+async function listAudit(userId, { provider, purpose, outcome, since, limit = 50, offset = 0 } = {}) {
+  const where = { user_id: userId };
+  if (provider) where.provider = provider;
+  if (purpose) where.purpose = purpose;
+  if (outcome) where.outcome = outcome;
+  if (since) where.created_at = { gte: since };
+  const [rows, total] = await Promise.all([
+    store.find('ai_audit', where, { orderBy: [['id', 'desc']], limit, offset }),
+    store.count('ai_audit', where),
+  ]);
+  return { entries: rows.map(auditView), total, limit, offset };
+}
+
+// ----------------------- AI fusion -----------------------
+// JAMARI_FUSION picks how drafts become one reply (primary | judge | vote | merge, see lib/fusion.js);
+// if no model answers, the fallback providers are asked in turn (strategy "fallback").
+async function judgeDrafts(drafts, prompt, system, { signal, privacy } = {}) {
+  const judge = [JAMARI_JUDGE, ...providerOrder({ exclude: privacy?.exclude })].find(n =>
+    AI_PROVIDERS[n]?.configured() && !AI_PROVIDERS[n].fallback && !breakerOpen(n) && !privacy?.exclude.has(n));
+  if (!judge) return null;
+  const turns = chatTurns(prompt);
+  const last = turns.pop();
+  const listed = drafts.map((d, i) => `Draft ${String.fromCharCode(65 + i)}:\n${d.text}`).join('\n\n');
+  const judgePrompt = [...turns, { role: 'user', content: `${last.content}\n\n---\n${listed}` }];
+  const judgeSystem = `${system}\n\n${JUDGE_SYSTEM}`;
+  return callProvider(judge, (p, meter) => p.ask(judgePrompt, judgeSystem, { signal, ...meter }),
+    { privacy, purpose: 'judge', prompt: judgePrompt, system: judgeSystem });
+}
+
+// -> { reply, providers: { name: bool }, fusion: { strategy, requested, chosen, judge?, scores?, providers } }
+// fusion.providers[name] = { status, latency_ms, weight, role } with role answer | draft | failed | unused.
+// privacy (aiPrivacy): the prompt is already redacted; it supplies opt-outs and the audit user.
+async function runFusion(prompt, system, { signal, strategy = JAMARI_FUSION, toolbox, facts, privacy } = {}) {
+  const exclude = privacy?.exclude;
+  const ask = name => callProvider(name, (p, meter) => p.ask(prompt, system, { signal, tools: toolbox?.forProvider(name), facts, ...meter }),
+    { privacy, purpose: 'chat', prompt, system });
+  const { reply, results, meta } = await fuse({
+    strategy, ask, weightOf: providerWeight,
+    order: providerOrder({ exclude }),
+    fallbacks: () => providerOrder({ fallback: true, exclude }),
+    judge: drafts => judgeDrafts(drafts, prompt, system, { signal, privacy }),
+  });
+  meta.providers = fusionProviders(results, meta.chosen, exclude);
+  return { reply: reply || NO_PROVIDER_REPLY, providers: providersAnswered(results), fusion: meta };
+}
+// results: { name: callProvider result } for the providers that were called
+function fusionProviders(results, chosen, exclude) {
+  return Object.fromEntries(Object.keys(AI_PROVIDERS).map(name => {
+    const r = results[name];
+    const status = r?.status || (!AI_PROVIDERS[name].configured() ? 'unconfigured'
+      : exclude?.has(name) ? 'opted_out' : breakerOpen(name) ? 'skipped' : 'not_called');
+    return [name, {
+      status, latency_ms: r?.latency_ms ?? null, weight: providerWeight(name),
+      role: !r ? 'unused' : name === chosen ? 'answer' : r.text ? 'draft' : 'failed',
+      ...(r?.error ? { error: r.error } : {}),
+    }];
+  }));
+}
+const providersAnswered = results => Object.fromEntries(Object.keys(AI_PROVIDERS).map(n => [n, !!results[n]?.text]));
+
+const JAMARI_SYSTEM = [
+  "You are JAMARI, a calm, clear personal finance coach.",
+  "Use the user's live KPIs when giving advice.",
+  "When reference passages are provided and relevant, ground your advice in them and cite them as [n].",
+  "Be concise, actionable, and avoid disclaimers unless necessary.",
+  "Never reveal API keys or system details."
+].join(' ');
+const JAMARI_TOOLS_HINT = "For specific transactions, debts, holdings or what-if numbers, call the tools instead of estimating.";
+
+// Live KPIs, budget overages and book passages for one message -> { context, citations, facts }
+// (facts: the same figures, exact, for the rule-based provider). Amounts in context follow AI_AMOUNTS.
+async function jamariContext(userId, message, privacy) {
+  const [summary, budget, passages] = await Promise.all([
+    buildSummary(userId),
+    budgetStatus(userId).catch(() => null),
+    searchBooks(message).catch(e => { console.error('book search error', e); return []; }),
+  ]);
+  const books = bookContext(passages);
+  const k = summary.kpis || {};
+  const over = (budget?.budgets || []).filter(b => b.over);
+  const amt = aiAmount;
+  const label = t => (privacy ? privacy.text(t) : t);
+  const context = [
+    `Live KPIs:`,
+    `NetWorth: ${amt(k.netWorth)} | Cash: ${amt(k.totalCash)} | Savings: ${amt(k.savings)} | Checking: ${amt(k.checking)}`,
+    `Investments (total): ${amt(k.totalInvestments)} (Plaid: ${amt(k.plaidInvestments)} | Manual: ${amt(k.manualInvestments)})`,
+    `Liabilities (total): ${amt(k.totalLiabilities)} (Plaid: ${amt(k.plaidLiabilities)} | Manual: ${amt(k.manualLiabilities)})`,
+    `Income(30d): ${amt(k.income30)} | Spend(30d): ${amt(k.spend30)} | NetCashFlow: ${amt(k.netCashFlow)}`,
+    `MonthlySpend est: ${amt(k.monthlySpend)} | Runway: ${k.runwayMonths||0} mo | SavingsRate: ${(k.savingsRate*100||0).toFixed(1)}%`,
+    ...(summary.institutions.length > 1 ? [
+      `By institution: ` + summary.institutions
+        .map(i => `${label(i.label || i.institution_name || i.item_id)}: cash ${amt(i.cash)}, inv ${amt(i.investments)}, debt ${amt(i.liabilities)}`)
+        .join(' | ')
+    ] : []),
+    ...(over.length ? [
+      `Over budget (${budget.period.month}): ` + over
+        .map(b => `${b.category} ${amt(b.spent)}/${amt(b.budget)} (+${amt(b.overage)})`)
+        .join(' | ')
+    ] : []),
+    ...(books.text ? [``, books.text] : []),
+  ].join('\n');
+  return { context, citations: books.citations, facts: { message, kpis: k, over, citations: books.citations } };
+}
+
+// history (from a thread): { summary, turns: [{ role, content }] }. Past turns go in as-is
+// (redacted); only the new message carries the live context.
+async function jamariPrompt(userId, message, history = {}, privacy) {
+  const { context, citations, facts } = await jamariContext(userId, message, privacy);
+  const clean = t => (privacy ? privacy.text(t) : t);
+  let system = JAMARI_TOOLS_ON ? `${JAMARI_SYSTEM} ${JAMARI_TOOLS_HINT}` : JAMARI_SYSTEM;
+  if (history.summary) system += `\n\nEarlier in this conversation (summary): ${clean(history.summary)}`;
+  const prompt = [
+    ...(history.turns || []).map(t => ({ role: t.role, content: clean(t.content) })),
+    { role: 'user', content: `${context}\n\nUser: ${clean(message)}` },
+  ];
+  return { system, prompt, citations, facts };
+}
+async function askJamari(userId, message, history = {}) {
+  const privacy = await aiPrivacy(userId);
+  const { system, prompt, citations, facts } = await jamariPrompt(userId, message, history, privacy);
+  const toolbox = JAMARI_TOOLS_ON ? jamariToolbox(userId, { privacy }) : null;
+  const out = await runFusion(prompt, system, { toolbox, facts, privacy });
+  return { reply: out.reply, citations, providers: out.providers, fusion: out.fusion, tool_calls: toolbox?.trace || [] };
+}
+
+// ----------------------- JAMARI threads -------------------
+// Messages after thread.summarized_through are replayed newest-first until JAMARI_HISTORY_TOKENS
+// is spent. Once they outgrow it, the oldest are folded into thread.summary after the reply is sent.
+const estimateTokens = s => Math.ceil(String(s || '').length / 4);
+const THREAD_SUMMARY_SYSTEM = [
+  "You keep JAMARI's memory of a conversation with a user about their finances.",
+  "Merge the earlier summary (if any) with the new turns into one summary of at most 150 words.",
+  "Keep goals, figures, decisions and open questions; drop small talk. Reply with the summary only."
+].join(' ');
+const compacting = new Set();
+
+function threadView(t, messageCount) {
+  return {
+    id: t.id, title: t.title, message_count: messageCount, summarized: !!t.summary,
+    created_at: t.created_at, updated_at: t.updated_at,
+  };
+}
+function chatMessageView(m) {
+  return { id: Number(m.id), role: m.role, content: m.content, citations: m.citations || [], created_at: m.created_at };
+}
+function threadTitle(message) {
+  const t = message.replace(/\s+/g, ' ').trim();
+  return t.length > 60 ? t.slice(0, 60).replace(/\s+\S*$/, '') + '…' : t;
+}
+
+async function getThread(userId, id) {
+  const t = await store.get('chat_threads', { id, user_id: userId });
+  if (!t) throw httpError(404, 'THREAD_NOT_FOUND');
+  return t;
+}
+async function listThreads(userId) {
+  const rows = await store.find('chat_threads', { user_id: userId }, { orderBy: [['updated_at', 'desc']] });
+  return Promise.all(rows.map(async t => threadView(t, await store.count('chat_messages', { thread_id: t.id }))));
+}
+async function createThread(userId, title) {
+  const t = await store.insert('chat_threads', { id: `th_${crypto.randomUUID()}`, user_id: userId, title: title || null });
+  return threadView(t, 0);
+}
+async function deleteThread(userId, id) {
+  const t = await getThread(userId, id);
+  await store.remove('chat_messages', { thread_id: t.id });
+  await store.remove('chat_threads', { id: t.id });
+}
+// Oldest first; pass before=<message id> to page back
+async function threadMessages(thread, { limit = 50, before } = {}) {
+  const where = { thread_id: thread.id };
+  if (before) where.id = { lt: before };
+  const rows = await store.find('chat_messages', where, { orderBy: [['id', 'desc']], limit });
+  return rows.reverse().map(chatMessageView);
+}
+
+// -> { summary, turns } that fit the history budget
+async function threadHistory(thread) {
+  const rows = await store.find('chat_messages',
+    { thread_id: thread.id, id: { gt: thread.summarized_through || 0 } }, { orderBy: [['id', 'desc']] });
+  let left = JAMARI_HISTORY_TOKENS - estimateTokens(thread.summary);
+  const turns = [];
+  for (const m of rows) {
+    left -= estimateTokens(m.content);
+    if (left < 0) break;
+    turns.unshift({ role: m.role, content: m.content });
+  }
+  return { summary: thread.summary || '', turns };
+}
+
+async function threadReply(userId, thread, message) {
+  const out = await askJamari(userId, message, await threadHistory(thread));
+  return { ...out, ...await saveThreadTurn(userId, thread, message, out) };
+}
+async function saveThreadTurn(userId, thread, message, out) {
+  await store.insert('chat_messages', { thread_id: thread.id, user_id: userId, role: 'user', content: message });
+  const saved = await store.insert('chat_messages', {
+    thread_id: thread.id, user_id: userId, role: 'assistant', content: out.reply, citations: out.citations,
+  });
+  await store.update('chat_threads', { id: thread.id }, { title: thread.title || threadTitle(message), updated_at: new Date() });
+  compactThread(thread.id).catch(e => console.error('thread summary error', e));
+  return { thread_id: thread.id, message_id: Number(saved.id) };
+}
+
+// Fold the oldest unsummarized turns into the summary, keeping half the budget verbatim
+async function compactThread(threadId) {
+  if (compacting.has(threadId)) return;
+  compacting.add(threadId);
+  try {
+    const t = await store.get('chat_threads', { id: threadId });
+    if (!t) return;
+    const rows = await store.find('chat_messages',
+      { thread_id: threadId, id: { gt: t.summarized_through || 0 } }, { orderBy: [['id', 'asc']] });
+    const total = rows.reduce((n, m) => n + estimateTokens(m.content), estimateTokens(t.summary));
+    if (total <= JAMARI_HISTORY_TOKENS) return;
+    let keep = 0;
+    for (let i = rows.length - 1, kept = 0; i >= 0; i--, keep++) {
+      kept += estimateTokens(rows[i].content);
+      if (kept > JAMARI_HISTORY_TOKENS / 2) break;
     }
-    // Frontend expects /family/household
-    if (req.method === 'GET' && path === '/family/household') {
-      if (!pgPool) return json(res, 200, { householdId: null, members: [] });
-      const userId = (parsed.query.userId || 'default').toString();
-      const links = await dbAny(`
-        SELECT owner_user_id, invited_user_id, status
-        FROM family_links
-        WHERE (owner_user_id=$1 OR invited_user_id=$1) AND status='accepted'
-      `, [userId]);
-      const set = new Set([userId]);
-      links.forEach(l => { set.add(l.owner_user_id); set.add(l.invited_user_id); });
-      const members = Array.from(set).map(u => ({ userId: u, email: u, role: (u===userId?'you':'member') }));
-      const householdId = members.length > 1 ? ('hh_' + Buffer.from(members.sort().join('|')).toString('base64').slice(0,12)) : null;
-      return json(res, 200, { householdId, members });
+    const fold = rows.slice(0, rows.length - keep);
+    if (!fold.length) return;
+    const summary = await summarizeTurns(t.summary, fold, await aiPrivacy(t.user_id));
+    await store.update('chat_threads', { id: threadId }, { summary, summarized_through: Number(fold[fold.length - 1].id) });
+  } finally {
+    compacting.delete(threadId);
+  }
+}
+async function summarizeTurns(previous, turns, privacy) {
+  const transcript = privacy.text([
+    ...(previous ? [`Earlier summary: ${previous}`, ''] : []),
+    ...turns.map(m => `${m.role === 'assistant' ? 'JAMARI' : 'User'}: ${m.content}`),
+  ].join('\n'));
+  const audit = { privacy, purpose: 'summary', prompt: transcript, system: THREAD_SUMMARY_SYSTEM };
+  for (const name of providerOrder({ exclude: privacy.exclude })) {
+    const r = await callProvider(name, (p, meter) => p.ask(transcript, THREAD_SUMMARY_SYSTEM, meter), audit);
+    if (r.text) return r.text.slice(0, 2000);
+  }
+  // No provider answered: remember what the user asked, newest last, within a quarter of the budget
+  const asked = [previous, ...turns.filter(m => m.role === 'user')
+    .map(m => `User asked: ${m.content.replace(/\s+/g, ' ').slice(0, 200)}`)].filter(Boolean).join('\n');
+  return asked.length > JAMARI_HISTORY_TOKENS ? '…' + asked.slice(-JAMARI_HISTORY_TOKENS) : asked;
+}
+
+// ----------------------- JAMARI streaming (SSE) ----------
+// Events: meta { primary, citations, thread_id } -> token { text } / tool { provider, tool, args, ok, ms }...
+// -> addendum { text, providers } -> done { reply, providers, fusion, tool_calls, thread_id, message_id },
+// or error { error } if it fails midway.
+// The primary provider streams while the others answer in full; what they add goes in the addendum.
+// A client disconnect aborts every upstream request and nothing is saved to the thread.
+async function streamJamari(res, userId, message, thread) {
+  const ac = new AbortController();
+  res.on('close', () => { if (!res.writableEnded) ac.abort(); });
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  const send = (event, data) => { if (!ac.signal.aborted) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`); };
+  const ping = setInterval(() => { if (!ac.signal.aborted) res.write(': ping\n\n'); }, 15000);
+  try {
+    const privacy = await aiPrivacy(userId);
+    const { system, prompt, citations, facts } = await jamariPrompt(userId, message, thread ? await threadHistory(thread) : {}, privacy);
+    if (ac.signal.aborted) return;
+    const exclude = privacy.exclude;
+    const primary = jamariPrimary(exclude);
+    send('meta', { primary, citations, thread_id: thread?.id || null });
+
+    const toolbox = JAMARI_TOOLS_ON ? jamariToolbox(userId, { privacy, onCall: entry => send('tool', entry) }) : null;
+    const audit = { privacy, purpose: 'stream', prompt, system };
+    const ask = n => callProvider(n, (p, meter) => p.ask(prompt, system, { signal: ac.signal, tools: toolbox?.forProvider(n), facts, ...meter }), audit);
+    const others = providerOrder({ exclude }).filter(n => n !== primary);
+    const pending = Promise.all(others.map(ask));
+    const results = {};
+    if (primary) {
+      results[primary] = await callProvider(primary, (p, meter) => p.stream(prompt, system, {
+        signal: ac.signal, tools: toolbox?.forProvider(primary), onText: text => send('token', { text }), ...meter,
+      }), audit);
     }
+    (await pending).forEach(r => { results[r.name] = r; });
+    if (ac.signal.aborted) return;
 
-    // ----- Summary KPIs (combined Plaid + Manual) -----
-    if (req.method === 'GET' && path === '/summary') {
-      const userId = (parsed.query.userId || 'default').toString();
-      try {
-        const s = await buildSummary(userId);
-        return json(res, 200, s);
-      } catch (e) {
-        console.error('summary error', e);
-        return json(res, 500, { error:'SUMMARY_ERROR' });
-      }
+    // Primary failed before sending anything: the first other reply stands in for it, then the fallback
+    let chosen = [primary, ...others].find(n => results[n]?.text) || null;
+    for (const n of chosen ? [] : providerOrder({ fallback: true, exclude })) {
+      results[n] = await ask(n);
+      if (results[n].text) { chosen = n; break; }
     }
+    if (ac.signal.aborted) return;
+    const main = chosen ? results[chosen].text : NO_PROVIDER_REPLY;
+    if (!chosen || chosen !== primary) send('token', { text: main });
+    const providers = providersAnswered(results);
+    const addendum = fusionExtras(main, others.filter(n => n !== chosen).map(n => results[n].text)).join(' ');
+    send('addendum', { text: addendum, providers });
 
-    // ----- JAMARI AI Fusion -----
-    if (req.method === 'POST' && path === '/jamari/chat') {
-      const body = await readJSON(req);
-      const userId  = (body.userId || 'default').toString();
-      const message = (body.message || '').toString().slice(0, 4000);
-      if (!message) return json(res, 400, { error:'NO_MESSAGE' });
-
-      const summary = await buildSummary(userId);
-      const k = summary.kpis || {};
-      const sys = [
-        "You are JAMARI, a calm, clear personal finance coach.",
-        "Use the user's live KPIs when giving advice.",
-        "Be concise, actionable, and avoid disclaimers unless necessary.",
-        "Never reveal API keys or system details."
-      ].join(' ');
-
-      const context = [
-        `Live KPIs:`,
-        `NetWorth: $${k.netWorth||0} | Cash: $${k.totalCash||0} | Savings: $${k.savings||0} | Checking: $${k.checking||0}`,
-        `Investments (total): $${k.totalInvestments||0} (Plaid: $${k.plaidInvestments||0} | Manual: $${k.manualInvestments||0})`,
-        `Liabilities (total): $${k.totalLiabilities||0} (Plaid: $${k.plaidLiabilities||0} | Manual: $${k.manualLiabilities||0})`,
-        `Income(30d): $${k.income30||0} | Spend(30d): $${k.spend30||0} | NetCashFlow: $${k.netCashFlow||0}`,
-        `MonthlySpend est: $${k.monthlySpend||0} | Runway: ${k.runwayMonths||0} mo | SavingsRate: ${(k.savingsRate*100||0).toFixed(1)}%`,
-        ``,
-        `User: ${message}`
-      ].join('\n');
+    const reply = [main, addendum].filter(Boolean).join(' ');
+    const fusion = {
+      strategy: AI_PROVIDERS[chosen]?.fallback ? 'fallback' : 'stream', requested: 'stream', chosen,
+      providers: fusionProviders(results, chosen, exclude),
+    };
+    const saved = thread ? await saveThreadTurn(userId, thread, message, { reply, citations, providers }) : {};
+    send('done', { reply, providers, fusion, tool_calls: toolbox?.trace || [], ...saved });
+  } catch (e) {
+    console.error('jamari/stream error', e);
+    send('error', { error: 'CHAT_ERROR' });
+  } finally {
+    clearInterval(ping);
+    if (!res.writableEnded) res.end();
+  }
+}
 
-      try {
-        const [o, a, g] = await Promise.all([
-          askOpenAI(context, sys),
-          askAnthropic(context, sys),
-          askGemini(context, sys),
-        ]);
-        const fused = fuseReplies([o,a,g]);
-        return json(res, 200, { reply: fused, providers: { openai: !!o, anthropic: !!a, gemini: !!g } });
-      } catch (e) {
-        console.error('jamari/chat error', e);
-        return json(res, 500, { error:'CHAT_ERROR' });
-      }
+// ----------------------- Rate limits & usage --------------
+// Token buckets per route group, keyed by user (or client address for the ip group), plus a daily
+// count of paid AI provider calls per user. Limiter failures (e.g. the database is down) let the
+// request through rather than take the API down with them.
+const { createRateLimiter, parseLimits } = require('./lib/rate-limit');
+const RATE_GROUPS = parseLimits(RATE_LIMITS, {
+  ai:     { capacity: 10,  per: 60 },
+  plaid:  { capacity: 30,  per: 60 },
+  manual: { capacity: 60,  per: 60 },
+  ip:     { capacity: 300, per: 60 },
+});
+if (RATE_LIMIT_STORE === 'postgres' && store.kind !== 'postgres') console.warn('RATE_LIMIT_STORE=postgres needs STORAGE=postgres; using memory');
+const limiter = createRateLimiter({ groups: RATE_GROUPS, pool: RATE_LIMIT_STORE === 'postgres' ? store.pool : null });
+
+function clientIp(req) {
+  const hops = String(req.headers['x-forwarded-for'] || '').split(',').map(s => s.trim()).filter(Boolean);
+  return (TRUST_PROXY && hops.length ? hops[Math.max(0, hops.length - TRUST_PROXY)] : req.socket.remoteAddress) || 'unknown';
+}
+async function spendToken(ctx, group, key) {
+  let r;
+  try { r = await limiter.take(group, key); } catch (e) {
+    console.error('rate limiter error', e);
+    return;
+  }
+  if (r.limit == null) return;
+  ctx.res.setHeader('X-RateLimit-Limit', r.limit);
+  ctx.res.setHeader('X-RateLimit-Remaining', r.remaining);
+  if (r.ok) return;
+  ctx.res.setHeader('Retry-After', r.retry_after);
+  throw httpError(429, 'RATE_LIMITED', { group, retry_after: r.retry_after });
+}
+// Route middleware for the route's `rate` group
+const rateLimited = ctx => spendToken(ctx, ctx.route.rate, `user:${ctx.userId}`);
+
+const today = () => new Date().toISOString().slice(0, 10);
+function nextUtcMidnight() {
+  const d = new Date();
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() + 1));
+}
+// Paid provider calls take a slot before they go out (atomic on every backend, so parallel calls of one
+// reply can't all squeeze past the quota); false when the quota is used up. The rule-based fallback is free.
+async function reserveAiCall(userId) {
+  const row = await store.increment('usage_daily', { user_id: userId, day: today() }, { ai_calls: 1 });
+  if (!AI_DAILY_QUOTA || +row.ai_calls <= AI_DAILY_QUOTA) return true;
+  await store.increment('usage_daily', { user_id: userId, day: today() }, { ai_calls: -1 });
+  return false;
+}
+// After the call: add its tokens, or hand the slot back when the provider never answered
+function settleAiCall(userId, cost) {
+  const by = cost?.charged ? { ai_tokens_in: cost.tokens_in || 0, ai_tokens_out: cost.tokens_out || 0 } : { ai_calls: -1 };
+  store.increment('usage_daily', { user_id: userId, day: today() }, by)
+    .catch(e => console.error('usage count error', e));
+}
+async function aiQuotaOf(userId) {
+  const row = await store.get('usage_daily', { user_id: userId, day: today() });
+  const calls = row?.ai_calls || 0;
+  return {
+    calls, quota: AI_DAILY_QUOTA || null,
+    remaining: AI_DAILY_QUOTA ? Math.max(0, AI_DAILY_QUOTA - calls) : null,
+    tokens_in: row?.ai_tokens_in || 0, tokens_out: row?.ai_tokens_out || 0,
+    resets_at: nextUtcMidnight().toISOString(),
+  };
+}
+// Turns a request away once the quota is used up; each provider call still reserves its own slot
+async function aiQuota(ctx) {
+  if (!AI_DAILY_QUOTA) return;
+  const q = await aiQuotaOf(ctx.userId);
+  if (q.remaining > 0) return;
+  const retry_after = Math.max(1, Math.ceil((Date.parse(q.resets_at) - Date.now()) / 1000));
+  ctx.res.setHeader('Retry-After', retry_after);
+  throw httpError(429, 'AI_QUOTA_EXCEEDED', { quota: q.quota, used: q.calls, resets_at: q.resets_at, retry_after });
+}
+// Route meta for a rate-limited group; ai routes also check the daily quota
+function limited(group, { use = [], responses = {}, ...meta } = {}) {
+  return {
+    ...meta,
+    rate: group,
+    use: [rateLimited, ...(group === 'ai' ? [aiQuota] : []), ...use],
+    responses: { ...responses, 429: group === 'ai' ? 'RATE_LIMITED / AI_QUOTA_EXCEEDED (Retry-After)' : 'RATE_LIMITED (Retry-After)' },
+  };
+}
+async function usageView(userId, days) {
+  const from = new Date(Date.now() - (days - 1) * 86400e3).toISOString().slice(0, 10);
+  const [ai, history, ...limits] = await Promise.all([
+    aiQuotaOf(userId),
+    store.find('usage_daily', { user_id: userId, day: { gte: from } }, { orderBy: [['day', 'desc']] }),
+    ...['ai', 'plaid', 'manual'].map(g => limiter.state(g, `user:${userId}`)),
+  ]);
+  return {
+    userId, day: today(), ai,
+    history: history.map(r => ({ day: r.day, ai_calls: +r.ai_calls, ai_tokens_in: +r.ai_tokens_in, ai_tokens_out: +r.ai_tokens_out })),
+    rate_limits: Object.fromEntries(['ai', 'plaid', 'manual'].map((g, i) => [g, limits[i]])),
+  };
+}
+
+// ----------------------- Routes --------------------------
+// Every endpoint is declared on the router with its schemas; /openapi.json is generated from them.
+// auth defaults to a signed-in user (ctx.userId); `storage: false` routes answer before migrations finish.
+const router = createRouter({
+  validate: validateSchema,
+  send: json,
+  bodyLimit: BODY_LIMIT,
+  auth: {
+    user: async ctx => {
+      const auth = await authenticate(ctx.req, ctx);
+      if (!auth.ok) throw httpError(401, auth.error);
+      return auth.userId;
+    },
+    admin: ctx => { if (!isAdmin(ctx.req)) throw httpError(401, 'UNAUTHENTICATED'); },
+  },
+});
+router.use(async ctx => {
+  if (ctx.route.storage === false) return;
+  try { await dbReady; } catch { throw httpError(503, 'STORAGE_UNAVAILABLE'); }
+});
+// Per-address limit on everything but health checks and Plaid's webhooks (rate: false)
+router.use(ctx => (ctx.route.rate === false ? undefined : spendToken(ctx, 'ip', `ip:${clientIp(ctx.req)}`)));
+
+// Linked-token guard for /plaid/* reads: the Items targeted by item_id (query or body), or all of them
+async function linkedItems(ctx) {
+  ctx.items = await targetItems(ctx.userId, ctx.query.item_id || ctx.body?.item_id);
+  if (!ctx.items.length) throw httpError(401, 'NO_LINKED_ITEM_FOR_USER');
+}
+const plaidRead = {
+  use: [linkedItems],
+  responses: { 401: 'NO_LINKED_ITEM_FOR_USER (or not authenticated)', 502: 'Plaid failure (codes in GET /plaid/errors); per-Item failures go in errors[]' },
+};
+
+const str = (max, extra = {}) => ({ type: 'string', maxLength: max, ...extra });
+const ID_PARAMS = { type: 'object', properties: { id: str(128) } };
+const ITEM_QUERY = { type: 'object', properties: { item_id: str(128) } };
+const FRESH = { type: 'boolean', description: '1 skips the Plaid read cache' };
+const READ_QUERY = { type: 'object', properties: { item_id: str(128), fresh: FRESH } };
+const RANGE_QUERY = { type: 'object', properties: { item_id: str(128), start: DATE_SCHEMA, end: DATE_SCHEMA, fresh: FRESH } };
+const LIMIT_QUERY = { type: 'object', properties: { limit: { type: 'integer', minimum: 1 } } };
+const VERSIONED = { type: 'object', properties: { version: { type: ['integer', 'string'] } } };
+const manualDocBody = kind => ({ type: 'object', required: ['data'], properties: { data: MANUAL_KINDS[kind].schema, ...VERSIONED.properties } });
+const CHAT_BODY = { type: 'object', properties: { message: str(100000), thread_id: str(128) } };
+const PLAN_OPTS = {
+  type: 'object',
+  properties: {
+    strategy: { type: 'string', enum: ['avalanche', 'snowball', 'custom'] },
+    extra: { description: 'extra monthly payment, >= 0 (INVALID_EXTRA otherwise)' },
+    order: { description: 'debt ids for the custom strategy: an array, or comma-separated in the query' },
+    maxMonths: { type: 'integer', minimum: 1 },
+  },
+};
+
+// ----- Health -----
+router.get('/', { auth: false, storage: false, rate: false, summary: 'Service health' },
+  () => ({ ok:true, env: PLAID_ENV, countries: COUNTRY_CODES }));
+router.get('/ping', { auth: false, storage: false, rate: false, summary: 'Liveness' },
+  () => ({ ok:true, env: PLAID_ENV }));
+router.get('/openapi.json', { auth: false, storage: false, hidden: true },
+  () => router.openapi({ title: 'ACTIV backend', version: require('./package.json').version }));
+
+// ----- Webhook (verified, then dispatched after the 200) -----
+router.post('/plaid/webhook', {
+  auth: false, raw: true, rate: false, summary: 'Plaid webhook receiver',
+  responses: { 401: 'WEBHOOK_VERIFICATION_FAILED', 400: 'INVALID_JSON' },
+}, async ({ req, res, body: raw }) => {
+  if (WEBHOOK_VERIFY) {
+    const v = await verifyPlaidWebhook(raw, req.headers['plaid-verification']);
+    if (!v.ok) {
+      console.warn('PLAID WEBHOOK rejected:', v.reason);
+      throw httpError(401, 'WEBHOOK_VERIFICATION_FAILED', { reason: v.reason });
     }
+  }
+  let evt;
+  try { evt = JSON.parse(raw || '{}'); } catch { throw httpError(400, 'INVALID_JSON'); }
+  json(res, 200, { ok:true });
+  dispatchWebhook(evt)
+    .then(r => console.log('PLAID WEBHOOK:', evt.webhook_type, evt.webhook_code, evt.item_id, r))
+    .catch(e => console.error('webhook dispatch error', evt.webhook_type, evt.webhook_code, e));
+});
 
-    // ----- Webhook (optional) -----
-    if (req.method === 'POST' && path === '/plaid/webhook') {
-      const body = await readJSON(req);
-      console.log('PLAID WEBHOOK:', JSON.stringify(body));
-      res.writeHead(200);
-      return res.end();
+// ----- Admin (X-Admin-Token) -----
+// Re-key stored access tokens under TOKEN_KEY_ID
+router.post('/admin/tokens/rotate', { auth: 'admin', summary: 'Re-encrypt stored access tokens' }, async () => {
+  try { return await rotateTokenKeys(); }
+  catch (e) { throw httpError(400, e.message); }
+});
+// Rebuild the JAMARI book index (after adding files to BOOKS_DIR)
+router.post('/admin/books/reindex', { auth: 'admin', summary: 'Rebuild the book index' },
+  async () => bookIndexStats(await reindexBooks()));
+router.get('/admin/migrations', { auth: 'admin', summary: 'Schema migration status' },
+  async () => ({ storage: STORAGE, migrations: await migrationStatus(store, MIGRATIONS) }));
+
+// ----- Auth -----
+router.post('/auth/dev/token', {
+  auth: false, summary: 'Mint a session token (AUTH_MODE=dev only)',
+  body: { type: 'object', properties: { userId: str(200) } },
+  responses: { 400: 'MISSING_USER_ID', 404: 'Not in dev mode' },
+}, ({ body }) => {
+  if (!AUTH_DEV) throw httpError(404, 'NOT_FOUND');
+  if (!AUTH_SECRET) throw httpError(500, 'AUTH_NOT_CONFIGURED');
+  const id = (body.userId || '').toString();
+  if (!id) throw httpError(400, 'MISSING_USER_ID');
+  return { token: signSession(id), userId: id, expires_in: AUTH_TTL_S };
+});
+router.get('/auth/me', { summary: 'The signed-in user' }, ({ userId }) => ({ userId }));
+
+// ----- Plaid: error catalog -----
+// Every Plaid failure answers { error, action, message, plaid: { error_code, request_id, ... } }
+router.get('/plaid/errors', { auth: false, storage: false, summary: 'Error codes for Plaid failures, with the suggested action' }, () => ({
+  errors: Object.entries(PLAID_ERROR_CATALOG).map(([error, e]) => ({ error, status: e.status, action: e.action, description: e.description })),
+}));
+
+// ----- Plaid: Link -----
+function linkRequestBase(userId) {
+  const base = {
+    user: { client_user_id: userId },
+    client_name: 'ACTIV',
+    language: 'en',
+    country_codes: COUNTRY_CODES,
+  };
+  if (PLAID_REDIRECT_URI) base.redirect_uri = PLAID_REDIRECT_URI;
+  if (WEBHOOK_URL) base.webhook = WEBHOOK_URL;
+  return base;
+}
+router.post('/plaid/link_token/create', limited('plaid', {
+  summary: 'Create a Link token',
+  body: { type: 'object', properties: { products: { type: 'array', maxItems: 10, items: str(40) } } },
+}), ({ userId, body }) => safePlaid(async () => {
+  const data = await linkTokenCreateSmart(linkRequestBase(userId), body.products || PREFERRED_PRODUCTS);
+  return {
+    link_token: data.link_token,
+    expiration: data.expiration,
+    userId,
+    products_used: data.products_used
+  };
+}));
+// Update-mode Link token for one Item (newest when item_id is omitted). Any mix of: products to add,
+// account_selection to pick accounts again; with neither it is a plain repair (ITEM_LOGIN_REQUIRED).
+router.post('/plaid/link_token/update', limited('plaid', {
+  summary: 'Create an update-mode Link token (repair, add products, select accounts)',
+  body: {
+    type: 'object',
+    properties: {
+      item_id: str(128),
+      products: { type: 'array', maxItems: 10, items: str(40) },
+      account_selection: { type: 'boolean' },
+    },
+  },
+  responses: { 400: 'NO_ACCESS_TOKEN, INVALID_PRODUCTS', 404: 'ITEM_NOT_FOUND' },
+}), async ({ userId, body }) => {
+  const item = body.item_id ? await itemForUser(userId, body.item_id) : (await itemsForUser(userId))[0];
+  if (body.item_id && !item) throw httpError(404, 'ITEM_NOT_FOUND');
+  if (!item?.access_token) throw httpError(400, 'NO_ACCESS_TOKEN');
+  const products = cleanProducts(body.products || []);
+  const invalid = (body.products || []).filter(p => !products.includes(String(p).trim().toLowerCase()));
+  if (invalid.length) throw httpError(400, 'INVALID_PRODUCTS', { invalid, valid: Array.from(VALID_PRODUCTS) });
+  const status = await getItemStatus(item.item_id, userId);
+
+  return safePlaid(async () => {
+    const reqBody = { ...linkRequestBase(userId), access_token: item.access_token };
+    // Update mode takes new products as additional consent; Plaid adds them on first use
+    if (products.length) reqBody.additional_consented_products = products;
+    if (body.account_selection) reqBody.update = { account_selection_enabled: true };
+    const out = await plaidPost('/link/token/create', reqBody);
+    return {
+      link_token: out.link_token,
+      expiration: out.expiration,
+      item_id: item.item_id,
+      update: { repair: !!status.needs_relink, products, account_selection: !!body.account_selection },
+    };
+  });
+});
+router.post('/plaid/exchange_public_token', limited('plaid', {
+  summary: 'Exchange a Link public_token and store the Item',
+  body: {
+    type: 'object',
+    properties: {
+      public_token: str(256), label: { type: ['string', 'null'], maxLength: 200 },
+      institution: { type: ['object', 'null'], properties: { institution_id: { type: ['string', 'null'] }, name: { type: ['string', 'null'] } } },
+    },
+  },
+  responses: { 400: 'MISSING_PUBLIC_TOKEN' },
+}), ({ userId, body }) => {
+  const public_token = body.public_token;
+  if (!public_token) throw httpError(400, 'MISSING_PUBLIC_TOKEN');
+
+  return safePlaid(async () => {
+    const data = await plaidPost('/item/public_token/exchange', { public_token });
+    const inst = await fetchInstitution(data.access_token);
+    // Link's onSuccess metadata carries the institution too; prefer Plaid's answer
+    const meta = {
+      label: body.label || null,
+      institution_id: inst.institution_id || body.institution?.institution_id || null,
+      institution_name: inst.institution_name || body.institution?.name || null,
+    };
+    await storeToken(userId, data.access_token, data.item_id, meta);
+    // Kick off the initial ledger fill; webhooks / later syncs pick up the rest
+    syncItemTransactions(userId, { item_id: data.item_id, access_token: data.access_token })
+      .catch(e => console.error('initial sync error', e));
+    return { item_id: data.item_id, stored_for_user: userId, ...meta };
+  });
+});
+
+// ----- Plaid: linked Items (list / status / label) -----
+router.get('/plaid/items', { summary: 'Linked Items with their health' }, async ({ userId }) => {
+  const items = await itemsForUser(userId);
+  const statuses = await Promise.all(items.map(t => getItemStatus(t.item_id, userId)));
+  return {
+    userId,
+    items: items.map((t, i) => ({ ...itemView(t), status: itemStatusView(statuses[i]) }))
+  };
+});
+router.get('/plaid/items/status', { summary: 'Item health and relink flags', query: ITEM_QUERY }, async ({ userId, query }) => {
+  const items = await targetItems(userId, query.item_id);
+  const statuses = await Promise.all(items.map(t => getItemStatus(t.item_id, userId)));
+  return {
+    userId,
+    needs_relink: statuses.some(st => st.needs_relink),
+    items: statuses.map(itemStatusView)
+  };
+});
+router.post('/plaid/items/label', {
+  summary: 'Rename a linked Item',
+  body: { type: 'object', properties: { item_id: str(128), label: { type: ['string', 'null'], maxLength: 200 } } },
+  responses: { 400: 'MISSING_ITEM_ID', 404: 'ITEM_NOT_FOUND' },
+}, async ({ userId, body }) => {
+  const itemId = (body.item_id || '').toString();
+  if (!itemId) throw httpError(400, 'MISSING_ITEM_ID');
+  if (!(await itemForUser(userId, itemId))) throw httpError(404, 'ITEM_NOT_FOUND');
+  const label = (body.label || '').toString().trim().slice(0, 80) || null;
+  await updateItemMeta(userId, itemId, { label });
+  return { ok:true, item_id: itemId, label };
+});
+
+// ----- Plaid: reads -----
+// All /plaid/* reads accept ?item_id= to target one Item; otherwise they fan out over every Item.
+// Responses may come from the read cache: items[].asOf says when, ?fresh=1 forces a live call.
+for (const path of ['/plaid/accounts', '/plaid/balances']) {
+  router.get(path, limited('plaid', { ...plaidRead, summary: 'Accounts with balances', query: READ_QUERY }), ({ items, query }) =>
+    safePlaid(async () => {
+      const results = await fanOut(items, t => getAccounts(t, { fresh: query.fresh }));
+      return mergeItemResults(results, ['accounts']);
+    }));
+}
+router.get('/plaid/transactions', limited('plaid', { ...plaidRead, summary: 'Transactions for a date range (default 30 days)', query: RANGE_QUERY }),
+  ({ items, query }) => {
+    const end   = (query.end || daysAgo(0));
+    const start = (query.start || daysAgo(30));
+    return safePlaid(async () => {
+      const results = await fanOut(items, t => getTransactions(t, start, end, { fresh: query.fresh }));
+      const out = mergeItemResults(results, ['accounts', 'transactions']);
+      out.total_transactions = sum(results.map(r => r.data?.total_transactions || 0));
+      return out;
+    });
+  });
+// Server keeps the cursors: this pulls new deltas for every Item (or body.item_id) into the ledger.
+router.post('/plaid/transactions/sync', limited('plaid', {
+  ...plaidRead, summary: 'Sync transactions into the ledger',
+  body: { type: 'object', properties: { item_id: str(128) } },
+}), async ({ userId, items }) => {
+  const results = await fanOut(items, t => syncItemTransactions(userId, t));
+  return { items: results.map(r => r.data || { item_id: r.item.item_id, error: r.error, action: r.action }) };
+});
+router.get('/plaid/liabilities', limited('plaid', { ...plaidRead, summary: 'Credit, student and mortgage liabilities', query: READ_QUERY }), ({ items, query }) =>
+  safePlaid(async () => {
+    const results = await fanOut(items, t => getLiabilities(t, { fresh: query.fresh }));
+    return mergeLiabilities(results);
+  }));
+router.get('/plaid/investments/holdings', limited('plaid', { ...plaidRead, summary: 'Investment holdings', query: READ_QUERY }), ({ items, query }) =>
+  safePlaid(async () => {
+    const results = await fanOut(items, t => getInvestmentsHoldings(t, { fresh: query.fresh }));
+    return mergeItemResults(results, ['accounts', 'holdings', 'securities'], { securities: 'security_id' });
+  }));
+router.get('/plaid/investments/transactions', limited('plaid', {
+  ...plaidRead, summary: 'Investment transactions (default 90 days)', query: RANGE_QUERY,
+}), ({ items, query }) => {
+  const end   = (query.end || daysAgo(0));
+  const start = (query.start || daysAgo(90));
+  return safePlaid(async () => {
+    const results = await fanOut(items, t => cachedPlaid(t, 'investment_transactions', { start_date: start, end_date: end }, { fresh: query.fresh }));
+    return mergeItemResults(results, ['accounts', 'investment_transactions', 'securities'], { securities: 'security_id' });
+  });
+});
+router.get('/plaid/item', limited('plaid', { ...plaidRead, summary: 'Item metadata', query: READ_QUERY }), ({ items, query }) =>
+  safePlaid(async () => {
+    const results = await fanOut(items, t => cachedPlaid(t, 'item', {}, { fresh: query.fresh }));
+    return mergeItemResults(results, []);
+  }));
+
+// ----- Plaid: unlink/remove item (two aliases supported) -----
+// With item_id removes just that Item; without it removes every Item for the user.
+for (const path of ['/plaid/unlink', '/plaid/item/remove']) {
+  router.post(path, limited('plaid', {
+    summary: 'Remove one Item, or every Item',
+    body: { type: 'object', properties: { item_id: str(128) } },
+  }), async ({ userId, body }) => {
+    const itemId = body.item_id ? body.item_id.toString() : null;
+    const items = await targetItems(userId, itemId);
+    if (!items.length) return { ok:true, message:'Nothing to unlink' };
+    return safePlaid(async () => {
+      const results = await fanOut(items, t => plaidPost('/item/remove', { access_token: t.access_token }));
+      await removeItems(userId, itemId);
+      return {
+        ok:true,
+        removed: items.map(t => t.item_id),
+        errors: results.filter(r => r.error).map(r => ({ item_id: r.item.item_id, error: r.error, action: r.action }))
+      };
+    });
+  });
+}
+
+// ----- Plaid: mock (PLAID_ENV=mock only) -----
+// Link a fixture persona without Link (then POST /plaid/exchange_public_token as usual), fire webhooks,
+// break and repair Items, and queue failures for the next Plaid calls.
+if (plaidMock) {
+  const mockItem = async (userId, itemId) => {
+    const item = await itemForUser(userId, itemId);
+    if (!item?.access_token) throw httpError(404, 'ITEM_NOT_FOUND');
+    return item;
+  };
+  const ITEM_BODY = { type: 'object', required: ['item_id'], properties: { item_id: str(128) } };
+  const personaNames = plaidMock.personas().map(p => p.persona);
+
+  router.get('/plaid/mock/personas', { auth: false, storage: false, summary: 'Fixture personas the mock can link' },
+    () => ({ personas: plaidMock.personas() }));
+  router.post('/plaid/mock/public_token', {
+    summary: 'Mint a public_token for a persona',
+    body: { type: 'object', properties: { persona: { type: 'string', enum: personaNames } } },
+  }, ({ body }) => safePlaid(async () => {
+    const persona = body.persona || personaNames[0];
+    const out = await plaidPost('/sandbox/public_token/create', { initial_products: PREFERRED_PRODUCTS, options: { override_username: persona } });
+    return { public_token: out.public_token, persona };
+  }));
+  router.post('/plaid/mock/fire_webhook', {
+    summary: 'Deliver a fake webhook for an Item',
+    body: { type: 'object', required: ['item_id', 'webhook_code'], properties: { item_id: str(128), webhook_code: str(60), webhook_type: str(60) } },
+    responses: { 404: 'ITEM_NOT_FOUND' },
+  }, async ({ userId, body }) => {
+    const item = await mockItem(userId, body.item_id);
+    return safePlaid(async () => {
+      const out = await plaidPost('/sandbox/item/fire_webhook', { access_token: item.access_token, webhook_code: body.webhook_code, webhook_type: body.webhook_type });
+      return { ok: true, webhook: out.webhook };
+    });
+  });
+  router.post('/plaid/mock/reset_login', {
+    summary: 'Put an Item into ITEM_LOGIN_REQUIRED', body: ITEM_BODY, responses: { 404: 'ITEM_NOT_FOUND' },
+  }, async ({ userId, body }) => {
+    const item = await mockItem(userId, body.item_id);
+    return safePlaid(async () => {
+      await plaidPost('/sandbox/item/reset_login', { access_token: item.access_token });
+      return { ok: true, item_id: item.item_id };
+    });
+  });
+  router.post('/plaid/mock/repair', {
+    summary: 'Finish a relink for an Item (as update-mode Link would)', body: ITEM_BODY, responses: { 404: 'ITEM_NOT_FOUND' },
+  }, async ({ userId, body }) => {
+    const item = await mockItem(userId, body.item_id);
+    return safePlaid(async () => {
+      const out = await plaidPost('/mock/item/repair', { access_token: item.access_token });
+      return { ok: true, item_id: item.item_id, repaired: out.repaired };
+    });
+  });
+  // error: a Plaid error_code or TIMEOUT (omitted or null clears every queued failure); times: null = until cleared
+  router.post('/plaid/mock/simulate', {
+    summary: 'Queue Plaid failures for a path and/or Item',
+    body: {
+      type: 'object',
+      properties: {
+        path: str(120), item_id: str(128),
+        error: { type: ['string', 'null'], enum: [...plaidMock.errors, null] },
+        times: { type: ['integer', 'null'], minimum: 1 },
+        products: { type: 'array', maxItems: 10, items: str(40) },
+      },
+    },
+    responses: { 404: 'ITEM_NOT_FOUND' },
+  }, async ({ userId, body }) => {
+    if (body.item_id) await mockItem(userId, body.item_id);
+    const queued = plaidMock.simulate({
+      path: body.path || null, item_id: body.item_id || null, error: body.error || null,
+      times: body.times === undefined ? 1 : body.times, products: body.products || null,
+    });
+    return { ok: true, queued };
+  });
+}
+
+// ----- Transactions ledger (query) -----
+router.get('/transactions', {
+  summary: 'Query the stored transaction ledger',
+  query: {
+    type: 'object',
+    properties: {
+      start: DATE_SCHEMA, end: DATE_SCHEMA, account_id: str(128), item_id: str(128), category: str(64),
+      min_amount: { type: 'number' }, max_amount: { type: 'number' }, q: str(200),
+      limit: { type: 'integer', minimum: 1 }, offset: { type: 'integer', minimum: 0 },
+    },
+  },
+}, async ({ userId, query }) => ({ userId, ...await queryTransactions(userId, query) }));
+
+// ----- User delete (purge backend memory and DB for this user) -----
+router.post('/user/delete', {
+  summary: 'Delete everything stored for the user: Items, ledger, manual data, budgets, rules, snapshots, JAMARI threads and AI records, and take them out of their household',
+}, async ({ userId }) => {
+  await purgeUser(userId);
+  return { ok:true };
+});
+
+// ----- Manual Holdings (Wealth) -----
+// Writes take If-Match: "<version>" (or body.version); a stale version answers 409 with the current document.
+const manualConflict = { 409: 'VERSION_CONFLICT: { version, data }' };
+router.get('/wealth/manual', limited('manual', { summary: 'Manual holdings, priced' }), async ({ res, userId }) => {
+  const doc = await loadManualDoc('holdings', userId);
+  const priced = await pricedManualHoldings(userId, doc.data);
+  res.setHeader('ETag', `"${doc.version}"`);
+  return { userId, data: priced.data || { accounts: [] }, total: priced.total, version: doc.version };
+});
+// Revalue this user's manual holdings from the quote provider now
+router.post('/wealth/manual/refresh_prices', limited('manual', {
+  summary: 'Refresh quotes for manual holdings', responses: { 502: 'QUOTE_PROVIDER_ERROR' },
+}), async ({ userId }) => {
+  const symbols = manualSymbols(await getManualHoldings(userId));
+  try {
+    const r = await refreshQuotes(symbols);
+    const priced = await pricedManualHoldings(userId);
+    return { ...r, data: priced.data || { accounts: [] }, total: priced.total };
+  } catch (e) {
+    console.error('quote refresh error', e);
+    throw httpError(502, 'QUOTE_PROVIDER_ERROR', { details: e?.message || String(e) });
+  }
+});
+router.get('/wealth/manual/history', limited('manual', { summary: 'Manual holdings versions', query: LIMIT_QUERY }),
+  async ({ userId, query }) => ({ history: await manualHistory('holdings', userId, +query.limit || 50) }));
+router.post('/wealth/manual/undo', limited('manual', {
+  summary: 'Restore the previous (or a given) version',
+  body: { type: 'object', properties: { restore_version: { type: 'integer', minimum: 1 }, version: VERSIONED.properties.version } },
+  responses: { 404: 'NO_HISTORY', ...manualConflict },
+}), ({ req, res, userId, body }) =>
+  manualWrite(res, 'holdings', userId, expectedVersionOf(req, body), 'undo', async () => {
+    const prev = await manualHistoryDoc('holdings', userId, body.restore_version ?? null);
+    if (!prev) throw httpError(404, 'NO_HISTORY');
+    return () => prev.data;
+  }));
+router.post('/wealth/manual', limited('manual', {
+  summary: 'Replace the manual holdings document', body: manualDocBody('holdings'), responses: { 400: 'VALIDATION_ERROR', ...manualConflict },
+}), ({ req, res, userId, body }) => manualWrite(res, 'holdings', userId, expectedVersionOf(req, body), 'replace', () => () => body.data));
+router.delete('/wealth/manual', limited('manual', { summary: 'Clear manual holdings', responses: manualConflict }),
+  ({ req, res, userId }) => manualWrite(res, 'holdings', userId, expectedVersionOf(req), 'clear', () => () => ({ accounts: [] })));
+// Single account: POST /wealth/manual/accounts, PUT|PATCH|DELETE /wealth/manual/accounts/:id
+router.post('/wealth/manual/accounts', limited('manual', { summary: 'Add a manual account', body: VERSIONED, responses: { 409: 'DUPLICATE_ID / VERSION_CONFLICT' } }),
+  ({ req, res, userId, body }) => {
+    const { version, ...account } = body.account || body;
+    account.id = String(account.id || crypto.randomUUID());
+    return manualWrite(res, 'holdings', userId, expectedVersionOf(req, body), 'add_account', () => doc => {
+      if (findById(doc.accounts, account.id) > -1) throw httpError(409, 'DUPLICATE_ID', { id: account.id });
+      doc.accounts.push({ holdings: [], ...account });
+      return doc;
+    }, doc => ({ account: doc.accounts.find(a => a.id === account.id) }));
+  });
+function manualAccount({ req, res, userId, params: { id }, body = {} }) {
+  const { version, id: _ignored, ...patch } = body.account || body;
+  return manualWrite(res, 'holdings', userId, expectedVersionOf(req, body), req.method === 'DELETE' ? 'delete_account' : 'update_account', () => doc => {
+    const i = findById(doc.accounts, id);
+    if (i === -1) throw httpError(404, 'ACCOUNT_NOT_FOUND');
+    if (req.method === 'DELETE') doc.accounts.splice(i, 1);
+    else doc.accounts[i] = { ...doc.accounts[i], ...patch, id };
+    return doc;
+  }, doc => (req.method === 'DELETE' ? { deleted: id } : { account: doc.accounts.find(a => a.id === id) }));
+}
+for (const method of ['put', 'patch', 'delete']) {
+  router[method]('/wealth/manual/accounts/:id', limited('manual', {
+    summary: method === 'delete' ? 'Delete a manual account' : 'Update a manual account', params: ID_PARAMS,
+    ...(method === 'delete' ? {} : { body: VERSIONED }), responses: { 404: 'ACCOUNT_NOT_FOUND', ...manualConflict },
+  }), manualAccount);
+}
+// Single holding: POST /wealth/manual/accounts/:id/holdings, PUT|PATCH|DELETE .../holdings/:hid
+function manualHolding({ req, res, userId, params, body = {} }) {
+  const acctId = params.id;
+  const { version, id: bodyId, ...fields } = body.holding || body;
+  const hid = params.hid || String(bodyId || crypto.randomUUID());
+  const op = { POST: 'add_holding', DELETE: 'delete_holding' }[req.method] || 'update_holding';
+  return manualWrite(res, 'holdings', userId, expectedVersionOf(req, body), op, () => doc => {
+    const a = doc.accounts[findById(doc.accounts, acctId)];
+    if (!a) throw httpError(404, 'ACCOUNT_NOT_FOUND');
+    a.holdings = a.holdings || [];
+    const i = findById(a.holdings, hid);
+    if (req.method === 'POST' && i > -1) throw httpError(409, 'DUPLICATE_ID', { id: hid });
+    if (req.method === 'POST') a.holdings.push({ ...fields, id: hid });
+    else if (i === -1) throw httpError(404, 'HOLDING_NOT_FOUND');
+    else if (req.method === 'DELETE') a.holdings.splice(i, 1);
+    else a.holdings[i] = { ...a.holdings[i], ...fields, id: hid };
+    return doc;
+  }, doc => (req.method === 'DELETE' ? { deleted: hid }
+    : { holding: doc.accounts.find(a => a.id === acctId).holdings.find(h => h.id === hid) }));
+}
+router.post('/wealth/manual/accounts/:id/holdings', limited('manual', {
+  summary: 'Add a holding to a manual account', params: ID_PARAMS, body: VERSIONED,
+  responses: { 404: 'ACCOUNT_NOT_FOUND', 409: 'DUPLICATE_ID / VERSION_CONFLICT' },
+}), manualHolding);
+for (const method of ['put', 'patch', 'delete']) {
+  router[method]('/wealth/manual/accounts/:id/holdings/:hid', limited('manual', {
+    summary: method === 'delete' ? 'Delete a holding' : 'Update a holding',
+    params: { type: 'object', properties: { id: str(128), hid: str(128) } },
+    ...(method === 'delete' ? {} : { body: VERSIONED }),
+    responses: { 404: 'ACCOUNT_NOT_FOUND / HOLDING_NOT_FOUND', ...manualConflict },
+  }), manualHolding);
+}
+
+// ----- Manual Debts (Liabilities) -----
+router.get('/debt/manual', limited('manual', { summary: 'Manual debts' }), async ({ res, userId }) => {
+  const doc = await loadManualDoc('debts', userId);
+  res.setHeader('ETag', `"${doc.version}"`);
+  return { userId, data: doc.data || { items: [] }, version: doc.version };
+});
+router.get('/debt/manual/history', limited('manual', { summary: 'Manual debts versions', query: LIMIT_QUERY }),
+  async ({ userId, query }) => ({ history: await manualHistory('debts', userId, +query.limit || 50) }));
+router.post('/debt/manual/undo', limited('manual', {
+  summary: 'Restore the previous (or a given) version',
+  body: { type: 'object', properties: { restore_version: { type: 'integer', minimum: 1 }, version: VERSIONED.properties.version } },
+  responses: { 404: 'NO_HISTORY', ...manualConflict },
+}), ({ req, res, userId, body }) =>
+  manualWrite(res, 'debts', userId, expectedVersionOf(req, body), 'undo', async () => {
+    const prev = await manualHistoryDoc('debts', userId, body.restore_version ?? null);
+    if (!prev) throw httpError(404, 'NO_HISTORY');
+    return () => prev.data;
+  }));
+router.post('/debt/manual', limited('manual', {
+  summary: 'Replace the manual debts document', body: manualDocBody('debts'), responses: { 400: 'VALIDATION_ERROR', ...manualConflict },
+}), ({ req, res, userId, body }) => manualWrite(res, 'debts', userId, expectedVersionOf(req, body), 'replace', () => () => body.data));
+router.delete('/debt/manual', limited('manual', { summary: 'Clear manual debts', responses: manualConflict }),
+  ({ req, res, userId }) => manualWrite(res, 'debts', userId, expectedVersionOf(req), 'clear', () => () => ({ items: [] })));
+// Single debt: POST /debt/manual/items, PUT|PATCH|DELETE /debt/manual/items/:id
+function manualDebt({ req, res, userId, params, body = {} }) {
+  const { version, id: bodyId, ...fields } = body.item || body;
+  const id = params.id || String(bodyId || crypto.randomUUID());
+  const op = { POST: 'add_debt', DELETE: 'delete_debt' }[req.method] || 'update_debt';
+  return manualWrite(res, 'debts', userId, expectedVersionOf(req, body), op, () => doc => {
+    const i = findById(doc.items, id);
+    if (req.method === 'POST' && i > -1) throw httpError(409, 'DUPLICATE_ID', { id });
+    if (req.method === 'POST') doc.items.push({ ...fields, id });
+    else if (i === -1) throw httpError(404, 'DEBT_NOT_FOUND');
+    else if (req.method === 'DELETE') doc.items.splice(i, 1);
+    else doc.items[i] = { ...doc.items[i], ...fields, id };
+    return doc;
+  }, doc => (req.method === 'DELETE' ? { deleted: id } : { item: doc.items.find(d => d.id === id) }));
+}
+router.post('/debt/manual/items', limited('manual', { summary: 'Add a manual debt', body: VERSIONED, responses: { 409: 'DUPLICATE_ID / VERSION_CONFLICT' } }), manualDebt);
+for (const method of ['put', 'patch', 'delete']) {
+  router[method]('/debt/manual/items/:id', limited('manual', {
+    summary: method === 'delete' ? 'Delete a manual debt' : 'Update a manual debt', params: ID_PARAMS,
+    ...(method === 'delete' ? {} : { body: VERSIONED }), responses: { 404: 'DEBT_NOT_FOUND', ...manualConflict },
+  }), manualDebt);
+}
+
+// ----- Debt payoff plan (Plaid liabilities + manual debts) -----
+// GET ?strategy=avalanche|snowball|custom&extra=&order=id1,id2&maxMonths=  (POST takes the same as JSON)
+async function planRoute({ method, userId, query, body }) {
+  const q = method === 'POST' ? body : query;
+  const order = Array.isArray(q.order) ? q.order.map(String) : String(q.order || '').split(',').filter(Boolean);
+  if (q.extra !== undefined && q.extra !== '' && !(+q.extra >= 0)) throw httpError(400, 'INVALID_EXTRA', { field: 'extra' });
+  return debtPlan(userId, { ...q, order });
+}
+router.get('/debt/plan', limited('plaid', { summary: 'Debt payoff plan', query: PLAN_OPTS, responses: { 400: 'INVALID_EXTRA' } }), planRoute);
+router.post('/debt/plan', limited('plaid', { summary: 'Debt payoff plan', body: PLAN_OPTS, responses: { 400: 'INVALID_EXTRA' } }), planRoute);
+
+// ----- Family (households, invites, sharing) -----
+const SHARE_SCHEMA = {
+  type: 'object',
+  properties: { accounts: { type: 'boolean' }, investments: { type: 'boolean' }, debts: { type: 'boolean' } },
+};
+router.get('/family/household', { summary: 'The caller\'s household' }, ({ userId }) => householdView(userId));
+// Owner only. Body { email?, role: partner|viewer, ttl_hours? }; the code is only returned here.
+router.post('/family/invite', {
+  summary: 'Invite someone to the household (owner only)',
+  body: {
+    type: 'object',
+    properties: { email: str(200), invited_user_id: str(200), role: str(20), ttl_hours: { type: 'number', minimum: 0 } },
+  },
+  responses: { 400: 'INVALID_ROLE', 403: 'FORBIDDEN_ROLE' },
+}, ({ userId, body }) => createInvite(userId, { email: body.email || body.invited_user_id, role: body.role, ttl_hours: body.ttl_hours }));
+router.get('/family/invites', { summary: 'Open and past invites (owner only)', responses: { 403: 'FORBIDDEN_ROLE' } }, async ({ userId }) => {
+  const me = await requireRole(userId, ['owner']);
+  const rows = await store.find('household_invites', { household_id: me.household_id }, { orderBy: [['created_at', 'desc']] });
+  return { invites: rows.map(inviteView) };
+});
+router.delete('/family/invites/:id', {
+  summary: 'Revoke an invite (owner only)', params: ID_PARAMS, responses: { 404: 'INVITE_NOT_FOUND', 403: 'FORBIDDEN_ROLE' },
+}, async ({ userId, params }) => {
+  const me = await requireRole(userId, ['owner']);
+  const [row] = await store.update('household_invites',
+    { id: params.id, household_id: me.household_id, accepted_by: null, revoked_at: null },
+    { revoked_at: new Date().toISOString() });
+  if (!row) throw httpError(404, 'INVITE_NOT_FOUND');
+  return { ok: true, invite: inviteView(row) };
+});
+// Body { code, share?: { accounts, investments, debts } }
+router.post('/family/accept', {
+  summary: 'Join a household with an invite code',
+  body: { type: 'object', properties: { code: str(128), share: SHARE_SCHEMA } },
+  responses: { 400: 'MISSING_CODE', 404: 'INVITE_NOT_FOUND', 409: 'INVITE_ALREADY_USED / ALREADY_IN_HOUSEHOLD', 410: 'INVITE_EXPIRED' },
+}, ({ userId, body }) => acceptInvite(userId, (body.code || '').toString(), body.share || {}));
+// What the caller contributes to the household summary
+router.put('/family/sharing', {
+  summary: 'Choose what you share with the household',
+  body: { type: 'object', properties: { ...SHARE_SCHEMA.properties, share: SHARE_SCHEMA } },
+  responses: { 404: 'NOT_IN_HOUSEHOLD' },
+}, async ({ userId, body }) => {
+  const me = await membershipOf(userId);
+  if (!me) throw httpError(404, 'NOT_IN_HOUSEHOLD');
+  const patch = sharingColumns(body.share || body);
+  if (Object.keys(patch).length) await store.update('household_members', { household_id: me.household_id, user_id: userId }, patch);
+  return householdView(userId);
+});
+router.put('/family/members/:id', {
+  summary: 'Change a member\'s role (owner only)', params: ID_PARAMS,
+  body: { type: 'object', properties: { role: str(20) } },
+  responses: { 400: 'INVALID_ROLE / CANNOT_CHANGE_OWN_ROLE', 403: 'FORBIDDEN_ROLE', 404: 'MEMBER_NOT_FOUND' },
+}, ({ userId, params, body }) => setMemberRole(userId, params.id, body.role));
+router.delete('/family/members/:id', {
+  summary: 'Remove a member, or leave the household', params: ID_PARAMS,
+  responses: { 403: 'FORBIDDEN_ROLE', 404: 'MEMBER_NOT_FOUND', 409: 'OWNER_MUST_TRANSFER' },
+}, ({ userId, params }) => removeMember(userId, params.id));
+router.get('/family/summary', limited('plaid', { summary: 'Combined KPIs for the household' }), ({ userId }) => familySummary(userId));
+// Older clients: membership expressed as owner -> member links
+router.get('/family/links', { summary: 'Household as owner -> member links (legacy)' }, async ({ userId }) => {
+  const hh = await householdView(userId);
+  const owner = hh.members.find(x => x.role === 'owner');
+  const links = hh.members.filter(x => x.role !== 'owner').map(x => ({
+    owner_user_id: owner?.userId || null, invited_user_id: x.userId, status: 'accepted', role: x.role, created_at: x.joinedAt,
+  }));
+  return { links };
+});
+
+// ----- Categorization rules -----
+// Rule: { pattern?, match_field: any|merchant|name, min_amount?, max_amount?, account_id?, category, priority? }
+const RULE_BODY = {
+  type: 'object',
+  properties: {
+    pattern: { type: ['string', 'null'] }, match_field: { type: 'string', description: 'any | merchant | name' },
+    min_amount: { type: ['number', 'null'] }, max_amount: { type: ['number', 'null'] }, account_id: { type: ['string', 'null'] },
+    category: { type: 'string' }, priority: { type: 'number' },
+  },
+};
+router.get('/categories/rules', { summary: 'Categorization rules' },
+  async ({ userId }) => ({ rules: compileRules(await listRules(userId)).map(({ re, ...r }) => r) }));
+router.post('/categories/rules', { summary: 'Add a rule and recategorize the ledger', body: RULE_BODY }, async ({ userId, body }) => {
+  const v = validateRule(body);
+  if (v.error) throw httpError(400, v.error, v);
+  const rule = await saveRule(userId, v.rule);
+  const recategorized = await recategorizeLedger(userId);
+  return { rule, recategorized };
+});
+async function ruleRoute({ method, userId, params: { id }, body }) {
+  const prev = (await listRules(userId)).find(r => r.id === id);
+  if (!prev) throw httpError(404, 'RULE_NOT_FOUND');
+  if (method === 'DELETE') {
+    await deleteRule(userId, id);
+    return { ok:true, recategorized: await recategorizeLedger(userId) };
+  }
+  const v = validateRule(body, prev);
+  if (v.error) throw httpError(400, v.error, v);
+  const rule = await saveRule(userId, v.rule);
+  return { rule, recategorized: await recategorizeLedger(userId) };
+}
+router.put('/categories/rules/:id', { summary: 'Update a rule', params: ID_PARAMS, body: RULE_BODY, responses: { 404: 'RULE_NOT_FOUND' } }, ruleRoute);
+router.delete('/categories/rules/:id', { summary: 'Delete a rule', params: ID_PARAMS, responses: { 404: 'RULE_NOT_FOUND' } }, ruleRoute);
+// Spending by effective category (?start=&end=, default this month)
+router.get('/categories/spending', {
+  summary: 'Spending by category',
+  query: { type: 'object', properties: { month: str(7, { pattern: '^\\d{4}-\\d{2}$' }), start: DATE_SCHEMA, end: DATE_SCHEMA } },
+}, async ({ userId, query }) => {
+  const period = monthRange(query.month);
+  const start = query.start || period.start, end = query.end || period.end;
+  const byCategory = spendByCategory(await ledgerTransactions(userId, start, end));
+  const categories = Object.entries(byCategory)
+    .map(([category, spent]) => ({ category, spent }))
+    .sort((a, b) => b.spent - a.spent);
+  return { start, end, total: money(sum(categories.map(c => c.spent))), categories };
+});
+
+// ----- Budgets (monthly, one per category) -----
+const BUDGET_BODY = { type: 'object', properties: { category: str(64), amount: { type: 'number' } } };
+router.get('/budgets', { summary: 'Monthly budgets' }, async ({ userId }) => ({ budgets: await listBudgets(userId) }));
+router.get('/budgets/status', {
+  summary: 'Budget vs. spend for a month',
+  query: { type: 'object', properties: { month: str(7, { pattern: '^\\d{4}-\\d{2}$' }) } },
+}, ({ userId, query }) => budgetStatus(userId, query.month));
+router.post('/budgets', { summary: 'Set a category budget', body: BUDGET_BODY, responses: { 400: 'INVALID_BUDGET' } }, async ({ userId, body }) => {
+  const category = normCategory(body.category);
+  const amount = +body.amount;
+  if (!category) throw httpError(400, 'INVALID_BUDGET', { field: 'category' });
+  if (!(amount >= 0)) throw httpError(400, 'INVALID_BUDGET', { field: 'amount' });
+  return { budget: await saveBudget(userId, { category, amount: money(amount) }) };
+});
+async function budgetRoute({ method, userId, params: { id }, body }) {
+  const prev = (await listBudgets(userId)).find(b => b.id === id);
+  if (!prev) throw httpError(404, 'BUDGET_NOT_FOUND');
+  if (method === 'DELETE') {
+    await deleteBudget(userId, id);
+    return { ok:true };
+  }
+  const category = body.category !== undefined ? normCategory(body.category) : prev.category;
+  const amount = body.amount !== undefined ? +body.amount : prev.amount;
+  if (!category) throw httpError(400, 'INVALID_BUDGET', { field: 'category' });
+  if (!(amount >= 0)) throw httpError(400, 'INVALID_BUDGET', { field: 'amount' });
+  if ((await listBudgets(userId)).some(b => b.category === category && b.id !== id)) {
+    throw httpError(409, 'BUDGET_EXISTS', { field: 'category' });
+  }
+  return { budget: await saveBudget(userId, { id, category, amount: money(amount) }) };
+}
+router.put('/budgets/:id', {
+  summary: 'Update a budget', params: ID_PARAMS, body: BUDGET_BODY,
+  responses: { 400: 'INVALID_BUDGET', 404: 'BUDGET_NOT_FOUND', 409: 'BUDGET_EXISTS' },
+}, budgetRoute);
+router.delete('/budgets/:id', { summary: 'Delete a budget', params: ID_PARAMS, responses: { 404: 'BUDGET_NOT_FOUND' } }, budgetRoute);
+
+// ----- Recurring streams (subscriptions, bills, paychecks) -----
+router.get('/recurring', {
+  summary: 'Detected recurring streams', query: { type: 'object', properties: { include_dismissed: { type: 'boolean' } } },
+}, ({ userId, query }) => recurringForUser(userId, { includeDismissed: query.include_dismissed === true }));
+// POST marks a stream as a false positive; DELETE restores it
+async function dismissRoute({ method, userId, params: { id } }) {
+  await setStreamDismissed(userId, id, method === 'POST');
+  return { ok:true, id, dismissed: method === 'POST' };
+}
+router.post('/recurring/:id/dismiss', { summary: 'Dismiss a stream', params: ID_PARAMS }, dismissRoute);
+router.delete('/recurring/:id/dismiss', { summary: 'Restore a dismissed stream', params: ID_PARAMS }, dismissRoute);
+
+// ----- Summary KPIs (combined Plaid + Manual) -----
+router.get('/summary', limited('plaid', {
+  summary: 'Combined KPIs, with asOf per data source (also saves a snapshot)',
+  query: { type: 'object', properties: { fresh: FRESH } },
+  responses: { 500: 'SUMMARY_ERROR' },
+}), async ({ userId, query }) => {
+  try {
+    const s = await buildSummary(userId, { fresh: query.fresh });
+    saveSnapshot(userId, s).catch(e => console.error('snapshot error', e));
+    return s;
+  } catch (e) {
+    console.error('summary error', e);
+    throw httpError(500, 'SUMMARY_ERROR');
+  }
+});
+// KPI history (?from=&to=&interval=day|week|month)
+router.get('/summary/history', {
+  summary: 'KPI history',
+  query: { type: 'object', properties: { from: DATE_SCHEMA, to: DATE_SCHEMA, interval: { type: 'string', enum: ['day', 'week', 'month'] } } },
+}, ({ userId, query }) => kpiHistory(userId, query));
+router.post('/summary/snapshot', limited('plaid', {
+  summary: 'Save a KPI snapshot now',
+  query: { type: 'object', properties: { fresh: FRESH } },
+  responses: { 500: 'SUMMARY_ERROR' },
+}), async ({ userId, query }) => {
+  try {
+    return { snapshot: await saveSnapshot(userId, await buildSummary(userId, { fresh: query.fresh })) };
+  } catch (e) {
+    console.error('snapshot error', e);
+    throw httpError(500, 'SUMMARY_ERROR');
+  }
+});
+
+// ----- Usage: today's AI calls against AI_DAILY_QUOTA, recent days, and rate-limit headroom -----
+router.get('/usage', {
+  summary: 'AI quota, daily usage and rate limits',
+  query: { type: 'object', properties: { days: { type: 'integer', minimum: 1, maximum: 90 } } },
+}, ({ userId, query }) => usageView(userId, query.days || 7));
+
+// ----- JAMARI AI Fusion -----
+// Indexed books; with ?q= the passages JAMARI would be given for that question
+router.get('/jamari/books', {
+  summary: 'Indexed books, or the passages retrieved for ?q=',
+  query: { type: 'object', properties: { q: str(2000), k: { type: 'integer', minimum: 1 } } },
+}, async ({ query }) => {
+  const b = bookIndex || await reindexBooks();
+  const q = (query.q || '').toString().slice(0, 500);
+  if (!q) return bookIndexStats(b);
+  return { q, passages: await searchBooks(q, Math.min(10, +query.k || RAG_TOP_K || 4)) };
+});
+// Fusion strategy and per-provider circuit breaker state; primary as it applies to this user
+router.get('/jamari/providers', { summary: 'AI providers and fusion settings' }, async ({ userId }) => {
+  const { opt_out } = await aiSettings(userId);
+  return {
+    fusion: JAMARI_FUSION, primary: jamariPrimary(new Set(opt_out)), judge: JAMARI_JUDGE || null,
+    providers: providerStatus().map(p => ({ ...p, opted_out: opt_out.includes(p.name) })),
+  };
+});
+
+// ----- JAMARI privacy: provider opt-outs, names to mask, and the log of what was sent -----
+// PUT body { opt_out?: [provider], mask_names?: [name] }; each list replaces the stored one
+router.get('/jamari/privacy', { summary: 'AI privacy settings' }, ({ userId }) => aiSettings(userId));
+router.put('/jamari/privacy', {
+  summary: 'Update AI privacy settings', body: AI_SETTINGS_SCHEMA, responses: { 400: 'VALIDATION_ERROR / UNKNOWN_PROVIDER' },
+}, ({ userId, body }) => saveAiSettings(userId, body));
+// ?provider= &purpose=chat|stream|judge|summary &outcome= &since=YYYY-MM-DD &limit= &offset=
+router.get('/jamari/audit', {
+  summary: 'Log of AI provider calls',
+  query: {
+    type: 'object',
+    properties: {
+      provider: str(32), purpose: { type: 'string', enum: ['chat', 'stream', 'judge', 'summary'] }, outcome: str(32),
+      since: str(40), limit: { type: 'integer', minimum: 1 }, offset: { type: 'integer', minimum: 0 },
+    },
+  },
+}, ({ userId, query: q }) => {
+  const since = q.since && !isNaN(Date.parse(q.since)) ? new Date(q.since).toISOString() : null;
+  return listAudit(userId, {
+    provider: q.provider ? String(q.provider).toLowerCase() : null,
+    purpose: q.purpose || null, outcome: q.outcome || null, since,
+    limit: Math.min(200, Math.max(1, +q.limit || 50)), offset: Math.max(0, +q.offset || 0),
+  });
+});
+
+// ----- JAMARI threads -----
+router.get('/jamari/threads', { summary: 'Chat threads' }, async ({ userId }) => ({ threads: await listThreads(userId) }));
+router.post('/jamari/threads', {
+  summary: 'Start a chat thread', body: { type: 'object', properties: { title: { type: ['string', 'null'], maxLength: 500 } } },
+}, async ({ userId, body }) => {
+  const title = body.title == null ? null : String(body.title).trim().slice(0, 120) || null;
+  return { thread: await createThread(userId, title) };
+});
+router.delete('/jamari/threads/:id', { summary: 'Delete a thread', params: ID_PARAMS, responses: { 404: 'THREAD_NOT_FOUND' } },
+  async ({ userId, params }) => {
+    await deleteThread(userId, params.id);
+    return { ok:true };
+  });
+router.get('/jamari/threads/:id/messages', {
+  summary: 'Messages in a thread, newest page first', params: ID_PARAMS,
+  query: { type: 'object', properties: { limit: { type: 'integer', minimum: 1 }, before: { type: 'integer' } } },
+  responses: { 404: 'THREAD_NOT_FOUND' },
+}, async ({ userId, params, query }) => {
+  const thread = await getThread(userId, params.id);
+  const limit = Math.min(200, Math.max(1, +query.limit || 50));
+  const before = +query.before || null;
+  const count = await store.count('chat_messages', { thread_id: thread.id });
+  return { thread: threadView(thread, count), messages: await threadMessages(thread, { limit, before }) };
+});
+router.post('/jamari/threads/:id/messages', limited('ai', {
+  summary: 'Ask JAMARI inside a thread', params: ID_PARAMS, body: CHAT_BODY,
+  responses: { 400: 'NO_MESSAGE', 404: 'THREAD_NOT_FOUND', 500: 'CHAT_ERROR' },
+}), async ({ userId, params, body }) => {
+  const thread = await getThread(userId, params.id);
+  const message = (body.message || '').toString().slice(0, 4000);
+  if (!message) throw httpError(400, 'NO_MESSAGE');
+  try {
+    return await threadReply(userId, thread, message);
+  } catch (e) {
+    console.error('jamari/thread error', e);
+    throw httpError(500, 'CHAT_ERROR');
+  }
+});
+
+// Same as /jamari/chat, streamed as Server-Sent Events
+router.post('/jamari/chat/stream', limited('ai', {
+  summary: 'Ask JAMARI, streamed as text/event-stream', body: CHAT_BODY, responses: { 400: 'NO_MESSAGE', 404: 'THREAD_NOT_FOUND' },
+}), async ({ res, userId, body }) => {
+  const message = (body.message || '').toString().slice(0, 4000);
+  if (!message) throw httpError(400, 'NO_MESSAGE');
+  const thread = body.thread_id ? await getThread(userId, String(body.thread_id)) : null;
+  await streamJamari(res, userId, message, thread);
+});
+router.post('/jamari/chat', limited('ai', {
+  summary: 'Ask JAMARI', body: CHAT_BODY, responses: { 400: 'NO_MESSAGE', 404: 'THREAD_NOT_FOUND', 500: 'CHAT_ERROR' },
+}), async ({ userId, body }) => {
+  const message = (body.message || '').toString().slice(0, 4000);
+  if (!message) throw httpError(400, 'NO_MESSAGE');
+
+  try {
+    // With thread_id the turn is answered in, and saved to, that thread
+    if (body.thread_id) {
+      const thread = await getThread(userId, String(body.thread_id));
+      return await threadReply(userId, thread, message);
     }
+    return await askJamari(userId, message);
+  } catch (e) {
+    if (e?.http_status) throw e;
+    console.error('jamari/chat error', e);
+    throw httpError(500, 'CHAT_ERROR');
+  }
+});
 
-    // Not found
-    json(res, 404, { error: 'NOT_FOUND' });
+// ----------------------- HTTP Server ---------------------
+const server = http.createServer(async (req, res) => {
+  cors(res);
+  if (req.method === 'OPTIONS') { res.writeHead(204); return res.end(); }
 
+  try {
+    await router.handle(req, res);
   } catch (err) {
+    if (res.headersSent) {
+      console.error('Server error after response started:', err);
+      return res.end();
+    }
+    if (err?.http_status) {
+      const { http_status, ...body } = err;
+      if (body.retry_after != null && !res.hasHeader('Retry-After')) res.setHeader('Retry-After', body.retry_after);
+      return json(res, http_status, body);
+    }
     console.error('Server error:', err);
     json(res, 500, { error: 'SERVER_ERROR', details: err?.message || String(err) });
   }
 });
 
-server.listen(PORT, () => {
-  console.log(`ACTIV backend running on :${PORT} | PLAID_ENV=${PLAID_ENV}`);
+// `node server.js rotate-token-keys` re-keys stored tokens and exits (no HTTP server)
+// `node server.js migrate` applies pending migrations, prints their status and exits
+if (process.argv[2] === 'rotate-token-keys') {
+  rotateTokenKeys()
+    .then(r => { console.log('token rotation:', r); process.exit(r.failed ? 1 : 0); })
+    .catch(e => { console.error('token rotation failed:', e.message); process.exit(1); });
+} else if (process.argv[2] === 'migrate') {
+  dbReady
+    .then(() => migrationStatus(store, MIGRATIONS))
+    .then(rows => {
+      rows.forEach(m => console.log(`${String(m.id).padStart(3, '0')} ${m.name.padEnd(30)} ${m.applied ? `applied ${new Date(m.applied_at).toISOString()}` : 'pending'}`));
+      return store.close();
+    })
+    .then(() => process.exit(0))
+    .catch(() => process.exit(1));
+} else server.listen(PORT, () => {
+  console.log(`ACTIV backend running on :${PORT} | PLAID_ENV=${PLAID_ENV} | STORAGE=${STORAGE}`);
+  if (!AUTH_SECRET) console.warn('AUTH_SECRET not set: all protected routes will answer 401');
+  if (AUTH_DEV) console.warn('AUTH_MODE=dev: accepting unsigned X-User-Id / userId (local testing only)');
+  if (!TOKEN_KEY_ID) console.warn('TOKEN_KEYS not set: Plaid access tokens are stored unencrypted');
+  else if (!TOKEN_KEYRING.has(TOKEN_KEY_ID)) console.error(`TOKEN_KEY_ID ${TOKEN_KEY_ID} is not in TOKEN_KEYS`);
+  if (activeQuoteProvider()) {
+    setInterval(() => refreshAllManualQuotes().catch(e => console.error('quote refresh error', e)), QUOTE_REFRESH_MIN * 60 * 1000).unref();
+  }
+  reindexBooks()
+    .then(b => console.log(`book index: ${b.passages} passages from ${b.books.length} books (${b.ms}ms)`))
+    .catch(e => console.error('book index error', e));
+  if (SNAPSHOT_DAILY) {
+    setInterval(() => runDailySnapshots().catch(e => console.error('daily snapshots error', e)), 3600 * 1000).unref();
+  }
+  // Idle buckets are full again after their window, so dropping them changes nothing
+  const idleMs = Math.max(3600, ...Object.values(RATE_GROUPS).filter(Boolean).map(g => g.per)) * 1000;
+  setInterval(() => limiter.prune(idleMs).catch(e => console.error('rate limiter prune error', e)), 600 * 1000).unref();
 });
 
 // ----------------------- Link token helper ----------------
@@ -830,9 +3625,9 @@ async function linkTokenCreateSmart(baseReq, prods) {
       const out = await plaidPost('/link/token/create', body);
       return { ...out, products_used: products };
     } catch (e) {
-      const code = e?.error_code || e?.error || '';
+      const code = e?.plaid?.error_code || '';
       if (code === 'INVALID_PRODUCT') {
-        const bad = new Set(parseInvalidProducts(e));
+        const bad = new Set(parseInvalidProducts(e.plaid));
         products = products.filter(p => !bad.has(p));
         if (!products.length) break;
         continue;
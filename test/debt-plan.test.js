@@ -0,0 +1,74 @@
+// test/debt-plan.test.js — debt normalization and payoff simulation (lib/debt-plan.js).
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { plaidDebts, manualDebtList, prepareDebts, simulatePayoff, planDebts } = require('../lib/debt-plan');
+
+const START = '2024-01-15';
+const debt = (id, balance, apr, minPayment) => ({ id, source: 'manual', name: id, type: 'other', balance, apr, minPayment });
+
+describe('debt plan', () => {
+  it('reads Plaid liabilities at the account balance', () => {
+    const debts = plaidDebts({
+      accounts: [{ account_id: 'cc', name: 'Card', balances: { current: 1200 } }],
+      liabilities: {
+        credit: [{ account_id: 'cc', aprs: [{ apr_type: 'cash_apr', apr_percentage: 29 }, { apr_type: 'purchase_apr', apr_percentage: 22.9 }], minimum_payment_amount: 40 }],
+        student: [{ account_id: 'stu', outstanding_balance: 9000, interest_rate_percentage: 5.5, minimum_payment_amount: '110' }],
+      },
+    });
+    assert.deepEqual(debts.map(d => [d.id, d.type, d.balance, d.apr, d.minPayment]), [
+      ['plaid:cc', 'credit', 1200, 22.9, 40],
+      ['plaid:stu', 'student', 9000, 5.5, 110],
+    ]);
+  });
+
+  it('fills a missing APR and minimum, and drops paid-off debts', () => {
+    const debts = prepareDebts(manualDebtList({ items: [
+      { id: 'car', name: 'Car', balance: 5000, apr: 6.5, minimum_payment: 200 },
+      { id: 'mom', name: 'Loan from Mom', balance: 1000 },
+      { id: 'old', name: 'Old card', balance: 0, apr: 20 },
+    ] }));
+    assert.deepEqual(debts.map(d => d.id), ['manual:car', 'manual:mom']);
+    assert.equal(debts[1].apr, 0);
+    assert.equal(debts[1].aprMissing, true);
+    assert.equal(debts[1].minPayment, 25);
+    assert.equal(debts[1].minPaymentEstimated, true);
+  });
+
+  it('pays a single debt down month by month', () => {
+    const plan = simulatePayoff([debt('a', 1000, 12, 100)], { start: START });
+    assert.equal(plan.paidOff, true);
+    assert.equal(plan.months, 11);
+    assert.equal(plan.payoffDate, '2024-12-01');
+    assert.equal(plan.debts[0].schedule[0].interest, 10);
+    assert.equal(plan.debts[0].schedule[0].balance, 910);
+    assert.equal(plan.totalPaid, plan.totalInterest + 1000);
+  });
+
+  it('targets the highest APR for avalanche and the smallest balance for snowball', () => {
+    const debts = [debt('small', 500, 5, 25), debt('costly', 3000, 24, 90)];
+    assert.deepEqual(simulatePayoff(debts, { strategy: 'avalanche', extra: 200, start: START }).debts.map(d => d.id), ['costly', 'small']);
+    assert.deepEqual(simulatePayoff(debts, { strategy: 'snowball', extra: 200, start: START }).debts.map(d => d.id), ['small', 'costly']);
+  });
+
+  it('compares strategies and recommends the cheapest', () => {
+    const debts = [debt('small', 500, 5, 25), debt('costly', 3000, 24, 90)];
+    const out = planDebts(debts, { strategy: 'snowball', extra: 200 });
+    assert.equal(out.plan.strategy, 'snowball');
+    assert.deepEqual(out.comparison.map(c => c.strategy), ['avalanche', 'snowball', 'minimum']);
+    assert.equal(out.recommended, 'avalanche');
+    const avalanche = out.comparison[0];
+    assert.ok(avalanche.interestSavedVsMinimum > 0);
+    assert.deepEqual(out.warnings, []);
+  });
+
+  it('warns when the budget cannot clear the debt within the horizon', () => {
+    const out = planDebts([{ ...debt('big', 50000, 20, 800), minPaymentEstimated: true }], { maxMonths: 12 });
+    assert.equal(out.plan.paidOff, false);
+    assert.deepEqual(out.warnings, [
+      { id: 'big', warning: 'MIN_PAYMENT_ESTIMATED' },
+      { warning: 'NOT_PAID_OFF_WITHIN_HORIZON', maxMonths: 12 },
+    ]);
+  });
+});
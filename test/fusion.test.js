@@ -0,0 +1,99 @@
+// test/fusion.test.js — reply fusion strategies and provider circuit breakers (lib/fusion.js).
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { NO_PROVIDER_REPLY, createBreakers, fuseReplies, voteDrafts, fuse } = require('../lib/fusion');
+
+// Providers as canned answers: a string replies, null fails
+function asker(answers) {
+  const calls = [];
+  const ask = async name => {
+    calls.push(name);
+    const text = answers[name] ?? null;
+    return { name, text, status: text ? 'ok' : 'error', latency_ms: 1 };
+  };
+  return { ask, calls };
+}
+
+describe('fusion', () => {
+  it('merges new sentences from the other replies', () => {
+    assert.equal(fuseReplies(['Pay the card first.', 'Pay the card first. Then build a buffer.']), 'Pay the card first. Then build a buffer.');
+    assert.equal(fuseReplies([null, '  ']), NO_PROVIDER_REPLY);
+  });
+
+  it('votes for the draft the others agree with, scaled by weight', () => {
+    const drafts = [
+      { name: 'a', text: 'Pay off the credit card before investing.' },
+      { name: 'b', text: 'Pay the credit card off first, then invest.' },
+      { name: 'c', text: 'Buy a boat.' },
+    ];
+    assert.notEqual(voteDrafts(drafts).draft.name, 'c');
+    assert.equal(voteDrafts(drafts, n => (n === 'c' ? 10 : 1)).draft.name, 'c');
+  });
+
+  it('primary asks in order and stops at the first reply', async () => {
+    const { ask, calls } = asker({ b: 'From b.', c: 'From c.' });
+    const out = await fuse({ strategy: 'primary', order: ['a', 'b', 'c'], ask });
+    assert.deepEqual(calls, ['a', 'b']);
+    assert.equal(out.reply, 'From b.');
+    assert.equal(out.meta.chosen, 'b');
+  });
+
+  it('judge reconciles the drafts, and falls back to a vote without a judge', async () => {
+    const { ask } = asker({ a: 'Save more.', b: 'Spend less.' });
+    const judged = await fuse({
+      strategy: 'judge', order: ['a', 'b'], ask,
+      judge: async drafts => ({ name: 'a', text: `Both: ${drafts.map(d => d.text).join(' ')}`, status: 'ok', latency_ms: 1 }),
+    });
+    assert.equal(judged.reply, 'Both: Save more. Spend less.');
+    assert.equal(judged.meta.chosen, 'judge');
+
+    const voted = await fuse({ strategy: 'judge', order: ['a', 'b'], ask, weightOf: n => (n === 'b' ? 2 : 1) });
+    assert.equal(voted.meta.strategy, 'vote');
+    assert.equal(voted.reply, 'Spend less.');
+  });
+
+  it('uses a lone draft as is and asks the fallbacks when nobody answers', async () => {
+    const single = await fuse({ strategy: 'vote', order: ['a', 'b'], ask: asker({ b: 'Only b.' }).ask });
+    assert.deepEqual([single.meta.strategy, single.reply], ['single', 'Only b.']);
+
+    const { ask, calls } = asker({ rules: 'Rule-based tip.' });
+    const out = await fuse({ strategy: 'merge', order: ['a', 'b'], fallbacks: () => ['rules'], ask });
+    assert.deepEqual(calls, ['a', 'b', 'rules']);
+    assert.deepEqual([out.meta.strategy, out.meta.chosen, out.reply], ['fallback', 'rules', 'Rule-based tip.']);
+  });
+});
+
+describe('circuit breakers', () => {
+  it('opens after repeated failures, then lets one trial call decide', () => {
+    let t = 0;
+    const opened = [];
+    const b = createBreakers({ fails: 2, cooldownS: 10, now: () => t, onOpen: name => opened.push(name) });
+
+    b.recordOutcome('p', 'TIMEOUT', 5);
+    assert.equal(b.breakerOpen('p'), false);
+    b.recordOutcome('p', 'TIMEOUT', 5);
+    assert.deepEqual(opened, ['p']);
+    assert.equal(b.breakerOpen('p'), true);
+    assert.equal(b.breakerAllows('p'), false);
+
+    t = 10000;
+    assert.equal(b.breakerAllows('p'), true);  // the trial
+    assert.equal(b.breakerAllows('p'), false); // only one at a time
+    b.recordOutcome('p', null, 5);
+    assert.equal(b.healthOf('p').state, 'closed');
+    assert.equal(b.breakerAllows('p'), true);
+  });
+
+  it('re-opens when the trial call fails', () => {
+    let t = 0;
+    const b = createBreakers({ fails: 1, cooldownS: 10, now: () => t });
+    b.recordOutcome('p', 'ERROR', 1);
+    t = 10000;
+    assert.equal(b.breakerAllows('p'), true);
+    b.recordOutcome('p', 'EMPTY', 1);
+    assert.equal(b.healthOf('p').state, 'open');
+    assert.equal(b.healthOf('p').retry_at, 20000);
+  });
+});
@@ -0,0 +1,94 @@
+// test/households.test.js — invites, roles, leaving and the shared summary (lib/households.js) on the memory store.
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createMemoryStore } = require('../lib/storage');
+const { TABLES } = require('../lib/schema');
+const { sharedKpis, createHouseholds } = require('../lib/households');
+
+const KPIS = {
+  alice: { totalCash: 1000, checking: 1000, totalInvestments: 5000, totalLiabilities: 200, income30: 4000, spend30: 3000 },
+  bob:   { totalCash: 500, checking: 500, totalInvestments: 100, totalLiabilities: 9000, income30: 2000, spend30: 1500 },
+};
+
+describe('households', () => {
+  let store, hh;
+  const rejects = (p, error) => assert.rejects(p, e => e.error === error);
+  // Members can join within the same millisecond, so compare by user rather than list order
+  const roles = view => Object.fromEntries(view.members.map(m => [m.userId, m.role]));
+  // alice owns the household; bob joins as a partner sharing accounts, carol as a viewer sharing nothing
+  async function household() {
+    const { code } = await hh.createInvite('alice', { role: 'partner' });
+    await hh.acceptInvite('bob', code, { accounts: true });
+    await hh.acceptInvite('carol', (await hh.createInvite('alice', { role: 'viewer' })).code);
+  }
+
+  beforeEach(() => {
+    store = createMemoryStore({ tables: TABLES });
+    hh = createHouseholds({ store, summaryOf: async userId => ({ kpis: KPIS[userId] || {} }) });
+  });
+
+  it('founds a household with the first invite and joins with the code once', async () => {
+    const { code, invite } = await hh.createInvite('alice', { role: 'partner', email: 'bob@example.com' });
+    assert.equal(invite.status, 'pending');
+    assert.equal((await store.get('household_invites', { id: invite.id })).code_hash.length, 64);
+
+    await rejects(hh.acceptInvite('alice', code), 'CANNOT_ACCEPT_OWN_INVITE');
+    const view = await hh.acceptInvite('bob', code);
+    assert.deepEqual(roles(view), { alice: 'owner', bob: 'partner' });
+    await rejects(hh.acceptInvite('carol', code), 'INVITE_ALREADY_USED');
+    await rejects(hh.acceptInvite('carol', 'nope'), 'INVITE_NOT_FOUND');
+  });
+
+  it('refuses an expired invite', async () => {
+    const { code, invite } = await hh.createInvite('alice');
+    await store.update('household_invites', { id: invite.id }, { expires_at: new Date(Date.now() - 1000).toISOString() });
+    await rejects(hh.acceptInvite('bob', code), 'INVITE_EXPIRED');
+  });
+
+  it('lets only the owner manage roles, and hands ownership over', async () => {
+    await household();
+    await rejects(hh.setMemberRole('bob', 'carol', 'partner'), 'FORBIDDEN_ROLE');
+    await rejects(hh.createInvite('bob'), 'FORBIDDEN_ROLE');
+    const view = await hh.setMemberRole('alice', 'bob', 'owner');
+    assert.deepEqual(roles(view), { alice: 'partner', bob: 'owner', carol: 'viewer' });
+    assert.equal((await store.get('households', { id: view.householdId })).owner_user_id, 'bob');
+  });
+
+  it('keeps the owner until they are alone', async () => {
+    await household();
+    await rejects(hh.removeMember('alice', 'alice'), 'OWNER_MUST_TRANSFER');
+    await hh.removeMember('alice', 'bob');
+    await hh.removeMember('carol', 'carol');
+    const { householdId } = await hh.householdView('alice');
+    assert.equal((await hh.removeMember('alice', 'alice')).householdId, null);
+    assert.equal(await store.get('households', { id: householdId }), null);
+    assert.equal(await store.count('household_invites', {}), 0);
+  });
+
+  it('passes an owner\'s household on when their account is deleted', async () => {
+    await household();
+    await hh.removeFromHousehold('alice');
+    const view = await hh.householdView('bob');
+    assert.deepEqual(roles(view), { bob: 'owner', carol: 'viewer' });
+    assert.equal(await store.count('household_invites', {}), 0);
+  });
+
+  it('sums only what members share, and hides the breakdown from viewers', async () => {
+    await household();
+    const owner = await hh.familySummary('alice');
+    assert.equal(owner.contributing, 1); // alice has not opted in yet
+    assert.equal(owner.kpis.totalCash, 500);
+    assert.equal(owner.kpis.totalLiabilities, 0); // bob shares accounts, not debts
+    assert.deepEqual(Object.fromEntries(owner.breakdown.map(b => [b.userId, b.kpis && b.kpis.totalCash])), { alice: null, bob: 500, carol: null });
+    assert.equal((await hh.familySummary('carol')).breakdown, undefined);
+  });
+
+  it('limits a member\'s KPIs to their sharing scopes', () => {
+    assert.deepEqual(sharedKpis(KPIS.alice, { investments: true, debts: true }), {
+      totalInvestments: 5000, plaidInvestments: undefined, manualInvestments: undefined,
+      totalLiabilities: 200, plaidLiabilities: undefined, manualLiabilities: undefined, netWorth: 4800,
+    });
+  });
+});
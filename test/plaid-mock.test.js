@@ -0,0 +1,93 @@
+// test/plaid-mock.test.js — the Plaid flows end to end against PLAID_ENV=mock: linking a persona, the
+// summary and ledger built from it, a relink-required Item, and the INVALID_PRODUCT retry on Link tokens.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { startApp, linkPersona } = require('./support/app');
+
+const isTimestamp = v => typeof v === 'string' && !Number.isNaN(Date.parse(v));
+
+describe('plaid mock', () => {
+  let app, itemId;
+
+  before(async () => {
+    app = await startApp();
+    itemId = (await linkPersona(app, 'starter')).item_id;
+  });
+  after(() => app?.stop());
+
+  it('links a persona as an Item', async () => {
+    const res = await app.call('GET', '/plaid/items');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.items.map(i => [i.item_id, i.institution_id]), [[itemId, 'ins_mock_starter']]);
+  });
+
+  it('builds the summary KPIs from the persona balances', async () => {
+    const res = await app.call('GET', '/summary');
+    assert.equal(res.status, 200);
+    const { kpis, asOf } = res.body;
+    assert.equal(kpis.checking, 1840.22);
+    assert.equal(kpis.savings, 3200);
+    assert.equal(kpis.totalCash, 5040.22);
+    assert.equal(kpis.totalInvestments, 0);
+    assert.equal(kpis.totalLiabilities, 25791.6); // card 1411.60 + student loan 24380
+    assert.equal(kpis.netWorth, -20751.38);
+    assert.ok(kpis.income30 > 0 && kpis.spend30 > 0);
+    assert.ok(isTimestamp(asOf.accounts) && isTimestamp(asOf.liabilities) && isTimestamp(asOf.transactions));
+    assert.equal(asOf.investments, null); // starter has no investment accounts
+  });
+
+  it('syncs transactions into the ledger', async () => {
+    const ledger = await app.eventually(async () => {
+      const res = await app.call('GET', '/transactions?limit=500');
+      return res.body.total > 0 && res.body;
+    });
+    assert.ok(ledger, 'ledger never filled');
+    assert.ok(ledger.transactions.every(t => t.item_id === itemId));
+    assert.ok(ledger.transactions.some(t => t.pending) && ledger.transactions.some(t => !t.pending));
+
+    const sync = await app.call('POST', '/plaid/transactions/sync', { body: {} });
+    assert.equal(sync.status, 200);
+    assert.deepEqual(sync.body.items, [{ item_id: itemId, added: 0, modified: 0, removed: 0, has_more: false }]);
+    assert.equal((await app.call('GET', '/transactions?limit=1')).body.total, ledger.total);
+  });
+
+  it('maps ITEM_LOGIN_REQUIRED to a relink and flags the Item', async () => {
+    const user = 'u-relink';
+    const { item_id } = await linkPersona(app, 'starter', user);
+    assert.equal((await app.call('POST', '/plaid/mock/reset_login', { body: { item_id }, user })).status, 200);
+
+    const read = await app.call('GET', `/plaid/liabilities?item_id=${item_id}&fresh=1`, { user });
+    assert.equal(read.status, 200);
+    assert.deepEqual(read.body.errors, [{ item_id, error: 'ITEM_RELINK_REQUIRED', action: 'relink' }]);
+    const sync = await app.call('POST', '/plaid/transactions/sync', { body: {}, user });
+    assert.deepEqual(sync.body.items, [{ item_id, error: 'ITEM_RELINK_REQUIRED', action: 'relink' }]);
+
+    const status = await app.eventually(async () => {
+      const res = await app.call('GET', `/plaid/items/status?item_id=${item_id}`, { user });
+      return res.body.needs_relink && res.body;
+    });
+    assert.ok(status, 'item never flagged for relink');
+    assert.equal(status.items[0].status, 'login_required');
+    assert.equal(status.items[0].error_code, 'ITEM_LOGIN_REQUIRED');
+  });
+
+  it('retries a Link token without the product Plaid rejects', async () => {
+    const sim = await app.call('POST', '/plaid/mock/simulate', { body: { path: '/link/token/create', error: 'INVALID_PRODUCT', times: 1 } });
+    assert.equal(sim.status, 200);
+    const res = await app.call('POST', '/plaid/link_token/create', { body: { products: ['transactions', 'investments'] } });
+    assert.equal(res.status, 200);
+    assert.ok(res.body.link_token);
+    assert.deepEqual(res.body.products_used, ['transactions']);
+  });
+
+  it('sends Retry-After when Plaid keeps rate limiting', async () => {
+    await app.call('POST', '/plaid/mock/simulate', { body: { path: '/link/token/create', error: 'RATE_LIMIT_EXCEEDED', times: 3 } });
+    const res = await app.call('POST', '/plaid/link_token/create', { body: {} });
+    assert.equal(res.status, 429);
+    assert.equal(res.body.error, 'UPSTREAM_RATE_LIMITED');
+    assert.ok(+res.headers.get('retry-after') >= 1);
+    assert.equal(+res.headers.get('retry-after'), res.body.retry_after);
+  });
+});
@@ -0,0 +1,56 @@
+// test/recurring.test.js — stream detection over hand-built ledgers (lib/recurring.js).
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { merchantKey, inferCadence, detectRecurring } = require('../lib/recurring');
+
+const TODAY = '2024-06-20';
+let n = 0;
+const tx = (date, amount, name, extra = {}) => ({ transaction_id: `t${++n}`, account_id: 'a1', date, amount, name, ...extra });
+
+describe('recurring detection', () => {
+  it('keys merchants without store numbers or punctuation', () => {
+    assert.equal(merchantKey({ name: 'NETFLIX.COM #1234' }), 'netflix com');
+    assert.equal(merchantKey({ merchant_name: 'Spotify', name: 'SPOTIFY P0A1B2' }), 'spotify');
+  });
+
+  it('infers a cadence only from regular gaps', () => {
+    assert.equal(inferCadence(['2024-01-01', '2024-01-15', '2024-01-29', '2024-02-12']).name, 'biweekly');
+    assert.equal(inferCadence(['2024-01-15', '2024-02-15', '2024-03-15']).name, 'monthly');
+    assert.equal(inferCadence(['2024-01-01', '2024-01-03', '2024-02-20', '2024-02-21']), null);
+  });
+
+  it('finds a monthly subscription, its next charge and a price increase', () => {
+    const txs = ['01', '02', '03', '04'].map(m => tx(`2024-${m}-05`, 15.49, 'Netflix'))
+      .concat(['05', '06'].map(m => tx(`2024-${m}-05`, 17.99, 'Netflix')));
+    const [s] = detectRecurring(txs, TODAY);
+    assert.equal(s.cadence, 'monthly');
+    assert.equal(s.kind, 'subscription');
+    assert.equal(s.occurrences, 6);
+    assert.equal(s.nextDate, '2024-07-05');
+    assert.equal(s.status, 'active');
+    assert.deepEqual(s.priceIncrease, { from: 15.49, to: 17.99, pct: 0.16, since: '2024-05-05' });
+  });
+
+  it('labels paychecks and bills, ignores pending rows and one-offs', () => {
+    const txs = [
+      ...['2024-05-03', '2024-05-17', '2024-05-31', '2024-06-14'].map(d => tx(d, -2100, 'ACME PAYROLL', { category: 'INCOME' })),
+      ...['03', '04', '05', '06'].map(m => tx(`2024-${m}-01`, 1450, 'Oak Street Rent', { category: 'RENT_AND_UTILITIES' })),
+      tx('2024-06-18', 1450, 'Oak Street Rent', { pending: true }),
+      tx('2024-06-02', 87.1, 'Hardware Store'),
+    ];
+    const streams = detectRecurring(txs, TODAY);
+    assert.deepEqual(streams.map(s => [s.merchantKey, s.kind, s.cadence]), [
+      ['acme payroll', 'income', 'biweekly'],
+      ['oak street rent', 'bill', 'monthly'],
+    ]);
+    assert.equal(streams[1].occurrences, 4);
+  });
+
+  it('marks a stream stopped once it is well overdue', () => {
+    const txs = ['01', '02', '03'].map(m => tx(`2024-${m}-10`, 9.99, 'Gym Co'));
+    const [s] = detectRecurring(txs, TODAY);
+    assert.equal(s.status, 'stopped');
+  });
+});
@@ -0,0 +1,173 @@
+// test/storage.test.js — one contract for every storage backend, so memory/file behave like Postgres.
+// Memory and file always run; set TEST_DATABASE_URL to run the same cases against a scratch Postgres.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const { createStore, migrate } = require('../lib/storage');
+const { TABLES, MIGRATIONS } = require('../lib/schema');
+
+const backends = [
+  ['memory', () => ({ backend: 'memory' })],
+  ['file', () => ({ backend: 'file', file: path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'activ-store-')), 'store.json') })],
+];
+if (process.env.TEST_DATABASE_URL) {
+  backends.push(['postgres', () => ({ backend: 'postgres', databaseUrl: process.env.TEST_DATABASE_URL, ssl: false })]);
+}
+
+// Postgres hands back NUMERIC as strings and timestamps as Dates
+const num = v => (v == null ? v : +v);
+const ids = rows => rows.map(r => r.transaction_id);
+
+for (const [name, options] of backends) {
+  describe(`storage: ${name}`, () => {
+    const opts = options();
+    const run = crypto.randomBytes(4).toString('hex'); // keeps rows apart on a shared database
+    const u = id => `${run}-${id}`;
+    let store;
+
+    before(async () => {
+      store = createStore({ ...opts, tables: TABLES });
+      await migrate(store, MIGRATIONS);
+      const tx = (id, date, amount, extra = {}) => store.insert('transactions', {
+        transaction_id: u(id), user_id: u('alice'), item_id: 'item-1', date, amount, name: null, data: { id }, ...extra,
+      });
+      await tx('t1', '2024-01-05', 12.5, { name: 'Blue Bottle Coffee', category: 'coffee' });
+      await tx('t2', '2024-01-10', -2000, { name: 'PAYROLL', category: 'income' });
+      await tx('t3', '2024-02-01', 80, { name: 'Grocer', category: null, pending: true });
+      await tx('t4', '2024-02-03', 4.25, { name: 'coffee cart', category: 'coffee' });
+    });
+    after(async () => {
+      if (name === 'postgres') {
+        for (const t of ['transactions', 'budgets', 'household_members', 'usage_daily', 'manual_history', 'manual_holdings']) {
+          await store.remove(t, { user_id: { in: ['alice', 'bob', 'carol'].map(u) } });
+        }
+      }
+      await store.close();
+    });
+
+    it('records every migration once', async () => {
+      const applied = await store.find('schema_migrations', {}, { orderBy: [['id', 'asc']] });
+      assert.deepEqual(applied.map(r => +r.id), MIGRATIONS.map(m => m.id).sort((a, b) => a - b));
+      assert.deepEqual(await migrate(store, MIGRATIONS), []);
+    });
+
+    it('filters with equality, null, in, ne, comparisons, contains and $or', async () => {
+      const find = where => store.find('transactions', { user_id: u('alice'), ...where }, { orderBy: [['transaction_id', 'asc']] });
+      assert.deepEqual(ids(await find({ category: 'coffee' })), [u('t1'), u('t4')]);
+      assert.deepEqual(ids(await find({ category: null })), [u('t3')]);
+      assert.deepEqual(ids(await find({ category: { in: ['income', 'nope'] } })), [u('t2')]);
+      assert.deepEqual(ids(await find({ category: { in: [] } })), []);
+      // ne is null-safe: rows with a null category are "not coffee"
+      assert.deepEqual(ids(await find({ category: { ne: 'coffee' } })), [u('t2'), u('t3')]);
+      assert.deepEqual(ids(await find({ amount: { gt: 4.25, lte: 80 } })), [u('t1'), u('t3')]);
+      assert.deepEqual(ids(await find({ amount: { lt: 0 } })), [u('t2')]);
+      assert.deepEqual(ids(await find({ date: { gte: '2024-01-10', lt: '2024-02-03' } })), [u('t2'), u('t3')]);
+      assert.deepEqual(ids(await find({ name: { contains: 'COFFEE' } })), [u('t1'), u('t4')]);
+      assert.deepEqual(ids(await find({ name: { contains: '%' } })), []);
+      assert.deepEqual(ids(await find({ $or: [{ pending: true }, { amount: { lt: 0 } }] })), [u('t2'), u('t3')]);
+      assert.equal(await store.count('transactions', { user_id: u('alice'), category: { ne: null } }), 3);
+    });
+
+    it('orders on several columns and pages with limit/offset', async () => {
+      const rows = await store.find('transactions', { user_id: u('alice') },
+        { orderBy: [['category', 'desc'], ['date', 'asc']], limit: 3, offset: 1 });
+      assert.deepEqual(ids(rows), [u('t2'), u('t1'), u('t4')]);
+      // Nulls last ascending, first descending
+      const cats = async dir => (await store.find('transactions', { user_id: u('alice') }, { orderBy: [['category', dir], ['date', 'asc']] })).map(r => r.category);
+      assert.deepEqual(await cats('asc'), ['coffee', 'coffee', 'income', null]);
+      assert.deepEqual(await cats('desc'), [null, 'income', 'coffee', 'coffee']);
+      const [first] = await store.find('transactions', { user_id: u('alice') }, { orderBy: [['amount', 'asc']], limit: 1 });
+      assert.equal(num(first.amount), -2000);
+      assert.equal(await store.get('transactions', { transaction_id: u('none') }), null);
+    });
+
+    it('round-trips JSON columns and fills column defaults', async () => {
+      const row = await store.get('transactions', { transaction_id: u('t1') });
+      assert.deepEqual(row.data, { id: 't1' });
+      assert.equal(row.pending, false);
+      assert.ok(row.updated_at);
+      const h = await store.insert('manual_history', { user_id: u('alice'), kind: 'holdings', version: 1, op: 'replace', data: { accounts: [{ name: 'A' }] } });
+      assert.deepEqual(h.data, { accounts: [{ name: 'A' }] });
+    });
+
+    it('hands out increasing serial ids', async () => {
+      const a = await store.insert('manual_history', { user_id: u('bob'), kind: 'debts', version: 1, op: 'replace', data: { items: [] } });
+      const b = await store.insert('manual_history', { user_id: u('bob'), kind: 'debts', version: 2, op: 'replace', data: { items: [] } });
+      assert.ok(+b.id > +a.id);
+    });
+
+    it('returns copies, not live rows', async () => {
+      const row = await store.get('transactions', { transaction_id: u('t2') });
+      row.data.id = 'changed';
+      assert.deepEqual((await store.get('transactions', { transaction_id: u('t2') })).data, { id: 't2' });
+    });
+
+    it('rejects a duplicate key with code 23505', async () => {
+      await assert.rejects(
+        store.insert('transactions', { transaction_id: u('t1'), user_id: u('alice'), item_id: 'item-1', date: '2024-01-01', amount: 1, data: {} }),
+        { code: '23505' });
+    });
+
+    it('enforces the other unique column sets', async () => {
+      await store.insert('household_members', { household_id: u('h1'), user_id: u('carol'), role: 'owner' });
+      await assert.rejects(store.insert('household_members', { household_id: u('h2'), user_id: u('carol'), role: 'owner' }), { code: '23505' });
+      await store.insert('budgets', { id: u('b1'), user_id: u('alice'), category: 'coffee', amount: 20 });
+      await store.insert('budgets', { id: u('b2'), user_id: u('alice'), category: 'rent', amount: 1500 });
+      await assert.rejects(store.insert('budgets', { id: u('b3'), user_id: u('alice'), category: 'coffee', amount: 5 }), { code: '23505' });
+      await assert.rejects(store.update('budgets', { id: u('b2') }, { category: 'coffee' }), { code: '23505' });
+      assert.equal((await store.get('budgets', { id: u('b2') })).category, 'rent');
+    });
+
+    it('upserts on the key or another conflict target', async () => {
+      const key = { user_id: u('alice'), version: 1, data: { accounts: [] } };
+      const created = await store.upsert('manual_holdings', key);
+      assert.equal(created.version, 1);
+      const replaced = await store.upsert('manual_holdings', { ...key, version: 2 });
+      assert.equal(replaced.version, 2);
+      assert.equal(await store.upsert('manual_holdings', { ...key, version: 3 }, { ignore: true }), null);
+      assert.equal((await store.get('manual_holdings', { user_id: u('alice') })).version, 2);
+
+      // Same (user_id, category) as b1: only the listed columns change, the id stays
+      const b = await store.upsert('budgets', { id: u('b9'), user_id: u('alice'), category: 'coffee', amount: 35 },
+        { on: ['user_id', 'category'], update: ['amount'] });
+      assert.equal(b.id, u('b1'));
+      assert.equal(num(b.amount), 35);
+      assert.equal(await store.count('budgets', { user_id: u('alice') }), 2);
+    });
+
+    it('increments counters, creating the row at zero', async () => {
+      const key = { user_id: u('alice'), day: '2024-01-01' };
+      const first = await store.increment('usage_daily', key, { ai_calls: 1, ai_tokens_in: 120 });
+      assert.deepEqual([first.ai_calls, first.ai_tokens_in, first.ai_tokens_out], [1, 120, 0]);
+      await Promise.all([1, 2, 3].map(() => store.increment('usage_daily', key, { ai_calls: 1 })));
+      assert.equal((await store.get('usage_daily', key)).ai_calls, 4);
+    });
+
+    it('updates and removes matching rows only', async () => {
+      const updated = await store.update('transactions', { user_id: u('alice'), category: 'coffee' }, { category: 'cafes' });
+      assert.deepEqual(updated.map(r => r.category), ['cafes', 'cafes']);
+      assert.deepEqual(await store.update('transactions', { transaction_id: u('none') }, { category: 'x' }), []);
+      // Compare-and-set on a version column: the second writer matches nothing
+      assert.equal((await store.update('manual_holdings', { user_id: u('alice'), version: 2 }, { version: 3 })).length, 1);
+      assert.equal((await store.update('manual_holdings', { user_id: u('alice'), version: 2 }, { version: 3 })).length, 0);
+      assert.equal(await store.remove('transactions', { user_id: u('alice'), pending: true }), 1);
+      assert.equal(await store.remove('transactions', { user_id: u('alice'), pending: true }), 0);
+      assert.equal(await store.count('transactions', { user_id: u('alice') }), 3);
+    });
+
+    if (name === 'file') {
+      it('persists to disk and loads it back', async () => {
+        await store.close();
+        store = createStore({ ...opts, tables: TABLES });
+        assert.equal(await store.count('transactions', { user_id: u('alice') }), 3);
+        const next = await store.insert('manual_history', { user_id: u('bob'), kind: 'debts', version: 3, op: 'clear', data: { items: [] } });
+        assert.ok(+next.id > 3, 'serial ids continue after a reload');
+      });
+    }
+  });
+}
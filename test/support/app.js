@@ -0,0 +1,78 @@
+// test/support/app.js — runs server.js in a child process for end-to-end tests.
+//
+//   const app = await startApp({ PLAID_WEBHOOK_KEYS: '...' });  // PLAID_ENV=mock, STORAGE=memory, AUTH_MODE=dev
+//   const { status, body, headers } = await app.call('POST', '/plaid/mock/public_token', { body: {...}, user: 'u1' });
+//   await app.stop();
+
+const { spawn } = require('child_process');
+const net  = require('net');
+const path = require('path');
+
+const SERVER = path.join(__dirname, '..', '..', 'server.js');
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const s = net.createServer().once('error', reject).listen(0, '127.0.0.1', () => {
+      const { port } = s.address();
+      s.close(() => resolve(port));
+    });
+  });
+}
+
+async function startApp(env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    cwd: path.dirname(SERVER),
+    env: {
+      ...process.env, DATABASE_URL: '', NODE_ENV: 'test',
+      PLAID_ENV: 'mock', STORAGE: 'memory', AUTH_MODE: 'dev', PORT: String(port), ...env,
+    },
+    stdio: ['ignore', 'pipe', 'pipe'],
+  });
+  let log = '';
+  child.stdout.on('data', d => { log += d; });
+  child.stderr.on('data', d => { log += d; });
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`server did not start:\n${log}`)), 10000);
+    child.stdout.on('data', () => { if (log.includes('running on')) { clearTimeout(timer); resolve(); } });
+    child.once('exit', code => { clearTimeout(timer); reject(new Error(`server exited (${code}):\n${log}`)); });
+  });
+
+  const base = `http://127.0.0.1:${port}`;
+  async function call(method, route, { body, headers = {}, user = 'u1' } = {}) {
+    const r = await fetch(base + route, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...(user ? { 'X-User-Id': user } : {}), ...headers },
+      body: body === undefined ? undefined : typeof body === 'string' ? body : JSON.stringify(body),
+    });
+    const text = await r.text();
+    let parsed = text;
+    try { parsed = JSON.parse(text); } catch {}
+    return { status: r.status, headers: r.headers, body: parsed };
+  }
+  // Retries fn until it returns something truthy (webhooks are dispatched after the 200)
+  async function eventually(fn, ms = 3000) {
+    const until = Date.now() + ms;
+    for (;;) {
+      const out = await fn();
+      if (out || Date.now() > until) return out;
+      await new Promise(r => setTimeout(r, 50));
+    }
+  }
+  function stop() {
+    if (child.exitCode != null) return Promise.resolve();
+    return new Promise(resolve => { child.once('exit', resolve); child.kill(); });
+  }
+  return { base, call, eventually, stop, log: () => log };
+}
+
+// Links a mock persona for `user` the way the Link flow would; resolves the exchange response
+async function linkPersona(app, persona, user = 'u1') {
+  const pt = await app.call('POST', '/plaid/mock/public_token', { body: { persona }, user });
+  if (pt.status !== 200) throw new Error(`public_token: ${pt.status} ${JSON.stringify(pt.body)}`);
+  const ex = await app.call('POST', '/plaid/exchange_public_token', { body: { public_token: pt.body.public_token }, user });
+  if (ex.status !== 200) throw new Error(`exchange: ${ex.status} ${JSON.stringify(ex.body)}`);
+  return ex.body;
+}
+
+module.exports = { startApp, linkPersona };
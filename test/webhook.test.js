@@ -0,0 +1,77 @@
+// test/webhook.test.js — /plaid/webhook verification end to end, with webhooks signed locally the way
+// Plaid signs them (scripts/sign-webhook.js) and the server trusting that key through PLAID_WEBHOOK_KEYS.
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+
+const { generateKey, sign } = require('../scripts/sign-webhook');
+const { startApp, linkPersona } = require('./support/app');
+
+describe('plaid webhook verification', () => {
+  const key = generateKey();
+  let app, itemId;
+
+  const post = (body, jwt) => app.call('POST', '/plaid/webhook', {
+    body, user: null, headers: jwt ? { 'Plaid-Verification': jwt } : {},
+  });
+  const rejected = async (res, reason) => {
+    assert.equal(res.status, 401);
+    assert.deepEqual(res.body, { error: 'WEBHOOK_VERIFICATION_FAILED', reason });
+  };
+  const event = extra => JSON.stringify({ webhook_type: 'TRANSACTIONS', webhook_code: 'DEFAULT_UPDATE', item_id: itemId, ...extra });
+
+  before(async () => {
+    app = await startApp({ PLAID_WEBHOOK_KEYS: JSON.stringify(key.public), PLAID_WEBHOOK_VERIFY: 'true' });
+    itemId = (await linkPersona(app, 'starter')).item_id;
+  });
+  after(() => app?.stop());
+
+  it('accepts a webhook signed with a trusted key', async () => {
+    const body = event();
+    const res = await post(body, sign(body, key.private));
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body, { ok: true });
+  });
+
+  it('rejects a body that does not match the signed digest', async () => {
+    const jwt = sign(event(), key.private);
+    await rejected(await post(event({ webhook_code: 'HISTORICAL_UPDATE' }), jwt), 'BODY_MISMATCH');
+  });
+
+  it('rejects a stale iat', async () => {
+    const body = event();
+    await rejected(await post(body, sign(body, key.private, { iat: Math.floor(Date.now() / 1000) - 3600 })), 'STALE_WEBHOOK');
+  });
+
+  it('rejects a signature from a key it does not know', async () => {
+    const body = event();
+    // Not Plaid-shaped: refused without a lookup
+    await rejected(await post(body, sign(body, generateKey().private)), 'UNKNOWN_KEY');
+    // Plaid-shaped, but Plaid has no such key
+    await rejected(await post(body, sign(body, generateKey(crypto.randomUUID()).private)), 'UNKNOWN_KEY');
+    // A known kid signed by someone else's private key
+    await rejected(await post(body, sign(body, generateKey(key.public.kid).private)), 'BAD_SIGNATURE');
+  });
+
+  it('rejects a webhook without the Plaid-Verification header', async () => {
+    await rejected(await post(event()), 'MISSING_SIGNATURE');
+    await rejected(await post(event(), 'not-a-jwt'), 'MALFORMED_JWT');
+  });
+
+  it('records an ITEM ERROR on the Item', async () => {
+    const body = JSON.stringify({
+      webhook_type: 'ITEM', webhook_code: 'ERROR', item_id: itemId,
+      error: { error_type: 'ITEM_ERROR', error_code: 'ITEM_LOGIN_REQUIRED', error_message: 'the login details of this item have changed' },
+    });
+    assert.equal((await post(body, sign(body, key.private))).status, 200);
+    const status = await app.eventually(async () => {
+      const res = await app.call('GET', `/plaid/items/status?item_id=${itemId}`);
+      return res.body.needs_relink && res.body;
+    });
+    assert.ok(status, 'item never flagged for relink');
+    assert.equal(status.items[0].status, 'login_required');
+    assert.equal(status.items[0].error_code, 'ITEM_LOGIN_REQUIRED');
+    assert.equal(status.items[0].error_message, 'the login details of this item have changed');
+  });
+});